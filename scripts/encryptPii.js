@@ -0,0 +1,84 @@
+/**
+ * Encrypt PII Migration
+ * Encrypts plaintext sensitive User fields and re-encrypts values written
+ * with an old key (after key rotation) using the current key.
+ *
+ * Usage: npm run migrate:encrypt-pii
+ */
+
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const User = require('../src/models/User');
+const {
+  encrypt,
+  decrypt,
+  needsEncryption,
+  assertEncryptionConfigured
+} = require('../src/utils/encryption');
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  assertEncryptionConfigured();
+  await connectDB();
+
+  const fields = User.ENCRYPTED_FIELDS;
+
+  // Only users with at least one field not yet under the current key
+  const filter = {
+    $or: fields.map((field) => ({ [field]: { $exists: true, $nin: [null, ''] } }))
+  };
+
+  // Raw collection access so schema setters/getters do not interfere
+  const cursor = User.collection.find(filter, {
+    projection: Object.fromEntries(fields.map((field) => [field, 1]))
+  });
+
+  let scanned = 0;
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0) {
+      await User.collection.bulkWrite(batch);
+      updated += batch.length;
+      batch = [];
+    }
+  };
+
+  for await (const doc of cursor) {
+    scanned++;
+    const $set = {};
+
+    for (const field of fields) {
+      if (needsEncryption(doc[field])) {
+        $set[field] = encrypt(decrypt(doc[field]));
+      }
+    }
+
+    if (Object.keys($set).length > 0) {
+      batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    }
+
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  console.log(`✓ Scanned ${scanned} users, encrypted ${updated}`);
+};
+
+run()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('✗ PII encryption migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,59 @@
+/**
+ * Announcement Configuration
+ * Rich text rules, attachment limits and audience targeting
+ */
+
+const { GENDERS, MARITAL_STATUSES } = require('./profile');
+
+// HTML allowed in announcement bodies; everything else is stripped
+const ANNOUNCEMENT_HTML = {
+  allowedTags: [
+    'p', 'br', 'strong', 'b', 'em', 'i', 'u', 's', 'blockquote',
+    'h2', 'h3', 'h4', 'ul', 'ol', 'li', 'a'
+  ],
+  allowedAttributes: {
+    a: ['href']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel']
+};
+
+const ANNOUNCEMENT_ATTACHMENT_CONFIG = {
+  maxFileSizeBytes: parseInt(process.env.ANNOUNCEMENT_ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024,
+  maxAttachments: 5,
+  // MIME type -> stored file extension
+  allowedMimeTypes: {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf'
+  }
+};
+
+// Audience list criteria (announcement field -> User field); a member matches
+// a list if their value is one of the entries. Empty lists do not restrict.
+const AUDIENCE_LIST_FIELDS = {
+  occupations: 'occupation',
+  genders: 'gender',
+  maritalStatuses: 'maritalStatus',
+  gothras: 'gothra'
+};
+
+// Allowed values for list criteria backed by fixed choices
+const AUDIENCE_LIST_CHOICES = {
+  genders: GENDERS,
+  maritalStatuses: MARITAL_STATUSES
+};
+
+// Locations are matched as case-insensitive text within the member's residence address
+const AUDIENCE_LOCATION_FIELD = 'residenceAddress';
+
+const MAX_AUDIENCE_VALUES = 50;
+
+module.exports = {
+  ANNOUNCEMENT_HTML,
+  ANNOUNCEMENT_ATTACHMENT_CONFIG,
+  AUDIENCE_LIST_FIELDS,
+  AUDIENCE_LIST_CHOICES,
+  AUDIENCE_LOCATION_FIELD,
+  MAX_AUDIENCE_VALUES
+};
@@ -0,0 +1,52 @@
+/**
+ * Audit Log Configuration
+ */
+
+const AUDIT_ACTIONS = {
+  OTP_SENT: 'otp.sent',
+  OTP_VERIFIED: 'otp.verified',
+  OTP_VERIFY_FAILED: 'otp.verify_failed',
+  OTP_LOCKOUT: 'otp.lockout',
+  OTP_LOCKOUT_CLEARED: 'otp.lockout_cleared',
+  LOGIN: 'auth.login',
+  USER_REGISTERED: 'user.registered',
+  PROFILE_UPDATED: 'profile.updated',
+  PROFILE_PHOTO_UPDATED: 'profile.photo_updated',
+  PROFILE_PHOTO_REMOVED: 'profile.photo_removed',
+  ADMIN_USER_UPDATED: 'admin.user_updated',
+  ADMIN_ROLE_CHANGED: 'admin.role_changed',
+  ADMIN_USER_SUSPENDED: 'admin.user_suspended',
+  ADMIN_USER_REACTIVATED: 'admin.user_reactivated',
+  ADMIN_USER_DELETED: 'admin.user_deleted',
+  ADMIN_PRIVACY_DEFAULTS_UPDATED: 'admin.privacy_defaults_updated',
+  BUSINESS_APPROVED: 'business.approved',
+  BUSINESS_REJECTED: 'business.rejected',
+  BUSINESS_REMOVED: 'business.removed',
+  BUSINESS_REVIEW_REMOVED: 'business.review_removed',
+  WELFARE_SCHEME_CREATED: 'welfare.scheme_created',
+  WELFARE_SCHEME_UPDATED: 'welfare.scheme_updated',
+  WELFARE_APPLICATION_REVIEWED: 'welfare.application_reviewed'
+};
+
+const AUDIT_ACTION_VALUES = Object.values(AUDIT_ACTIONS);
+
+// Values of these fields are never written to the audit log,
+// only whether they were set (diffs) or present (metadata)
+const REDACTED_FIELDS = [
+  'aadhaar',
+  'annualIncome',
+  'rationCardType',
+  'otp',
+  'token',
+  'refreshToken',
+  'registrationTicket'
+];
+
+const REDACTED_VALUE = '[REDACTED]';
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ACTION_VALUES,
+  REDACTED_FIELDS,
+  REDACTED_VALUE
+};
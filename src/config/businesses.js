@@ -0,0 +1,60 @@
+/**
+ * Business Directory Configuration
+ * Categories, listing statuses and limits
+ */
+
+// Category key -> label shown in the app
+const BUSINESS_CATEGORIES = {
+  carpentry: 'Carpentry & woodwork',
+  goldsmith: 'Goldsmith & jewellery',
+  blacksmith: 'Blacksmith & metal work',
+  bronze: 'Bronze & idol casting',
+  sculpture: 'Stone carving & sculpture',
+  construction: 'Construction & masonry',
+  architecture: 'Architecture & interiors',
+  engineering: 'Engineering & technical services',
+  electrical: 'Electrical & plumbing',
+  automobile: 'Automobile & repairs',
+  retail: 'Shops & retail',
+  food: 'Food & catering',
+  education: 'Education & training',
+  healthcare: 'Healthcare',
+  professional: 'Legal, finance & consulting',
+  other: 'Other'
+};
+
+const BUSINESS_CATEGORY_VALUES = Object.keys(BUSINESS_CATEGORIES);
+
+// Listings are hidden from members until the committee approves them;
+// an owner's edits send a published listing back for approval
+const BUSINESS_STATUS = {
+  PENDING: 'pending',
+  PUBLISHED: 'published',
+  REJECTED: 'rejected'
+};
+
+const BUSINESS_STATUS_VALUES = Object.values(BUSINESS_STATUS);
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+// Sort keys for the directory (query param value -> sort)
+const BUSINESS_SORTS = {
+  rating: { ratingAverage: -1, ratingCount: -1, _id: 1 },
+  name: { name: 1, _id: 1 },
+  newest: { publishedAt: -1, _id: -1 }
+};
+
+const BUSINESS_CONFIG = {
+  maxListingsPerOwner: 5,
+  maxServices: 30
+};
+
+module.exports = {
+  BUSINESS_CATEGORIES,
+  BUSINESS_CATEGORY_VALUES,
+  BUSINESS_STATUS,
+  BUSINESS_STATUS_VALUES,
+  WEEKDAYS,
+  BUSINESS_SORTS,
+  BUSINESS_CONFIG
+};
@@ -0,0 +1,70 @@
+/**
+ * Member Directory Configuration
+ * Fields, filters and sort keys allowed on GET /api/users
+ */
+
+// Fields a member may request through ?fields=
+const DIRECTORY_FIELDS = [
+  'name',
+  'phone',
+  'email',
+  'gender',
+  'gothra',
+  'dateOfBirth',
+  'education',
+  'maritalStatus',
+  'occupation',
+  'occupationDetails',
+  'residenceAddress',
+  'profileImage',
+  'profileThumbnail',
+  'joinedDate'
+];
+
+// Fields returned when ?fields= is not given
+const DEFAULT_DIRECTORY_FIELDS = [
+  'name',
+  'phone',
+  'email',
+  'occupation',
+  'residenceAddress',
+  'dateOfBirth',
+  'profileThumbnail'
+];
+
+// Exact-match filters (query param name = User field)
+const DIRECTORY_FILTER_FIELDS = [
+  'occupation',
+  'gothra',
+  'gender',
+  'maritalStatus',
+  'education'
+];
+
+// Sort keys (query param value -> User field)
+const DIRECTORY_SORT_KEYS = {
+  name: 'name',
+  joinedDate: 'joinedDate',
+  dateOfBirth: 'dateOfBirth',
+  occupation: 'occupation'
+};
+
+const DEFAULT_DIRECTORY_SORT = 'name';
+
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+module.exports = {
+  DIRECTORY_FIELDS,
+  DEFAULT_DIRECTORY_FIELDS,
+  DIRECTORY_FILTER_FIELDS,
+  DIRECTORY_SORT_KEYS,
+  DEFAULT_DIRECTORY_SORT,
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT
+};
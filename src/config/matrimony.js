@@ -0,0 +1,41 @@
+/**
+ * Matrimony Configuration
+ * Profile statuses, interest statuses and eligibility rules
+ */
+
+const MATRIMONY_PROFILE_STATUS = {
+  ACTIVE: 'active',   // listed in match search
+  PAUSED: 'paused'    // hidden from search; interests can still be answered
+};
+
+const MATRIMONY_PROFILE_STATUS_VALUES = Object.values(MATRIMONY_PROFILE_STATUS);
+
+const INTEREST_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined'
+};
+
+const INTEREST_STATUS_VALUES = Object.values(INTEREST_STATUS);
+
+// Matches are searched among the other gender
+const MATRIMONY_GENDERS = ['Male', 'Female'];
+
+const MATRIMONY_CONFIG = {
+  // Legal minimum age of marriage in India
+  minAge: {
+    Male: 21,
+    Female: 18
+  },
+  // Interests a profile may have waiting for an answer at once
+  maxPendingInterests: 20
+};
+
+module.exports = {
+  MATRIMONY_PROFILE_STATUS,
+  MATRIMONY_PROFILE_STATUS_VALUES,
+  INTEREST_STATUS,
+  INTEREST_STATUS_VALUES,
+  MATRIMONY_GENDERS,
+  MATRIMONY_CONFIG
+};
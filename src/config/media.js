@@ -0,0 +1,27 @@
+/**
+ * Media Configuration
+ * Profile photo upload limits and generated sizes
+ */
+
+const PROFILE_PHOTO_CONFIG = {
+  // Upload limits
+  maxFileSizeBytes: parseInt(process.env.PROFILE_PHOTO_MAX_BYTES, 10) || 5 * 1024 * 1024,
+  allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  // Formats accepted after decoding (the client's MIME type is not trusted)
+  allowedFormats: ['jpeg', 'png', 'webp'],
+  // Refuse decompression bombs
+  maxInputPixels: 40 * 1000 * 1000,
+  // Output sizes: thumbnail is cropped square, medium keeps the aspect ratio
+  sizes: {
+    thumbnail: { width: 150, height: 150, fit: 'cover' },
+    medium: { width: 800, height: 800, fit: 'inside' }
+  },
+  jpegQuality: 82
+};
+
+const PROFILE_PHOTO_SIZES = Object.keys(PROFILE_PHOTO_CONFIG.sizes);
+
+module.exports = {
+  PROFILE_PHOTO_CONFIG,
+  PROFILE_PHOTO_SIZES
+};
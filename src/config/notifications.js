@@ -0,0 +1,36 @@
+/**
+ * Notification Configuration
+ * Notification types, device platforms and inbox limits
+ */
+
+// Notification types; members can turn push off per type
+const NOTIFICATION_TYPES = {
+  ANNOUNCEMENT: 'announcement',
+  EVENT: 'event',
+  MATRIMONY: 'matrimony',
+  BUSINESS: 'business',
+  WELFARE: 'welfare',
+  ACCOUNT: 'account'
+};
+
+const NOTIFICATION_TYPE_VALUES = Object.values(NOTIFICATION_TYPES);
+
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+
+const NOTIFICATION_CONFIG = {
+  // Oldest devices are dropped beyond this many per member
+  maxDevicesPerUser: 10,
+  // Inbox entries are deleted after this many days
+  inboxRetentionDays: parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90,
+  // Recipients handled per batch when notifying many members
+  batchSize: 500,
+  // Parallel requests to the push transport
+  sendConcurrency: 10
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TYPE_VALUES,
+  DEVICE_PLATFORMS,
+  NOTIFICATION_CONFIG
+};
@@ -0,0 +1,54 @@
+/**
+ * OTP Delivery Configuration
+ */
+
+const OTP_CHANNELS = {
+  SMS: 'sms',
+  WHATSAPP: 'whatsapp',
+  CALL: 'call'
+};
+
+const OTP_CHANNEL_VALUES = Object.values(OTP_CHANNELS);
+
+// Order channels are tried in when deliveries keep failing
+const FALLBACK_ORDER = [OTP_CHANNELS.SMS, OTP_CHANNELS.WHATSAPP, OTP_CHANNELS.CALL];
+
+const OTP_DELIVERY_CONFIG = {
+  // First resend cooldown; doubles with every further send
+  resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 30,
+  maxResendCooldownSeconds: parseInt(process.env.OTP_MAX_RESEND_COOLDOWN_SECONDS, 10) || 5 * 60,
+  // Failed deliveries on a channel before moving to the next one
+  fallbackAfterFailures: parseInt(process.env.OTP_FALLBACK_AFTER_FAILURES, 10) || 2,
+  // Delivery history is forgotten after this much inactivity
+  stateTtlSeconds: 60 * 60
+};
+
+// Failed verifications are counted per phone and per IP
+const OTP_LOCKOUT_SCOPES = {
+  PHONE: 'phone',
+  IP: 'ip'
+};
+
+const OTP_LOCKOUT_SCOPE_VALUES = Object.values(OTP_LOCKOUT_SCOPES);
+
+const OTP_LOCKOUT_CONFIG = {
+  // Wrong codes allowed before a lockout
+  maxFailures: {
+    [OTP_LOCKOUT_SCOPES.PHONE]: parseInt(process.env.OTP_MAX_FAILURES_PER_PHONE, 10) || 5,
+    [OTP_LOCKOUT_SCOPES.IP]: parseInt(process.env.OTP_MAX_FAILURES_PER_IP, 10) || 20
+  },
+  // Progressive lockouts: 15 minutes, 1 hour, then 24 hours
+  lockoutDurationsSeconds: [15 * 60, 60 * 60, 24 * 60 * 60],
+  // Failures and lockout history are forgotten after this much quiet time
+  resetAfterSeconds: 24 * 60 * 60
+};
+
+module.exports = {
+  OTP_CHANNELS,
+  OTP_CHANNEL_VALUES,
+  FALLBACK_ORDER,
+  OTP_DELIVERY_CONFIG,
+  OTP_LOCKOUT_SCOPES,
+  OTP_LOCKOUT_SCOPE_VALUES,
+  OTP_LOCKOUT_CONFIG
+};
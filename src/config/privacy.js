@@ -0,0 +1,49 @@
+/**
+ * Profile Privacy Configuration
+ */
+
+const VISIBILITY = {
+  MEMBERS: 'members',       // visible to every logged-in member
+  COMMITTEE: 'committee',   // visible to committee and above
+  PRIVATE: 'private'        // visible only to the user
+};
+
+const VISIBILITY_VALUES = Object.values(VISIBILITY);
+
+// Fields whose visibility each user can choose, with the system defaults
+// used until an admin sets community defaults
+const PRIVACY_FIELD_DEFAULTS = {
+  phone: VISIBILITY.MEMBERS,
+  email: VISIBILITY.MEMBERS,
+  gender: VISIBILITY.MEMBERS,
+  gothra: VISIBILITY.MEMBERS,
+  dateOfBirth: VISIBILITY.COMMITTEE,
+  fatherName: VISIBILITY.MEMBERS,
+  motherName: VISIBILITY.MEMBERS,
+  education: VISIBILITY.MEMBERS,
+  maritalStatus: VISIBILITY.MEMBERS,
+  occupation: VISIBILITY.MEMBERS,
+  occupationDetails: VISIBILITY.MEMBERS,
+  residenceAddress: VISIBILITY.COMMITTEE,
+  profileImage: VISIBILITY.MEMBERS
+};
+
+const PRIVACY_FIELDS = Object.keys(PRIVACY_FIELD_DEFAULTS);
+
+// Fields that follow the visibility of another field
+const PRIVACY_LINKED_FIELDS = {
+  profileThumbnail: 'profileImage'
+};
+
+// Fields returned when one member views another member's profile
+// (name and joinedDate are always visible)
+const PROFILE_VIEW_FIELDS = ['name', 'joinedDate', ...PRIVACY_FIELDS, ...Object.keys(PRIVACY_LINKED_FIELDS)];
+
+module.exports = {
+  VISIBILITY,
+  VISIBILITY_VALUES,
+  PRIVACY_FIELD_DEFAULTS,
+  PRIVACY_FIELDS,
+  PRIVACY_LINKED_FIELDS,
+  PROFILE_VIEW_FIELDS
+};
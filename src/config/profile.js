@@ -0,0 +1,144 @@
+/**
+ * Profile Field Configuration
+ * Allowed values for member profile fields
+ */
+
+const GENDERS = ['Male', 'Female', 'Other'];
+
+const MARITAL_STATUSES = ['Unmarried', 'Married', 'Divorced', 'Widowed', 'Separated'];
+
+const HOUSE_TYPES = ['Own', 'Rented', 'Leased', 'Government Quarters', 'Other'];
+
+// APL/BPL, Antyodaya Anna Yojana, Priority Household
+const RATION_CARD_TYPES = ['APL', 'BPL', 'AAY', 'PHH', 'None'];
+
+const ANNUAL_INCOME_BANDS = [
+  'Below 1 Lakh',
+  '1-3 Lakhs',
+  '3-5 Lakhs',
+  '5-10 Lakhs',
+  '10-25 Lakhs',
+  'Above 25 Lakhs'
+];
+
+// Fields a member can change through PUT /api/auth/update-profile
+const PROFILE_UPDATE_FIELDS = [
+  'name',
+  'email',
+  'gender',
+  'aadhaar',
+  'fatherName',
+  'motherName',
+  'relationshipWithHead',
+  'gothra',
+  'dateOfBirth',
+  'education',
+  'upanayana',
+  'maritalStatus',
+  'numberOfChildren',
+  'occupation',
+  'occupationDetails',
+  'annualIncome',
+  'taxPayer',
+  'houseType',
+  'residenceAddress',
+  'familyHouse',
+  'rationCardType',
+  'specialPerson',
+  'privacy'
+];
+
+// Fields committee members can correct through PATCH /api/admin/users/:userId.
+// Phone is the login identity and privacy is the member's own choice, so neither is included.
+const ADMIN_EDITABLE_FIELDS = PROFILE_UPDATE_FIELDS.filter((field) => field !== 'privacy');
+
+// Fields returned by /me that the app may send back unchanged; they are ignored
+const PROFILE_READ_ONLY_FIELDS = [
+  '_id',
+  '__v',
+  'phone',
+  'role',
+  'status',
+  'suspendedAt',
+  'suspensionReason',
+  'deletedAt',
+  'isProfileComplete',
+  'profileCompleteness',
+  'profileImage',
+  'profileThumbnail',
+  'notificationPreferences',
+  'joinedDate',
+  'createdAt',
+  'updatedAt'
+];
+
+// Profile sections used for completeness scoring and onboarding progress.
+// The profile is complete when every required field is filled; optional
+// fields only raise the score.
+const PROFILE_SECTIONS = {
+  personal: {
+    label: 'Personal details',
+    required: ['name', 'gender', 'dateOfBirth', 'fatherName', 'gothra'],
+    optional: ['email', 'motherName', 'aadhaar', 'relationshipWithHead', 'profileImage']
+  },
+  educationFamily: {
+    label: 'Education & family',
+    required: ['education', 'maritalStatus'],
+    optional: ['upanayana', 'numberOfChildren']
+  },
+  employment: {
+    label: 'Employment & income',
+    required: ['occupation'],
+    optional: ['occupationDetails', 'annualIncome', 'taxPayer']
+  },
+  house: {
+    label: 'House & contact',
+    required: ['residenceAddress', 'houseType'],
+    optional: ['familyHouse', 'rationCardType', 'specialPerson']
+  }
+};
+
+// Weight of each field in the completeness score
+const PROFILE_FIELD_WEIGHTS = {
+  required: 2,
+  optional: 1
+};
+
+const PROFILE_SECTION_FIELDS = [...new Set(Object.values(PROFILE_SECTIONS)
+  .flatMap((section) => [...section.required, ...section.optional]))];
+
+// Registration drafts: one PATCH per section, then submit
+const REGISTRATION_DRAFT_CONFIG = {
+  // Drafts untouched for this long are deleted
+  ttlHours: parseInt(process.env.REGISTRATION_DRAFT_TTL_HOURS, 10) || 7 * 24,
+  // Fields that must be filled before the draft can be submitted
+  requiredFields: ['name']
+};
+
+// Draft sections: profile sections limited to fields a member can set
+// (the photo is uploaded after registration)
+const REGISTRATION_DRAFT_SECTIONS = Object.fromEntries(Object.entries(PROFILE_SECTIONS)
+  .map(([key, section]) => [
+    key,
+    [...section.required, ...section.optional].filter((field) => PROFILE_UPDATE_FIELDS.includes(field))
+  ]));
+
+// Oldest accepted date of birth
+const MIN_DATE_OF_BIRTH = '1900-01-01';
+
+module.exports = {
+  GENDERS,
+  MARITAL_STATUSES,
+  HOUSE_TYPES,
+  RATION_CARD_TYPES,
+  ANNUAL_INCOME_BANDS,
+  PROFILE_UPDATE_FIELDS,
+  ADMIN_EDITABLE_FIELDS,
+  PROFILE_READ_ONLY_FIELDS,
+  PROFILE_SECTIONS,
+  PROFILE_FIELD_WEIGHTS,
+  PROFILE_SECTION_FIELDS,
+  REGISTRATION_DRAFT_CONFIG,
+  REGISTRATION_DRAFT_SECTIONS,
+  MIN_DATE_OF_BIRTH
+};
@@ -0,0 +1,43 @@
+/**
+ * Rate Limit Configuration
+ * Per-route sliding-window limits, keyed by phone, IP or device id
+ *
+ * Each limit:
+ * by          - 'phone' (req.body.phone), 'ip' (req.ip) or 'device' (X-Device-Id header)
+ * max         - Requests allowed per window
+ * windowMs    - Sliding window length
+ * blockMs     - Optional: block the key this long once the limit is exceeded
+ */
+
+const RATE_LIMIT_KEYS = {
+  PHONE: 'phone',
+  IP: 'ip',
+  DEVICE: 'device'
+};
+
+const MINUTE = 60 * 1000;
+
+const RATE_LIMITS = {
+  // POST /api/auth/send-otp and /api/auth/resend-otp (shared counters)
+  otp: [
+    { by: RATE_LIMIT_KEYS.PHONE, max: 3, windowMs: MINUTE, blockMs: 5 * MINUTE },
+    { by: RATE_LIMIT_KEYS.PHONE, max: 10, windowMs: 60 * MINUTE },
+    { by: RATE_LIMIT_KEYS.DEVICE, max: 5, windowMs: 10 * MINUTE },
+    { by: RATE_LIMIT_KEYS.IP, max: 30, windowMs: 10 * MINUTE }
+  ],
+  // POST /api/auth/verify-otp
+  verifyOtp: [
+    { by: RATE_LIMIT_KEYS.PHONE, max: 10, windowMs: 10 * MINUTE },
+    { by: RATE_LIMIT_KEYS.DEVICE, max: 20, windowMs: 10 * MINUTE },
+    { by: RATE_LIMIT_KEYS.IP, max: 60, windowMs: 10 * MINUTE }
+  ],
+  // POST /api/auth/refresh
+  refresh: [
+    { by: RATE_LIMIT_KEYS.IP, max: 60, windowMs: MINUTE }
+  ]
+};
+
+module.exports = {
+  RATE_LIMIT_KEYS,
+  RATE_LIMITS
+};
@@ -0,0 +1,31 @@
+/**
+ * Household Relationship Configuration
+ * Relationship of each household member to the head of the household
+ */
+
+// Relationship -> generation relative to the head (0 = head's generation)
+const RELATIONSHIP_GENERATIONS = {
+  grandfather: -2,
+  grandmother: -2,
+  father: -1,
+  mother: -1,
+  father_in_law: -1,
+  mother_in_law: -1,
+  spouse: 0,
+  brother: 0,
+  sister: 0,
+  son: 1,
+  daughter: 1,
+  son_in_law: 1,
+  daughter_in_law: 1,
+  grandson: 2,
+  granddaughter: 2,
+  other: null
+};
+
+const RELATIONSHIPS = Object.keys(RELATIONSHIP_GENERATIONS);
+
+module.exports = {
+  RELATIONSHIPS,
+  RELATIONSHIP_GENERATIONS
+};
@@ -0,0 +1,26 @@
+/**
+ * User Roles Configuration
+ */
+
+const ROLES = {
+  MEMBER: 'member',
+  COMMITTEE: 'committee',
+  ADMIN: 'admin',
+  SUPERADMIN: 'superadmin'
+};
+
+// All valid role values, lowest to highest
+const ROLE_VALUES = Object.values(ROLES);
+
+// Roles that may use admin endpoints
+const ADMIN_ROLES = [ROLES.ADMIN, ROLES.SUPERADMIN];
+
+// Roles with committee privileges (committee and above)
+const COMMITTEE_ROLES = [ROLES.COMMITTEE, ROLES.ADMIN, ROLES.SUPERADMIN];
+
+module.exports = {
+  ROLES,
+  ROLE_VALUES,
+  ADMIN_ROLES,
+  COMMITTEE_ROLES
+};
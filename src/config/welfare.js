@@ -0,0 +1,88 @@
+/**
+ * Welfare Scheme Configuration
+ * Scheme categories, application statuses and the facts eligibility rules can use
+ */
+
+const {
+  GENDERS,
+  MARITAL_STATUSES,
+  HOUSE_TYPES,
+  RATION_CARD_TYPES,
+  ANNUAL_INCOME_BANDS
+} = require('./profile');
+
+const WELFARE_SCHEME_CATEGORIES = ['scholarship', 'housing', 'pension', 'medical', 'livelihood', 'other'];
+
+const WELFARE_SCHEME_STATUS = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived'
+};
+
+const WELFARE_SCHEME_STATUS_VALUES = Object.values(WELFARE_SCHEME_STATUS);
+
+const APPLICATION_STATUS = {
+  SUBMITTED: 'submitted',
+  UNDER_REVIEW: 'under_review',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn'
+};
+
+const APPLICATION_STATUS_VALUES = Object.values(APPLICATION_STATUS);
+
+// Applications still waiting for a decision
+const OPEN_APPLICATION_STATUSES = [APPLICATION_STATUS.SUBMITTED, APPLICATION_STATUS.UNDER_REVIEW];
+
+// Statuses the committee can move an application to
+const REVIEW_STATUSES = [APPLICATION_STATUS.UNDER_REVIEW, APPLICATION_STATUS.APPROVED, APPLICATION_STATUS.REJECTED];
+
+// Facts eligibility rules can test, with their type:
+//   number   eq, ne, lt, lte, gt, gte, in, nin
+//   choice   eq, ne, in, nin; "ordered" choices also lt, lte, gt, gte (by list order)
+//   boolean  eq
+//   text     eq, ne, in, nin (case-insensitive)
+// Every fact also supports "exists" (value true / false).
+const ELIGIBILITY_FACTS = {
+  // Member profile
+  age: { type: 'number', label: 'Age' },
+  gender: { type: 'choice', values: GENDERS, label: 'Gender' },
+  maritalStatus: { type: 'choice', values: MARITAL_STATUSES, label: 'Marital status' },
+  education: { type: 'text', label: 'Education' },
+  occupation: { type: 'text', label: 'Occupation' },
+  numberOfChildren: { type: 'number', label: 'Number of children' },
+  annualIncome: { type: 'choice', values: ANNUAL_INCOME_BANDS, ordered: true, label: 'Annual income' },
+  taxPayer: { type: 'boolean', label: 'Tax payer' },
+  houseType: { type: 'choice', values: HOUSE_TYPES, label: 'House type' },
+  rationCardType: { type: 'choice', values: RATION_CARD_TYPES, label: 'Ration card type' },
+  specialPerson: { type: 'boolean', label: 'Person with disability' },
+  // Household
+  householdSize: { type: 'number', label: 'Household size' },
+  householdMinors: { type: 'number', label: 'Children under 18 in household' },
+  householdSeniors: { type: 'number', label: 'Members aged 60+ in household' }
+};
+
+const ELIGIBILITY_OPERATORS = {
+  number: ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'nin', 'exists'],
+  choice: ['eq', 'ne', 'in', 'nin', 'exists'],
+  orderedChoice: ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'nin', 'exists'],
+  boolean: ['eq', 'exists'],
+  text: ['eq', 'ne', 'in', 'nin', 'exists']
+};
+
+// Nesting limit for all / any groups
+const MAX_RULE_DEPTH = 4;
+const MAX_RULE_CONDITIONS = 50;
+
+module.exports = {
+  WELFARE_SCHEME_CATEGORIES,
+  WELFARE_SCHEME_STATUS,
+  WELFARE_SCHEME_STATUS_VALUES,
+  APPLICATION_STATUS,
+  APPLICATION_STATUS_VALUES,
+  OPEN_APPLICATION_STATUSES,
+  REVIEW_STATUSES,
+  ELIGIBILITY_FACTS,
+  ELIGIBILITY_OPERATORS,
+  MAX_RULE_DEPTH,
+  MAX_RULE_CONDITIONS
+};
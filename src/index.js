@@ -15,11 +15,29 @@ const connectDB = require('./config/db');
 const healthRoutes = require('./routes/health');
 const authRoutes = require('./routes/auth');
 const usersRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const householdsRoutes = require('./routes/households');
+const registrationRoutes = require('./routes/registration');
+const eventsRoutes = require('./routes/events');
+const announcementsRoutes = require('./routes/announcements');
+const feedRoutes = require('./routes/feed');
+const notificationsRoutes = require('./routes/notifications');
+const matrimonyRoutes = require('./routes/matrimony');
+const businessesRoutes = require('./routes/businesses');
+const welfareRoutes = require('./routes/welfare');
+const { seedSuperadmin } = require('./services/roleService');
+const User = require('./models/User');
+const { assertEncryptionConfigured } = require('./utils/encryption');
 const errorHandler = require('./middleware/errorHandler');
 
 // Initialize Express app
 const app = express();
 
+// Behind a load balancer, use X-Forwarded-For so per-IP rate limits see the client IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());                        // Enable CORS for Flutter app
 app.use(express.json());                // Parse JSON request bodies
@@ -29,6 +47,16 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/health', healthRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/households', householdsRoutes);
+app.use('/api/registration', registrationRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/announcements', announcementsRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/matrimony', matrimonyRoutes);
+app.use('/api/businesses', businessesRoutes);
+app.use('/api/welfare', welfareRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -55,8 +83,26 @@ const PORT = process.env.PORT || 3000;
 
 const startServer = async () => {
   try {
+    // Field encryption keys are required before any user data is touched
+    assertEncryptionConfigured();
+
     // Connect to MongoDB
     await connectDB();
+
+    // Seed first superadmin from configuration
+    await seedSuperadmin();
+
+    // Build member search keys for existing users
+    const backfilled = await User.backfillSearchKeys();
+    if (backfilled > 0) {
+      console.log(`✓ Search keys built for ${backfilled} users`);
+    }
+
+    // Score profile completeness for existing users
+    const scored = await User.backfillProfileCompleteness();
+    if (scored > 0) {
+      console.log(`✓ Profile completeness scored for ${scored} users`);
+    }
     
     // Start listening
     app.listen(PORT, () => {
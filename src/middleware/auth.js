@@ -4,6 +4,8 @@
  */
 
 const { verifyToken } = require('../utils/jwt');
+const { getActiveSession } = require('../services/sessionService');
+const User = require('../models/User');
 
 /**
  * Middleware to authenticate JWT token
@@ -41,16 +43,9 @@ const authenticate = async (req, res, next) => {
     }
 
     // Verify token
+    let decoded;
     try {
-      const decoded = verifyToken(token);
-      
-      // Attach user info to request
-      req.user = {
-        userId: decoded.userId,
-        phone: decoded.phone
-      };
-
-      next();
+      decoded = verifyToken(token);
     } catch (error) {
       // Token verification failed
       if (error.name === 'TokenExpiredError') {
@@ -69,6 +64,42 @@ const authenticate = async (req, res, next) => {
 
       throw error;
     }
+
+    // Reject suspended and deleted accounts
+    const user = await User.findById(decoded.userId).select('status role');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const blockedMessage = user.getAccountBlockedMessage();
+    if (blockedMessage) {
+      return res.status(403).json({
+        success: false,
+        message: blockedMessage
+      });
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    const session = await getActiveSession(decoded.sid);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been logged out. Please login again.'
+      });
+    }
+
+    // Attach user info to request
+    req.user = {
+      userId: decoded.userId,
+      phone: decoded.phone,
+      role: user.role,
+      sessionId: decoded.sid
+    };
+
+    next();
   } catch (error) {
     console.error('[AUTH] Authentication error:', error.message);
     return res.status(401).json({
@@ -78,6 +109,53 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware factory to restrict a route to certain roles
+ * Must be used after authenticate
+ * @param {...string} roles - Allowed roles
+ */
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization token is required'
+      });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      console.log(`[AUTH] Access denied for user ${req.user.userId} with role: ${req.user.role}`);
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware to require a registration ticket
+ * Reads the ticket issued by /verify-otp from the X-Registration-Ticket header;
+ * the ticket itself is checked by the registration service.
+ */
+const requireRegistrationTicket = (req, res, next) => {
+  const ticket = req.get('X-Registration-Ticket');
+
+  if (!ticket) {
+    return res.status(401).json({
+      success: false,
+      message: 'Registration ticket is required. Please verify your phone first.'
+    });
+  }
+
+  req.registrationTicket = ticket;
+  next();
+};
+
 module.exports = {
-  authenticate
+  authenticate,
+  authorize,
+  requireRegistrationTicket
 };
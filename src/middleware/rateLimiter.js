@@ -1,103 +1,152 @@
 /**
- * In-Memory Rate Limiter Middleware
- * Prevents abuse of OTP endpoints
+ * Rate Limiter Middleware
+ * Sliding-window limits per route, keyed by phone, IP and device id
+ * Counters live in the configured store (see services/rateLimit), so limits
+ * hold across instances and restarts.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * headers for the tightest limit, and Retry-After when a request is refused.
  */
 
-// Store: { phoneNumber: { count: number, resetTime: timestamp } }
-const rateLimitStore = new Map();
+const { RATE_LIMIT_KEYS, RATE_LIMITS } = require('../config/rateLimits');
+const { buildKey, checkLimit } = require('../services/rateLimit');
 
-// Configuration
-const RATE_LIMIT_CONFIG = {
-  maxAttempts: 3,           // Maximum OTP requests per window
-  windowMs: 60 * 1000,      // 1 minute window
-  blockDurationMs: 5 * 60 * 1000  // 5 minute block after exceeding limit
+/**
+ * Get the value a limit is keyed by
+ * @param {object} req
+ * @param {string} by - phone, ip or device
+ * @returns {string|null}
+ */
+const getKeyValue = (req, by) => {
+  switch (by) {
+    case RATE_LIMIT_KEYS.PHONE:
+      return req.body && req.body.phone ? String(req.body.phone).replace(/\D/g, '') : null;
+    case RATE_LIMIT_KEYS.IP:
+      return req.ip || null;
+    case RATE_LIMIT_KEYS.DEVICE:
+      return req.get('X-Device-Id') || null;
+    default:
+      return null;
+  }
 };
 
 /**
- * Clean expired entries periodically
+ * Evaluate every limit of a limiter that applies to the request
+ * @param {string} name - Limiter name from config/rateLimits
+ * @param {object} req
+ * @param {boolean} consume - Count this request
  */
-const cleanupExpiredEntries = () => {
-  const now = Date.now();
-  for (const [key, value] of rateLimitStore.entries()) {
-    if (now > value.resetTime) {
-      rateLimitStore.delete(key);
+const evaluateLimits = async (name, req, consume) => {
+  const limits = RATE_LIMITS[name] || [];
+  const results = [];
+
+  for (const limit of limits) {
+    const value = getKeyValue(req, limit.by);
+    if (value) {
+      results.push(await checkLimit(buildKey(name, limit, value), limit, consume));
     }
   }
+
+  return results;
 };
 
-// Run cleanup every 5 minutes
-setInterval(cleanupExpiredEntries, 5 * 60 * 1000);
+/**
+ * Pick the result closest to (or furthest over) its limit
+ */
+const getTightest = (results) => {
+  return results.reduce((tightest, result) => {
+    if (!tightest) return result;
+    if (result.exceeded !== tightest.exceeded) return result.exceeded ? result : tightest;
+    if (result.exceeded) return result.resetMs > tightest.resetMs ? result : tightest;
+    return result.remaining < tightest.remaining ? result : tightest;
+  }, null);
+};
 
 /**
- * Rate limiter middleware for OTP requests
+ * Get remaining attempts under the tightest limit that applies to a request
+ * @param {string} name - Limiter name from config/rateLimits
+ * @param {object} req
+ * @param {boolean} consume - Count this request
+ * @returns {Promise<{ limit: number, remaining: number, resetSeconds: number, exceeded: boolean }|null>}
+ *   null if no limit applies
  */
-const otpRateLimiter = (req, res, next) => {
-  const phone = req.body.phone;
-  
-  if (!phone) {
-    return next(); // Let validation handle missing phone
-  }
+const getRemainingAttempts = async (name, req, consume) => {
+  const tightest = getTightest(await evaluateLimits(name, req, consume));
 
-  const now = Date.now();
-  const key = phone.replace(/\D/g, ''); // Normalize phone number
-  
-  // Get or create rate limit entry
-  let entry = rateLimitStore.get(key);
-
-  // If no entry or window expired, create new entry
-  if (!entry || now > entry.resetTime) {
-    entry = {
-      count: 1,
-      resetTime: now + RATE_LIMIT_CONFIG.windowMs,
-      blocked: false
-    };
-    rateLimitStore.set(key, entry);
-    return next();
+  if (!tightest) {
+    return null;
   }
 
-  // Check if blocked
-  if (entry.blocked) {
-    const remainingTime = Math.ceil((entry.resetTime - now) / 1000);
-    return res.status(429).json({
-      success: false,
-      message: `Too many requests. Please try again in ${remainingTime} seconds.`
-    });
+  return {
+    limit: tightest.limit,
+    remaining: tightest.remaining,
+    resetSeconds: Math.ceil(tightest.resetMs / 1000),
+    exceeded: tightest.exceeded
+  };
+};
+
+/**
+ * Create rate limiter middleware for a route
+ * @param {string} name - Limiter name from config/rateLimits
+ */
+const createRateLimiter = (name) => {
+  if (!RATE_LIMITS[name]) {
+    throw new Error(`Rate limit "${name}" not configured`);
   }
 
-  // Increment count
-  entry.count++;
+  return async (req, res, next) => {
+    let attempts;
 
-  // Check if limit exceeded
-  if (entry.count > RATE_LIMIT_CONFIG.maxAttempts) {
-    entry.blocked = true;
-    entry.resetTime = now + RATE_LIMIT_CONFIG.blockDurationMs;
-    rateLimitStore.set(key, entry);
+    try {
+      attempts = await getRemainingAttempts(name, req, true);
+    } catch (error) {
+      // Do not lock everyone out when the store is unavailable
+      console.error(`[RATE LIMIT] Store error for ${name}:`, error.message);
+      return next();
+    }
+
+    if (!attempts) {
+      return next();
+    }
+
+    const { limit, remaining, resetSeconds, exceeded } = attempts;
 
-    return res.status(429).json({
-      success: false,
-      message: 'Too many OTP requests. Please try again in 5 minutes.'
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds)
     });
-  }
 
-  rateLimitStore.set(key, entry);
-  next();
+    if (exceeded) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Too many requests. Please try again in ${resetSeconds} seconds.`
+      });
+    }
+
+    next();
+  };
 };
 
 /**
- * Get remaining attempts for a phone number
+ * Rate limiter middleware for OTP requests (send and resend)
  */
-const getRemainingAttempts = (phone) => {
-  const key = phone.replace(/\D/g, '');
-  const entry = rateLimitStore.get(key);
-  
-  if (!entry || Date.now() > entry.resetTime) {
-    return RATE_LIMIT_CONFIG.maxAttempts;
-  }
+const otpRateLimiter = createRateLimiter('otp');
 
-  return Math.max(0, RATE_LIMIT_CONFIG.maxAttempts - entry.count);
-};
+/**
+ * Rate limiter middleware for OTP verification
+ */
+const verifyOtpRateLimiter = createRateLimiter('verifyOtp');
+
+/**
+ * Rate limiter middleware for token refresh
+ */
+const refreshRateLimiter = createRateLimiter('refresh');
 
 module.exports = {
+  createRateLimiter,
   otpRateLimiter,
-  getRemainingAttempts
+  verifyOtpRateLimiter,
+  refreshRateLimiter
 };
@@ -0,0 +1,91 @@
+/**
+ * File Upload Middleware
+ * Multipart uploads held in memory for processing
+ */
+
+const multer = require('multer');
+const { PROFILE_PHOTO_CONFIG } = require('../config/media');
+const { ANNOUNCEMENT_ATTACHMENT_CONFIG } = require('../config/announcements');
+
+/**
+ * Build middleware accepting a single file
+ * Upload errors become 400/413 responses instead of server errors.
+ * @param {object} options
+ * @param {string} options.field - Multipart field name
+ * @param {string} options.label - Name used in error messages ("Photo", "File")
+ * @param {number} options.maxFileSizeBytes
+ * @param {string[]} options.allowedMimeTypes
+ */
+const createSingleFileUpload = ({ field, label, maxFileSizeBytes, allowedMimeTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSizeBytes,
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedMimeTypes.includes(file.mimetype)) {
+        const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+        error.message = `${label} must be one of: ${allowedMimeTypes.join(', ')}`;
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  });
+
+  return (req, res, next) => {
+    upload.single(field)(req, res, (error) => {
+      if (!error) {
+        if (!req.file) {
+          return res.status(400).json({
+            success: false,
+            message: `${label} is required (multipart field "${field}")`
+          });
+        }
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          const maxMb = maxFileSizeBytes / (1024 * 1024);
+          return res.status(413).json({
+            success: false,
+            message: `${label} must be at most ${maxMb} MB`
+          });
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      next(error);
+    });
+  };
+};
+
+/**
+ * Accept a single "photo" file
+ */
+const profilePhotoUpload = createSingleFileUpload({
+  field: 'photo',
+  label: 'Photo',
+  maxFileSizeBytes: PROFILE_PHOTO_CONFIG.maxFileSizeBytes,
+  allowedMimeTypes: PROFILE_PHOTO_CONFIG.allowedMimeTypes
+});
+
+/**
+ * Accept a single announcement attachment ("file")
+ */
+const announcementAttachmentUpload = createSingleFileUpload({
+  field: 'file',
+  label: 'File',
+  maxFileSizeBytes: ANNOUNCEMENT_ATTACHMENT_CONFIG.maxFileSizeBytes,
+  allowedMimeTypes: Object.keys(ANNOUNCEMENT_ATTACHMENT_CONFIG.allowedMimeTypes)
+});
+
+module.exports = {
+  profilePhotoUpload,
+  announcementAttachmentUpload
+};
@@ -3,7 +3,57 @@
  * Using express-validator for request validation
  */
 
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { ROLE_VALUES } = require('../config/roles');
+const { RELATIONSHIPS } = require('../config/relationships');
+const { OTP_CHANNEL_VALUES, OTP_LOCKOUT_SCOPE_VALUES } = require('../config/otp');
+const { AUDIT_ACTION_VALUES } = require('../config/audit');
+const { PROFILE_PHOTO_SIZES } = require('../config/media');
+const { NOTIFICATION_TYPE_VALUES, DEVICE_PLATFORMS } = require('../config/notifications');
+const {
+  BUSINESS_CATEGORY_VALUES,
+  BUSINESS_SORTS,
+  BUSINESS_CONFIG,
+  WEEKDAYS
+} = require('../config/businesses');
+const {
+  MATRIMONY_GENDERS,
+  MATRIMONY_PROFILE_STATUS_VALUES,
+  INTEREST_STATUS_VALUES
+} = require('../config/matrimony');
+const {
+  WELFARE_SCHEME_CATEGORIES,
+  WELFARE_SCHEME_STATUS_VALUES,
+  APPLICATION_STATUS,
+  APPLICATION_STATUS_VALUES,
+  REVIEW_STATUSES
+} = require('../config/welfare');
+const {
+  AUDIENCE_LIST_FIELDS,
+  AUDIENCE_LIST_CHOICES,
+  MAX_AUDIENCE_VALUES
+} = require('../config/announcements');
+const {
+  GENDERS,
+  MARITAL_STATUSES,
+  HOUSE_TYPES,
+  RATION_CARD_TYPES,
+  ANNUAL_INCOME_BANDS,
+  PROFILE_UPDATE_FIELDS,
+  ADMIN_EDITABLE_FIELDS,
+  PROFILE_READ_ONLY_FIELDS,
+  MIN_DATE_OF_BIRTH
+} = require('../config/profile');
+const { validatePrivacyValues } = require('../services/privacyService');
+const {
+  DIRECTORY_FIELDS,
+  DIRECTORY_SORT_KEYS,
+  MAX_PAGE_LIMIT,
+  MAX_SEARCH_LIMIT
+} = require('../config/directory');
+const { decodeCursor } = require('../utils/pagination');
+const { validateEligibilityRule } = require('../utils/eligibility');
+const { normalizeAadhaar, isValidAadhaar, isMaskedAadhaar } = require('../utils/aadhaar');
 
 /**
  * Validation rules for send OTP request
@@ -15,7 +65,11 @@ const sendOtpValidation = [
     .notEmpty()
     .withMessage('Phone number is required')
     .matches(/^(\+91)?[6-9]\d{9}$/)
-    .withMessage('Invalid Indian phone number. Must start with 6-9 and be 10 digits.')
+    .withMessage('Invalid Indian phone number. Must start with 6-9 and be 10 digits.'),
+  body('channel')
+    .optional()
+    .isIn(OTP_CHANNEL_VALUES)
+    .withMessage(`Channel must be one of: ${OTP_CHANNEL_VALUES.join(', ')}`)
 ];
 
 /**
@@ -46,12 +100,16 @@ const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   
   if (!errors.isEmpty()) {
-    // Get first error message for clean response
-    const firstError = errors.array()[0];
+    // First error message for clean response, plus every error for forms
+    const allErrors = errors.array();
     
     return res.status(400).json({
       success: false,
-      message: firstError.msg
+      message: allErrors[0].msg,
+      errors: allErrors.map((error) => ({
+        field: error.path,
+        message: error.msg
+      }))
     });
   }
   
@@ -83,28 +141,1441 @@ const normalizePhone = (req, res, next) => {
   next();
 };
 
+/**
+ * Validation rule for optional Aadhaar number
+ * 12 digits with valid Verhoeff checksum; a masked value (XXXX-XXXX-1234)
+ * sent back by the app is allowed and left for the route to ignore
+ */
+const aadhaarValidation = [
+  body('aadhaar')
+    .optional({ values: 'falsy' })
+    .customSanitizer((value) => (isMaskedAadhaar(value) ? value : normalizeAadhaar(value)))
+    .custom((value) => isMaskedAadhaar(value) || isValidAadhaar(value))
+    .withMessage('Invalid Aadhaar number')
+];
+
+/**
+ * Optional free-text profile field (empty string clears it)
+ */
+const optionalText = (field, label, maxLength) => body(field)
+  .optional({ values: 'falsy' })
+  .isString()
+  .withMessage(`${label} must be text`)
+  .bail()
+  .trim()
+  .isLength({ max: maxLength })
+  .withMessage(`${label} must be at most ${maxLength} characters`);
+
+/**
+ * Optional profile field limited to a list of values (empty string clears it)
+ */
+const optionalChoice = (field, label, values) => body(field)
+  .optional({ values: 'falsy' })
+  .isIn(values)
+  .withMessage(`${label} must be one of: ${values.join(', ')}`);
+
+/**
+ * Optional yes/no profile field
+ */
+const optionalFlag = (field, label) => body(field)
+  .optional({ values: 'null' })
+  .isBoolean({ strict: true })
+  .withMessage(`${label} must be true or false`)
+  .toBoolean(true);
+
+/**
+ * Validation chains for each member profile field
+ * Every field is optional here; required fields are checked by the caller.
+ */
+const profileFieldValidation = {
+  name: body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be text')
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  email: body('email')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Email must be text')
+    .bail()
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .isLength({ max: 254 })
+    .withMessage('Email must be at most 254 characters'),
+  gender: optionalChoice('gender', 'Gender', GENDERS),
+  aadhaar: aadhaarValidation[0],
+  fatherName: optionalText('fatherName', 'Father name', 100),
+  motherName: optionalText('motherName', 'Mother name', 100),
+  relationshipWithHead: optionalText('relationshipWithHead', 'Relationship with head', 50),
+  gothra: optionalText('gothra', 'Gothra', 100),
+  dateOfBirth: body('dateOfBirth')
+    .optional({ values: 'falsy' })
+    .isISO8601({ strict: true })
+    .withMessage('Date of birth must be a valid date (YYYY-MM-DD)')
+    .bail()
+    .custom((value) => {
+      const date = new Date(value);
+      if (date > new Date()) {
+        throw new Error('Date of birth cannot be in the future');
+      }
+      if (date < new Date(MIN_DATE_OF_BIRTH)) {
+        throw new Error(`Date of birth cannot be before ${MIN_DATE_OF_BIRTH}`);
+      }
+      return true;
+    })
+    .toDate(),
+  education: optionalText('education', 'Education', 100),
+  upanayana: optionalFlag('upanayana', 'Upanayana'),
+  maritalStatus: optionalChoice('maritalStatus', 'Marital status', MARITAL_STATUSES),
+  numberOfChildren: body('numberOfChildren')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Number of children must be between 0 and 30')
+    .toInt(),
+  occupation: optionalText('occupation', 'Occupation', 100),
+  occupationDetails: optionalText('occupationDetails', 'Occupation details', 500),
+  annualIncome: optionalChoice('annualIncome', 'Annual income', ANNUAL_INCOME_BANDS),
+  taxPayer: optionalFlag('taxPayer', 'Tax payer'),
+  houseType: optionalChoice('houseType', 'House type', HOUSE_TYPES),
+  residenceAddress: optionalText('residenceAddress', 'Residence address', 500),
+  familyHouse: optionalText('familyHouse', 'Family house', 200),
+  rationCardType: optionalChoice('rationCardType', 'Ration card type', RATION_CARD_TYPES),
+  specialPerson: optionalFlag('specialPerson', 'Special person')
+};
+
 /**
  * Validation rules for register user request
+ * Profile fields are checked the same way as on update-profile and draft submit.
  */
 const registerUserValidation = [
-  body('phone')
+  body('registrationTicket')
     .trim()
     .notEmpty()
-    .withMessage('Phone number is required')
+    .withMessage('Registration ticket is required. Please verify your phone first.'),
+  body('name')
+    .notEmpty({ ignore_whitespace: true })
+    .withMessage('Name is required'),
+  ...Object.values(profileFieldValidation)
+];
+
+/**
+ * Reject body fields outside an allowed list
+ * @param {string[]} allowedFields
+ * @param {string[]} [ignoredFields] - Accepted but left for the route to drop
+ */
+const rejectUnknownFields = (allowedFields, ignoredFields = []) => body()
+  .custom((value) => {
+    const unknownFields = Object.keys(value || {}).filter((field) =>
+      !allowedFields.includes(field) && !ignoredFields.includes(field)
+    );
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown fields: ${unknownFields.join(', ')}`);
+    }
+    return true;
+  });
+
+/**
+ * Validation rules for update profile request
+ * Every field is optional; unknown fields are rejected and
+ * read-only fields echoed back by the app are left for the route to ignore.
+ */
+const updateProfileValidation = [
+  rejectUnknownFields(PROFILE_UPDATE_FIELDS, PROFILE_READ_ONLY_FIELDS),
+  ...Object.values(profileFieldValidation),
+  body('privacy')
+    .optional()
+    .custom((value) => {
+      const privacyError = validatePrivacyValues(value);
+      if (privacyError) {
+        throw new Error(privacyError);
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for saving one section of a registration draft
+ * @param {string[]} fields - Fields of the section
+ */
+const registrationDraftSectionValidation = (fields) => [
+  rejectUnknownFields(fields),
+  ...fields.map((field) => profileFieldValidation[field])
+];
+
+/**
+ * Validate a complete set of profile data outside a request
+ * (e.g. a registration draft before the user is created)
+ * @param {object} data - Profile fields
+ * @param {string[]} [requiredFields]
+ * @returns {Promise<{ errors: Array<{ field: string, message: string }>, data: object }>} - Sanitized data
+ */
+const validateProfileData = async (data, requiredFields = []) => {
+  const req = { body: { ...data } };
+  const chains = [
+    rejectUnknownFields(Object.keys(profileFieldValidation)),
+    ...requiredFields.map((field) => body(field)
+      .notEmpty({ ignore_whitespace: true })
+      .withMessage(`${field} is required`)),
+    ...Object.values(profileFieldValidation)
+  ];
+
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+
+  return {
+    errors: validationResult(req).array().map((error) => ({
+      field: error.path,
+      message: error.msg
+    })),
+    data: req.body
+  };
+};
+
+/**
+ * Validation rules for refresh token request
+ */
+const refreshTokenValidation = [
+  body('refreshToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+/**
+ * Validation rules for changing a user's role
+ */
+const updateRoleValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('role')
+    .trim()
+    .notEmpty()
+    .withMessage('Role is required')
+    .isIn(ROLE_VALUES)
+    .withMessage(`Role must be one of: ${ROLE_VALUES.join(', ')}`)
+];
+
+/**
+ * Validation rules for admin routes taking a :userId param
+ */
+const userIdParamValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+/**
+ * Validation rules for routes taking a photo :size param
+ */
+const photoSizeParamValidation = [
+  param('size')
+    .isIn(PROFILE_PHOTO_SIZES)
+    .withMessage(`Size must be one of: ${PROFILE_PHOTO_SIZES.join(', ')}`)
+];
+
+/**
+ * Validation rules for admin user listing
+ */
+const adminListUsersValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('status')
+    .optional()
+    .isIn(['active', 'suspended', 'deleted'])
+    .withMessage('Status must be one of: active, suspended, deleted'),
+  query('role')
+    .optional()
+    .isIn(ROLE_VALUES)
+    .withMessage(`Role must be one of: ${ROLE_VALUES.join(', ')}`),
+  query('gender')
+    .optional()
+    .isIn(GENDERS)
+    .withMessage(`Gender must be one of: ${GENDERS.join(', ')}`),
+  query('maritalStatus')
+    .optional()
+    .isIn(MARITAL_STATUSES)
+    .withMessage(`Marital status must be one of: ${MARITAL_STATUSES.join(', ')}`),
+  ...['occupation', 'gothra'].map((field) => query(field)
+    .optional()
+    .isString()
+    .withMessage(`${field.charAt(0).toUpperCase()}${field.slice(1)} must be text`)
+    .bail()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage(`${field.charAt(0).toUpperCase()}${field.slice(1)} must be at most 100 characters`))
+];
+
+/**
+ * Validation rules for editing a user's profile (committee)
+ * Only profile fields are accepted; phone, role, status and derived fields are rejected.
+ */
+const adminUpdateUserValidation = [
+  ...userIdParamValidation,
+  rejectUnknownFields(ADMIN_EDITABLE_FIELDS),
+  ...ADMIN_EDITABLE_FIELDS.map((field) => profileFieldValidation[field])
+];
+
+/**
+ * Validation rules for suspending a user
+ */
+const suspendUserValidation = [
+  ...userIdParamValidation,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+/**
+ * Validation rules for directory field projection and filters
+ * Shared by listing and search
+ */
+const directoryFilterValidation = [
+  query('fields')
+    .optional()
+    .custom((value) => String(value).split(',').every((field) => DIRECTORY_FIELDS.includes(field.trim())))
+    .withMessage(`Fields must be a comma-separated list of: ${DIRECTORY_FIELDS.join(', ')}`),
+  query('minAge')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('minAge must be between 0 and 120')
+    .toInt(),
+  query('maxAge')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('maxAge must be between 0 and 120')
+    .toInt()
+    .custom((value, { req }) => req.query.minAge === undefined || value >= Number(req.query.minAge))
+    .withMessage('maxAge must be greater than or equal to minAge')
+];
+
+/**
+ * Validation rules for member directory listing
+ */
+const directoryQueryValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_PAGE_LIMIT}`)
+    .toInt(),
+  query('cursor')
+    .optional()
+    .custom((value) => decodeCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+  query('sort')
+    .optional()
+    .custom((value) => Object.keys(DIRECTORY_SORT_KEYS).includes(String(value).replace(/^-/, '')))
+    .withMessage(`Sort must be one of: ${Object.keys(DIRECTORY_SORT_KEYS).join(', ')} (prefix with - for descending)`),
+  ...directoryFilterValidation
+];
+
+/**
+ * Validation rules for member search
+ */
+const searchQueryValidation = [
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('Search query is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search query must be between 2 and 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_SEARCH_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_SEARCH_LIMIT}`)
+    .toInt(),
+  ...directoryFilterValidation
+];
+
+/**
+ * Validation rules for creating / updating a household
+ */
+const householdValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Household name must be at most 100 characters'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address must be at most 500 characters')
+];
+
+/**
+ * Validation rules for household member details
+ * @param {boolean} isUpdate - Fields are optional when updating
+ */
+const buildHouseholdMemberValidation = (isUpdate) => [
+  body('relationship')
+    .if(() => !isUpdate)
+    .notEmpty()
+    .withMessage('Relationship is required'),
+  body('relationship')
+    .optional()
+    .isIn(RELATIONSHIPS)
+    .withMessage(`Relationship must be one of: ${RELATIONSHIPS.join(', ')}`),
+  body('phone')
+    .optional()
     .matches(/^\+91[6-9]\d{9}$/)
     .withMessage('Invalid phone number format. Must be +91XXXXXXXXXX'),
   body('name')
+    .if((value, { req }) => !isUpdate && !req.body.phone)
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required for members without a phone number'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('gender')
+    .optional()
+    .trim(),
+  body('dateOfBirth')
+    .optional()
+    .isISO8601()
+    .withMessage('Date of birth must be a valid date')
+    .toDate()
+];
+
+const addHouseholdMemberValidation = buildHouseholdMemberValidation(false);
+const updateHouseholdMemberValidation = [
+  param('memberId')
+    .isMongoId()
+    .withMessage('Invalid member ID'),
+  ...buildHouseholdMemberValidation(true)
+];
+
+/**
+ * Validation rules for routes taking a :householdId param
+ */
+const householdIdParamValidation = [
+  param('householdId')
+    .isMongoId()
+    .withMessage('Invalid household ID')
+];
+
+/**
+ * Validation rules for routes taking a :memberId param
+ */
+const memberIdParamValidation = [
+  param('memberId')
+    .isMongoId()
+    .withMessage('Invalid member ID')
+];
+
+/**
+ * Validation rules for admin OTP lockout listing
+ */
+const listOtpLockoutsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('scope')
+    .optional()
+    .isIn(OTP_LOCKOUT_SCOPE_VALUES)
+    .withMessage(`Scope must be one of: ${OTP_LOCKOUT_SCOPE_VALUES.join(', ')}`),
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for admin audit log query
+ */
+const listAuditValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTION_VALUES)
+    .withMessage('Unknown audit action'),
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+  query('targetType')
+    .optional()
+    .isIn(['user', 'phone', 'ip', 'setting', 'business', 'welfare_scheme', 'welfare_application'])
+    .withMessage('Target type must be one of: user, phone, ip, setting, business, welfare_scheme, welfare_application'),
+  query('targetId')
+    .optional()
+    .trim()
+    .isLength({ max: 64 })
+    .withMessage('Invalid target ID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date')
+    .toDate(),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .toDate()
+];
+
+/**
+ * Validation rules for routes taking :scope/:value of an OTP lockout
+ */
+const otpLockoutParamValidation = [
+  param('scope')
+    .isIn(OTP_LOCKOUT_SCOPE_VALUES)
+    .withMessage(`Scope must be one of: ${OTP_LOCKOUT_SCOPE_VALUES.join(', ')}`),
+  param('value')
+    .trim()
+    .notEmpty()
+    .withMessage('Phone number or IP address is required')
+    .isLength({ max: 64 })
+    .withMessage('Invalid phone number or IP address')
+];
+
+/**
+ * Validation rules for creating / updating an event
+ * @param {boolean} isUpdate - Fields are optional when updating
+ */
+const buildEventValidation = (isUpdate) => [
+  body('title')
+    .if(() => !isUpdate)
+    .notEmpty()
+    .withMessage('Title is required'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 150 })
+    .withMessage('Title must be between 3 and 150 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Description must be at most 5000 characters'),
+  body('venue')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Venue must be at most 300 characters'),
+  body('startsAt')
+    .if(() => !isUpdate)
+    .notEmpty()
+    .withMessage('Start time is required'),
+  body('startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid date')
+    .toDate()
+    .custom((value) => value > new Date())
+    .withMessage('Start time must be in the future'),
+  body('endsAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('End time must be a valid date')
+    .toDate(),
+  body('capacity')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Capacity must be a positive number')
+    .toInt(),
+  body('organiser')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid organiser ID'),
+  rejectUnknownFields(['title', 'description', 'venue', 'startsAt', 'endsAt', 'capacity', 'organiser'])
+];
+
+const eventValidation = buildEventValidation(false);
+
+/**
+ * Validation rules for routes taking an :eventId param
+ */
+const eventIdParamValidation = [
+  param('eventId')
+    .isMongoId()
+    .withMessage('Invalid event ID')
+];
+
+const updateEventValidation = [
+  ...eventIdParamValidation,
+  ...buildEventValidation(true)
+];
+
+/**
+ * Validation rules for event listing
+ */
+const listEventsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('past')
+    .optional()
+    .isBoolean()
+    .withMessage('Past must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for page / limit query params
+ */
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+/**
+ * Validation rules for an announcement audience
+ * Each list criterion is an array of values; the age range is inclusive.
+ */
+const AUDIENCE_FIELDS = ['locations', ...Object.keys(AUDIENCE_LIST_FIELDS), 'minAge', 'maxAge'];
+
+const audienceValidation = [
+  body('audience')
+    .optional()
+    .isObject()
+    .withMessage('Audience must be an object')
+    .bail()
+    .custom((value) => {
+      const unknownFields = Object.keys(value).filter((field) => !AUDIENCE_FIELDS.includes(field));
+      if (unknownFields.length > 0) {
+        throw new Error(`Unknown audience fields: ${unknownFields.join(', ')}`);
+      }
+      return true;
+    }),
+  ...['locations', ...Object.keys(AUDIENCE_LIST_FIELDS)].flatMap((field) => {
+    const choices = AUDIENCE_LIST_CHOICES[field];
+    const item = body(`audience.${field}.*`)
+      .isString()
+      .withMessage(`Audience ${field} must be text`)
+      .trim();
+
+    return [
+      body(`audience.${field}`)
+        .optional()
+        .isArray({ max: MAX_AUDIENCE_VALUES })
+        .withMessage(`Audience ${field} must be a list of at most ${MAX_AUDIENCE_VALUES} values`),
+      choices
+        ? item.isIn(choices).withMessage(`Audience ${field} must be from: ${choices.join(', ')}`)
+        : item.isLength({ min: 2, max: 100 }).withMessage(`Audience ${field} must be between 2 and 100 characters`)
+    ];
+  }),
+  ...['minAge', 'maxAge'].map((field) => body(`audience.${field}`)
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 120 })
+    .withMessage(`Audience ${field} must be between 0 and 120`)
+    .toInt())
+];
+
+/**
+ * Validation rules for creating / updating an announcement
+ * @param {boolean} isUpdate - Fields are optional when updating
+ */
+const buildAnnouncementValidation = (isUpdate) => [
+  body('title')
+    .if(() => !isUpdate)
+    .notEmpty()
+    .withMessage('Title is required'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Title must be between 3 and 200 characters'),
+  body('body')
+    .if(() => !isUpdate)
+    .notEmpty()
+    .withMessage('Body is required'),
+  body('body')
+    .optional()
+    .isString()
+    .withMessage('Body must be text')
+    .isLength({ max: 20000 })
+    .withMessage('Body must be at most 20000 characters'),
+  body('pinned')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Pinned must be true or false'),
+  body('publishedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Publish time must be a valid date')
+    .toDate(),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .toDate(),
+  ...audienceValidation,
+  rejectUnknownFields(['title', 'body', 'pinned', 'publishedAt', 'expiresAt', 'audience'])
+];
+
+const announcementValidation = buildAnnouncementValidation(false);
+
+/**
+ * Validation rules for routes taking an :announcementId param
+ */
+const announcementIdParamValidation = [
+  param('announcementId')
+    .isMongoId()
+    .withMessage('Invalid announcement ID')
+];
+
+const updateAnnouncementValidation = [
+  ...announcementIdParamValidation,
+  ...buildAnnouncementValidation(true)
+];
+
+/**
+ * Validation rules for routes taking :announcementId/attachments/:attachmentId
+ */
+const attachmentParamValidation = [
+  ...announcementIdParamValidation,
+  param('attachmentId')
+    .isMongoId()
+    .withMessage('Invalid attachment ID')
+];
+
+/**
+ * Validation rules for the member feed
+ */
+const feedQueryValidation = [
+  ...paginationValidation,
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for registering a push token
+ */
+const registerDeviceValidation = [
+  body('token')
+    .isString()
+    .withMessage('Token is required')
+    .trim()
+    .isLength({ min: 20, max: 4096 })
+    .withMessage('Invalid push token'),
+  body('platform')
+    .isIn(DEVICE_PLATFORMS)
+    .withMessage(`Platform must be one of: ${DEVICE_PLATFORMS.join(', ')}`),
+  body('appVersion')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('App version must be at most 50 characters')
+];
+
+/**
+ * Validation rules for unregistering a push token
+ */
+const unregisterDeviceValidation = [
+  body('token')
+    .isString()
+    .withMessage('Token is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+/**
+ * Validation rules for notification preferences
+ * { "push": false } turns off all push; per type: { "announcement": false }
+ */
+const NOTIFICATION_PREFERENCE_FIELDS = ['push', ...NOTIFICATION_TYPE_VALUES];
+
+const notificationPreferencesValidation = [
+  body()
+    .custom((value) => Object.keys(value || {}).length > 0)
+    .withMessage(`Provide at least one of: ${NOTIFICATION_PREFERENCE_FIELDS.join(', ')}`),
+  ...NOTIFICATION_PREFERENCE_FIELDS.map((field) => body(field)
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage(`${field} must be true or false`)),
+  rejectUnknownFields(NOTIFICATION_PREFERENCE_FIELDS)
+];
+
+/**
+ * Validation rules for the notification inbox
+ */
+const listNotificationsValidation = [
+  ...paginationValidation,
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for marking a notification read / unread
+ */
+const updateNotificationValidation = [
+  param('notificationId')
+    .isMongoId()
+    .withMessage('Invalid notification ID'),
+  body('read')
+    .isBoolean({ strict: true })
+    .withMessage('Read must be true or false')
+];
+
+/**
+ * Validation rules for creating / updating a matrimony profile
+ * Fields left out on create are copied from the member's records.
+ * @param {boolean} isUpdate
+ */
+const MATRIMONY_PROFILE_FIELDS = [
+  'memberId', 'name', 'gender', 'dateOfBirth', 'gothra', 'maritalStatus', 'education',
+  'occupation', 'location', 'heightCm', 'about', 'status', 'preferences', 'contact'
+];
+const MATRIMONY_PREFERENCE_FIELDS = [
+  'minAge', 'maxAge', 'maritalStatuses', 'educations', 'occupations', 'locations', 'allowSameGothra'
+];
+
+const buildMatrimonyProfileValidation = (isUpdate) => [
+  body('memberId')
+    .if(() => !isUpdate)
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid household member ID'),
+  body('memberId')
+    .if(() => isUpdate)
+    .not()
+    .exists()
+    .withMessage('The person a profile is for cannot be changed'),
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be text')
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('gender')
+    .optional()
+    .isIn(MATRIMONY_GENDERS)
+    .withMessage(`Gender must be one of: ${MATRIMONY_GENDERS.join(', ')}`),
+  body('dateOfBirth')
+    .optional()
+    .isISO8601()
+    .withMessage('Date of birth must be a valid date')
+    .toDate(),
+  optionalText('gothra', 'Gothra', 100),
+  optionalChoice('maritalStatus', 'Marital status', MARITAL_STATUSES),
+  optionalText('education', 'Education', 100),
+  optionalText('occupation', 'Occupation', 100),
+  optionalText('location', 'Location', 100),
+  body('heightCm')
+    .optional()
+    .isInt({ min: 100, max: 250 })
+    .withMessage('Height must be between 100 and 250 cm')
+    .toInt(),
+  optionalText('about', 'About', 2000),
+  body('status')
+    .optional()
+    .isIn(MATRIMONY_PROFILE_STATUS_VALUES)
+    .withMessage(`Status must be one of: ${MATRIMONY_PROFILE_STATUS_VALUES.join(', ')}`),
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object')
+    .bail()
+    .custom((value) => {
+      const unknownFields = Object.keys(value).filter((field) => !MATRIMONY_PREFERENCE_FIELDS.includes(field));
+      if (unknownFields.length > 0) {
+        throw new Error(`Unknown preference fields: ${unknownFields.join(', ')}`);
+      }
+      if (value.minAge != null && value.maxAge != null && Number(value.minAge) > Number(value.maxAge)) {
+        throw new Error('Minimum age cannot be above maximum age');
+      }
+      return true;
+    }),
+  ...['minAge', 'maxAge'].map((field) => body(`preferences.${field}`)
+    .optional({ values: 'null' })
+    .isInt({ min: 18, max: 100 })
+    .withMessage(`Preferred ${field} must be between 18 and 100`)
+    .toInt()),
+  body('preferences.maritalStatuses')
+    .optional()
+    .isArray({ max: MARITAL_STATUSES.length })
+    .withMessage('Preferred marital statuses must be a list'),
+  body('preferences.maritalStatuses.*')
+    .isIn(MARITAL_STATUSES)
+    .withMessage(`Preferred marital statuses must be from: ${MARITAL_STATUSES.join(', ')}`),
+  ...['educations', 'occupations', 'locations'].flatMap((field) => [
+    body(`preferences.${field}`)
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage(`Preferred ${field} must be a list of at most 20 values`),
+    body(`preferences.${field}.*`)
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage(`Preferred ${field} must be between 2 and 100 characters`)
+  ]),
+  body('preferences.allowSameGothra')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('allowSameGothra must be true or false'),
+  body('contact')
+    .optional()
+    .isObject()
+    .withMessage('Contact must be an object'),
+  body('contact.name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Contact name must be between 2 and 100 characters'),
+  body('contact.phone')
+    .optional()
+    .matches(/^\+91[6-9]\d{9}$/)
+    .withMessage('Invalid contact phone. Must be +91XXXXXXXXXX'),
+  rejectUnknownFields(MATRIMONY_PROFILE_FIELDS)
+];
+
+const matrimonyProfileValidation = buildMatrimonyProfileValidation(false);
+
+/**
+ * Validation rules for routes taking a :profileId param
+ */
+const matrimonyProfileIdParamValidation = [
+  param('profileId')
+    .isMongoId()
+    .withMessage('Invalid profile ID')
+];
+
+const updateMatrimonyProfileValidation = [
+  ...matrimonyProfileIdParamValidation,
+  ...buildMatrimonyProfileValidation(true)
+];
+
+/**
+ * Validation rules for matrimony match search
+ */
+const matrimonyMatchesValidation = [
+  ...matrimonyProfileIdParamValidation,
+  ...paginationValidation,
+  query('includeSameGothra')
+    .optional()
+    .isBoolean()
+    .withMessage('includeSameGothra must be true or false')
+    .toBoolean(),
+  query('mutual')
+    .optional()
+    .isBoolean()
+    .withMessage('Mutual must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for sending a matrimony interest
+ */
+const sendInterestValidation = [
+  ...matrimonyProfileIdParamValidation,
+  body('toProfileId')
+    .isMongoId()
+    .withMessage('Invalid profile ID'),
+  body('message')
+    .optional()
     .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message must be at most 500 characters')
+];
+
+/**
+ * Validation rules for listing matrimony interests
+ */
+const listInterestsValidation = [
+  ...matrimonyProfileIdParamValidation,
+  query('direction')
+    .optional()
+    .isIn(['received', 'sent'])
+    .withMessage('Direction must be received or sent'),
+  query('status')
+    .optional()
+    .isIn(INTEREST_STATUS_VALUES)
+    .withMessage(`Status must be one of: ${INTEREST_STATUS_VALUES.join(', ')}`)
+];
+
+/**
+ * Validation rules for routes taking an :interestId param
+ */
+const interestIdParamValidation = [
+  param('interestId')
+    .isMongoId()
+    .withMessage('Invalid interest ID')
+];
+
+/**
+ * Validation rules for creating / updating a business listing
+ * @param {boolean} isUpdate - Fields are optional when updating
+ */
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Opening times are only needed for days the business is open
+const isOpenDay = (value, { req, path }) => {
+  const entry = req.body.hours[Number(path.match(/\[(\d+)\]/)[1])];
+  return !(entry && entry.closed === true);
+};
+
+const buildBusinessValidation = (isUpdate) => [
+  ...['name', 'category', 'area'].map((field) => body(field)
+    .if(() => !isUpdate)
+    .notEmpty()
+    .withMessage(`${field.charAt(0).toUpperCase()}${field.slice(1)} is required`)),
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be text')
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 120 })
+    .withMessage('Name must be between 2 and 120 characters'),
+  body('category')
+    .optional()
+    .isIn(BUSINESS_CATEGORY_VALUES)
+    .withMessage(`Category must be one of: ${BUSINESS_CATEGORY_VALUES.join(', ')}`),
+  body('services')
+    .optional()
+    .isArray({ max: BUSINESS_CONFIG.maxServices })
+    .withMessage(`Services must be a list of at most ${BUSINESS_CONFIG.maxServices} entries`),
+  body('services.*')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 80 })
+    .withMessage('Each service must be between 2 and 80 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be at most 2000 characters'),
+  body('area')
+    .optional()
+    .isString()
+    .withMessage('Area must be text')
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Area must be between 2 and 100 characters'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Address must be at most 300 characters'),
+  body('contact')
+    .optional()
+    .isObject()
+    .withMessage('Contact must be an object')
+    .bail()
+    .custom((value) => {
+      const unknownFields = Object.keys(value).filter((field) => !['phone', 'whatsapp', 'email', 'website'].includes(field));
+      if (unknownFields.length > 0) {
+        throw new Error(`Unknown contact fields: ${unknownFields.join(', ')}`);
+      }
+      return true;
+    }),
+  ...['phone', 'whatsapp'].map((field) => body(`contact.${field}`)
+    .optional()
+    .matches(/^\+91[6-9]\d{9}$/)
+    .withMessage(`Invalid ${field} number. Must be +91XXXXXXXXXX`)),
+  body('contact.email')
+    .optional()
+    .isEmail()
+    .withMessage('Invalid email address'),
+  body('contact.website')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Website must be a http(s) URL'),
+  body('hours')
+    .optional()
+    .isArray({ max: WEEKDAYS.length })
+    .withMessage('Hours must be a list with one entry per day')
+    .bail()
+    .custom((value) => new Set(value.map((entry) => entry && entry.day)).size === value.length)
+    .withMessage('Each day can appear only once in hours'),
+  body('hours.*.day')
+    .isIn(WEEKDAYS)
+    .withMessage(`Day must be one of: ${WEEKDAYS.join(', ')}`),
+  body('hours.*.closed')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Closed must be true or false'),
+  body('hours.*.opens')
+    .if(isOpenDay)
+    .matches(TIME_OF_DAY_PATTERN)
+    .withMessage('Opening time must be HH:MM (24-hour)'),
+  body('hours.*.closes')
+    .if(isOpenDay)
+    .matches(TIME_OF_DAY_PATTERN)
+    .withMessage('Closing time must be HH:MM (24-hour)'),
+  rejectUnknownFields(['name', 'category', 'services', 'description', 'area', 'address', 'contact', 'hours'])
+];
+
+const businessValidation = buildBusinessValidation(false);
+
+/**
+ * Validation rules for routes taking a :businessId param
+ */
+const businessIdParamValidation = [
+  param('businessId')
+    .isMongoId()
+    .withMessage('Invalid business ID')
+];
+
+const updateBusinessValidation = [
+  ...businessIdParamValidation,
+  ...buildBusinessValidation(true)
+];
+
+/**
+ * Validation rules for browsing / searching the business directory
+ */
+const listBusinessesValidation = [
+  ...paginationValidation,
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search query must be between 2 and 100 characters'),
+  query('category')
+    .optional()
+    .isIn(BUSINESS_CATEGORY_VALUES)
+    .withMessage(`Category must be one of: ${BUSINESS_CATEGORY_VALUES.join(', ')}`),
+  query('area')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Area must be between 2 and 100 characters'),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(BUSINESS_SORTS))
+    .withMessage(`Sort must be one of: ${Object.keys(BUSINESS_SORTS).join(', ')}`)
+];
+
+/**
+ * Validation rules for approving / rejecting a listing
+ */
+const moderateBusinessValidation = [
+  ...businessIdParamValidation,
+  body('reason')
+    .if((value, { req }) => req.params.decision === 'reject')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required when rejecting a listing')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+/**
+ * Validation rules for a business review
+ */
+const businessReviewValidation = [
+  ...businessIdParamValidation,
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+    .toInt(),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment must be at most 1000 characters')
+];
+
+/**
+ * Validation rules for routes taking :businessId/reviews/:reviewId
+ */
+const businessReviewParamValidation = [
+  ...businessIdParamValidation,
+  param('reviewId')
+    .isMongoId()
+    .withMessage('Invalid review ID')
+];
+
+/**
+ * Validation rules for creating / updating a welfare scheme
+ * @param {boolean} isUpdate - Fields are optional when updating
+ */
+const buildWelfareSchemeValidation = (isUpdate) => [
+  ...['name', 'category'].map((field) => body(field)
+    .if(() => !isUpdate)
     .notEmpty()
-    .withMessage('Name is required')
-    .isLength({ min: 2 })
-    .withMessage('Name must be at least 2 characters'),
+    .withMessage(`${field.charAt(0).toUpperCase()}${field.slice(1)} is required`)),
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be text')
+    .bail()
+    .trim()
+    .isLength({ min: 3, max: 150 })
+    .withMessage('Name must be between 3 and 150 characters'),
+  body('category')
+    .optional()
+    .isIn(WELFARE_SCHEME_CATEGORIES)
+    .withMessage(`Category must be one of: ${WELFARE_SCHEME_CATEGORIES.join(', ')}`),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Description must be at most 5000 characters'),
+  body('benefits')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Benefits must be at most 1000 characters'),
+  body('eligibility')
+    .optional()
+    .custom((value) => {
+      const ruleError = validateEligibilityRule(value);
+      if (ruleError) {
+        throw new Error(ruleError);
+      }
+      return true;
+    }),
+  body('requiredDocuments')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Required documents must be a list of at most 20 entries'),
+  body('requiredDocuments.*')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Each required document must be between 2 and 150 characters'),
+  body('opensAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Opening date must be a valid date')
+    .toDate(),
+  body('closesAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Closing date must be a valid date')
+    .toDate(),
+  body('status')
+    .optional()
+    .isIn(WELFARE_SCHEME_STATUS_VALUES)
+    .withMessage(`Status must be one of: ${WELFARE_SCHEME_STATUS_VALUES.join(', ')}`),
+  rejectUnknownFields([
+    'name', 'description', 'category', 'benefits', 'eligibility',
+    'requiredDocuments', 'opensAt', 'closesAt', 'status'
+  ])
+];
+
+const welfareSchemeValidation = buildWelfareSchemeValidation(false);
+
+/**
+ * Validation rules for routes taking a :schemeId param
+ */
+const welfareSchemeIdParamValidation = [
+  param('schemeId')
+    .isMongoId()
+    .withMessage('Invalid scheme ID')
+];
+
+const updateWelfareSchemeValidation = [
+  ...welfareSchemeIdParamValidation,
+  ...buildWelfareSchemeValidation(true)
+];
+
+/**
+ * Validation rules for listing welfare schemes
+ */
+const listWelfareSchemesValidation = [
+  ...paginationValidation,
+  query('category')
+    .optional()
+    .isIn(WELFARE_SCHEME_CATEGORIES)
+    .withMessage(`Category must be one of: ${WELFARE_SCHEME_CATEGORIES.join(', ')}`),
+  query('status')
+    .optional()
+    .isIn(WELFARE_SCHEME_STATUS_VALUES)
+    .withMessage(`Status must be one of: ${WELFARE_SCHEME_STATUS_VALUES.join(', ')}`)
+];
+
+/**
+ * Validation rules for applying to a welfare scheme
+ */
+const welfareApplicationValidation = [
+  ...welfareSchemeIdParamValidation,
+  body('statement')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Statement must be at most 2000 characters'),
+  rejectUnknownFields(['statement'])
+];
+
+/**
+ * Validation rules for routes taking an :applicationId param
+ */
+const welfareApplicationIdParamValidation = [
+  param('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID')
+];
+
+/**
+ * Validation rules for listing welfare applications (committee)
+ */
+const listWelfareApplicationsValidation = [
+  ...paginationValidation,
+  query('scheme')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid scheme ID'),
+  query('status')
+    .optional()
+    .isIn(APPLICATION_STATUS_VALUES)
+    .withMessage(`Status must be one of: ${APPLICATION_STATUS_VALUES.join(', ')}`)
+];
+
+/**
+ * Validation rules for reviewing a welfare application
+ */
+const reviewWelfareApplicationValidation = [
+  ...welfareApplicationIdParamValidation,
+  body('status')
+    .isIn(REVIEW_STATUSES)
+    .withMessage(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`),
+  body('comment')
+    .if(body('status').equals(APPLICATION_STATUS.REJECTED))
+    .trim()
+    .notEmpty()
+    .withMessage('A comment is required when rejecting an application'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment must be at most 1000 characters'),
+  rejectUnknownFields(['status', 'comment'])
+];
+
+/**
+ * Validation rules for an RSVP
+ */
+const rsvpValidation = [
+  ...eventIdParamValidation,
+  body('headcount')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Headcount must be a positive number')
+    .toInt(),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Note must be at most 300 characters')
 ];
 
 module.exports = {
   sendOtpValidation,
   verifyOtpValidation,
   registerUserValidation,
+  updateProfileValidation,
+  registrationDraftSectionValidation,
+  validateProfileData,
+  aadhaarValidation,
+  refreshTokenValidation,
+  updateRoleValidation,
+  userIdParamValidation,
+  photoSizeParamValidation,
+  adminListUsersValidation,
+  adminUpdateUserValidation,
+  suspendUserValidation,
+  directoryQueryValidation,
+  searchQueryValidation,
+  householdValidation,
+  addHouseholdMemberValidation,
+  updateHouseholdMemberValidation,
+  householdIdParamValidation,
+  memberIdParamValidation,
+  listOtpLockoutsValidation,
+  otpLockoutParamValidation,
+  listAuditValidation,
+  eventValidation,
+  updateEventValidation,
+  eventIdParamValidation,
+  listEventsValidation,
+  rsvpValidation,
+  paginationValidation,
+  announcementValidation,
+  updateAnnouncementValidation,
+  announcementIdParamValidation,
+  attachmentParamValidation,
+  feedQueryValidation,
+  registerDeviceValidation,
+  unregisterDeviceValidation,
+  notificationPreferencesValidation,
+  listNotificationsValidation,
+  updateNotificationValidation,
+  matrimonyProfileValidation,
+  updateMatrimonyProfileValidation,
+  matrimonyProfileIdParamValidation,
+  matrimonyMatchesValidation,
+  sendInterestValidation,
+  listInterestsValidation,
+  interestIdParamValidation,
+  businessValidation,
+  updateBusinessValidation,
+  businessIdParamValidation,
+  listBusinessesValidation,
+  moderateBusinessValidation,
+  businessReviewValidation,
+  businessReviewParamValidation,
+  welfareSchemeValidation,
+  updateWelfareSchemeValidation,
+  welfareSchemeIdParamValidation,
+  listWelfareSchemesValidation,
+  welfareApplicationValidation,
+  welfareApplicationIdParamValidation,
+  listWelfareApplicationsValidation,
+  reviewWelfareApplicationValidation,
   handleValidationErrors,
   normalizePhone
 };
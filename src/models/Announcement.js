@@ -0,0 +1,84 @@
+/**
+ * Announcement Model
+ * Committee notices shown in the member feed
+ */
+
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  // Storage key (see services/storage); not exposed to members
+  key: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: Number
+}, {
+  timestamps: { createdAt: 'uploadedAt', updatedAt: false }
+});
+
+// Who the announcement is for; with no criteria it goes to all members.
+// Every criterion given must match (see services/announcementService).
+const audienceSchema = new mongoose.Schema({
+  locations: [{ type: String, trim: true, lowercase: true }],
+  occupations: [{ type: String, trim: true }],
+  genders: [String],
+  maritalStatuses: [String],
+  gothras: [{ type: String, trim: true }],
+  minAge: Number,
+  maxAge: Number
+}, {
+  _id: false
+});
+
+const announcementSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Sanitized HTML
+  body: {
+    type: String,
+    required: true
+  },
+  attachments: [attachmentSchema],
+  audience: {
+    type: audienceSchema,
+    default: () => ({})
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Hidden from the feed afterwards; never expires if unset
+  expiresAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Feed order: pinned first, then newest
+announcementSchema.index({ pinned: -1, publishedAt: -1 });
+announcementSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('Announcement', announcementSchema);
@@ -0,0 +1,28 @@
+/**
+ * AnnouncementRead Model
+ * Records that a member has read an announcement
+ */
+
+const mongoose = require('mongoose');
+
+const announcementReadSchema = new mongoose.Schema({
+  announcement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Announcement',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+announcementReadSchema.index({ user: 1, announcement: 1 }, { unique: true });
+announcementReadSchema.index({ announcement: 1 });
+
+module.exports = mongoose.model('AnnouncementRead', announcementReadSchema);
@@ -0,0 +1,47 @@
+/**
+ * AuditLog Model
+ * Who did what to whom: authentication events, profile changes and admin actions
+ */
+
+const mongoose = require('mongoose');
+
+// One changed field; sensitive values are redacted before saving
+const auditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // User who performed the action (empty for anonymous requests)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetType: String,
+  targetId: String,
+  ip: String,
+  userAgent: String,
+  changes: {
+    type: [auditChangeSchema],
+    default: undefined
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
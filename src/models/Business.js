@@ -0,0 +1,129 @@
+/**
+ * Business Model
+ * A member's business or service listing in the community directory
+ */
+
+const mongoose = require('mongoose');
+const { buildPhoneticKeys } = require('../utils/phonetic');
+const {
+  BUSINESS_CATEGORIES,
+  BUSINESS_CATEGORY_VALUES,
+  BUSINESS_STATUS,
+  BUSINESS_STATUS_VALUES,
+  WEEKDAYS
+} = require('../config/businesses');
+
+// Fields searched by the directory (phonetic word keys)
+const SEARCH_FIELDS = ['name', 'services', 'area', 'description'];
+
+const hoursSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    enum: WEEKDAYS,
+    required: true
+  },
+  // "HH:MM", 24-hour
+  opens: String,
+  closes: String,
+  closed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
+const businessSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: BUSINESS_CATEGORY_VALUES,
+    required: true
+  },
+  services: [{ type: String, trim: true }],
+  description: {
+    type: String,
+    trim: true
+  },
+  // Locality / town, used for browsing by area
+  area: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  contact: {
+    phone: String,
+    whatsapp: String,
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    website: {
+      type: String,
+      trim: true
+    }
+  },
+  hours: [hoursSchema],
+  status: {
+    type: String,
+    enum: BUSINESS_STATUS_VALUES,
+    default: BUSINESS_STATUS.PENDING
+  },
+  // Committee review
+  moderation: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reason: String
+  },
+  publishedAt: Date,
+  // Kept in sync with reviews by the business service
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  searchKeys: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+businessSchema.index({ status: 1, category: 1 });
+businessSchema.index({ searchKeys: 1 });
+
+businessSchema.pre('save', function (next) {
+  if (SEARCH_FIELDS.some((field) => this.isModified(field)) || this.isModified('category')) {
+    this.searchKeys = buildPhoneticKeys([
+      ...SEARCH_FIELDS.flatMap((field) => this[field] || []),
+      BUSINESS_CATEGORIES[this.category]
+    ]);
+  }
+  next();
+});
+
+businessSchema.statics.STATUS = BUSINESS_STATUS;
+
+module.exports = mongoose.model('Business', businessSchema);
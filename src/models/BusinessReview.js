@@ -0,0 +1,36 @@
+/**
+ * BusinessReview Model
+ * A member's rating and review of a business listing (one per member)
+ */
+
+const mongoose = require('mongoose');
+
+const businessReviewSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+businessReviewSchema.index({ business: 1, user: 1 }, { unique: true });
+businessReviewSchema.index({ business: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BusinessReview', businessReviewSchema);
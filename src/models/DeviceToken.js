@@ -0,0 +1,42 @@
+/**
+ * DeviceToken Model
+ * Push tokens of members' devices, tied to the login session that registered them
+ */
+
+const mongoose = require('mongoose');
+const { DEVICE_PLATFORMS } = require('../config/notifications');
+
+const deviceTokenSchema = new mongoose.Schema({
+  // FCM registration token
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Pushes stop once this session is logged out or expires
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    index: true
+  },
+  platform: {
+    type: String,
+    enum: DEVICE_PLATFORMS,
+    required: true
+  },
+  appVersion: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DeviceToken', deviceTokenSchema);
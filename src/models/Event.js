@@ -0,0 +1,68 @@
+/**
+ * Event Model
+ * Community events members can RSVP to
+ */
+
+const mongoose = require('mongoose');
+
+// Event status values
+const EVENT_STATUS = {
+  SCHEDULED: 'scheduled',
+  CANCELLED: 'cancelled'
+};
+
+const eventSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  venue: {
+    type: String,
+    trim: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: Date,
+  // Maximum confirmed headcount; empty means unlimited
+  capacity: {
+    type: Number,
+    min: 1
+  },
+  // Confirmed headcount (sum of "going" RSVPs), kept in sync by the event service
+  attendeeCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  organiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: Object.values(EVENT_STATUS),
+    default: EVENT_STATUS.SCHEDULED
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Upcoming / past listing
+eventSchema.index({ status: 1, startsAt: 1 });
+
+eventSchema.statics.STATUS = EVENT_STATUS;
+
+module.exports = mongoose.model('Event', eventSchema);
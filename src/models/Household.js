@@ -0,0 +1,67 @@
+/**
+ * Household Model
+ * Links a head of household with family members
+ * Members may be registered users or dependents without a phone
+ */
+
+const mongoose = require('mongoose');
+const { RELATIONSHIPS } = require('../config/relationships');
+
+// Link status for registered users added to a household
+const LINK_STATUS = {
+  PENDING: 'pending',     // invited, waiting for the user to accept
+  ACCEPTED: 'accepted'
+};
+
+const householdMemberSchema = new mongoose.Schema({
+  // Set when the member is a registered user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  linkStatus: {
+    type: String,
+    enum: Object.values(LINK_STATUS)
+  },
+  // Details for dependents without an account (children, elders)
+  name: {
+    type: String,
+    trim: true
+  },
+  gender: String,
+  dateOfBirth: Date,
+  relationship: {
+    type: String,
+    enum: RELATIONSHIPS,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const householdSchema = new mongoose.Schema({
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  members: [householdMemberSchema]
+}, {
+  timestamps: true
+});
+
+// Find the household a registered user belongs to
+householdSchema.index({ 'members.user': 1 });
+
+householdSchema.statics.LINK_STATUS = LINK_STATUS;
+
+module.exports = mongoose.model('Household', householdSchema);
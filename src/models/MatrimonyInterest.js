@@ -0,0 +1,44 @@
+/**
+ * MatrimonyInterest Model
+ * An interest sent from one matrimony profile to another
+ * Contacts are revealed to both sides once it is accepted.
+ */
+
+const mongoose = require('mongoose');
+const { INTEREST_STATUS, INTEREST_STATUS_VALUES } = require('../config/matrimony');
+
+const matrimonyInterestSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MatrimonyProfile',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MatrimonyProfile',
+    required: true
+  },
+  // Account that sent it (the profile's manager at the time)
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: INTEREST_STATUS_VALUES,
+    default: INTEREST_STATUS.PENDING
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+matrimonyInterestSchema.index({ from: 1, to: 1 }, { unique: true });
+matrimonyInterestSchema.index({ to: 1, status: 1 });
+
+module.exports = mongoose.model('MatrimonyInterest', matrimonyInterestSchema);
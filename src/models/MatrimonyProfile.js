@@ -0,0 +1,136 @@
+/**
+ * MatrimonyProfile Model
+ * Opt-in matrimony listing for a member or a dependent household member
+ *
+ * Details are copied from the member / household record when the profile
+ * is created and can then be edited on the profile itself.
+ */
+
+const mongoose = require('mongoose');
+const {
+  MATRIMONY_PROFILE_STATUS,
+  MATRIMONY_PROFILE_STATUS_VALUES,
+  MATRIMONY_GENDERS
+} = require('../config/matrimony');
+const { MARITAL_STATUSES } = require('../config/profile');
+
+const preferencesSchema = new mongoose.Schema({
+  minAge: Number,
+  maxAge: Number,
+  // Empty lists accept anyone
+  maritalStatuses: [String],
+  educations: [{ type: String, trim: true }],
+  occupations: [{ type: String, trim: true }],
+  locations: [{ type: String, trim: true }],
+  // Same-gothra matches are excluded unless allowed
+  allowSameGothra: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  _id: false
+});
+
+const matrimonyProfileSchema = new mongoose.Schema({
+  // Who the profile is for: a registered member, or a dependent in a household
+  subject: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    household: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Household'
+    },
+    memberId: mongoose.Schema.Types.ObjectId
+  },
+  // One profile per person: "user:<id>" or "member:<householdId>:<memberId>"
+  subjectKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Account managing the profile: the member, or their guardian (head of household)
+  managedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  gender: {
+    type: String,
+    enum: MATRIMONY_GENDERS,
+    required: true
+  },
+  dateOfBirth: {
+    type: Date,
+    required: true
+  },
+  gothra: {
+    type: String,
+    trim: true
+  },
+  // Lowercased gothra for same-gothra comparison
+  gothraKey: String,
+  maritalStatus: {
+    type: String,
+    enum: MARITAL_STATUSES
+  },
+  education: {
+    type: String,
+    trim: true
+  },
+  occupation: {
+    type: String,
+    trim: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  heightCm: Number,
+  about: {
+    type: String,
+    trim: true
+  },
+  preferences: {
+    type: preferencesSchema,
+    default: () => ({})
+  },
+  // Shared only with profiles that have mutually accepted an interest
+  contact: {
+    name: {
+      type: String,
+      trim: true
+    },
+    phone: {
+      type: String,
+      required: true
+    }
+  },
+  status: {
+    type: String,
+    enum: MATRIMONY_PROFILE_STATUS_VALUES,
+    default: MATRIMONY_PROFILE_STATUS.ACTIVE
+  }
+}, {
+  timestamps: true
+});
+
+matrimonyProfileSchema.pre('save', function (next) {
+  if (this.isModified('gothra')) {
+    this.gothraKey = this.gothra ? this.gothra.trim().toLowerCase() : undefined;
+  }
+  next();
+});
+
+// Match search
+matrimonyProfileSchema.index({ status: 1, gender: 1, dateOfBirth: 1 });
+matrimonyProfileSchema.index({ 'subject.user': 1 });
+
+module.exports = mongoose.model('MatrimonyProfile', matrimonyProfileSchema);
@@ -0,0 +1,46 @@
+/**
+ * Notification Model
+ * A member's notification inbox
+ */
+
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPE_VALUES } = require('../config/notifications');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPE_VALUES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: String,
+  // What the app opens, e.g. { announcementId } or { eventId }
+  data: {
+    type: Map,
+    of: String
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,44 @@
+/**
+ * OtpCode Model
+ * One-time codes issued by the self-managed OTP provider
+ * Only a salted hash of the code is stored
+ */
+
+const mongoose = require('mongoose');
+
+const otpCodeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  salt: {
+    type: String,
+    required: true
+  },
+  // Failed verification attempts for this code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove codes once they expire
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
@@ -0,0 +1,38 @@
+/**
+ * OtpDeliveryState Model
+ * Per-phone OTP delivery history used for resend cooldowns and channel fallback
+ */
+
+const mongoose = require('mongoose');
+
+const otpDeliveryStateSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Sends not yet followed by a successful verification
+  // (the state is removed once the phone verifies)
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  // Channel the member asked for; fallback steps are counted from it
+  requestedChannel: String,
+  // Channel actually used for the last send (may be a fallback)
+  lastChannel: String,
+  lastSentAt: Date,
+  nextResendAt: Date,
+  // Forget state after a quiet period
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+otpDeliveryStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpDeliveryState', otpDeliveryStateSchema);
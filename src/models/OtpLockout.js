@@ -0,0 +1,45 @@
+/**
+ * OtpLockout Model
+ * Failed OTP verifications and lockouts for one phone or IP address
+ */
+
+const mongoose = require('mongoose');
+const { OTP_LOCKOUT_SCOPE_VALUES } = require('../config/otp');
+
+const otpLockoutSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: OTP_LOCKOUT_SCOPE_VALUES,
+    required: true
+  },
+  // Phone number or IP address
+  value: {
+    type: String,
+    required: true
+  },
+  // Wrong codes since the last lockout
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Lockouts so far; each one lasts longer than the previous
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  lastFailedAt: Date,
+  // Forget history after a quiet period
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+otpLockoutSchema.index({ scope: 1, value: 1 }, { unique: true });
+otpLockoutSchema.index({ lockedUntil: -1 });
+otpLockoutSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpLockout', otpLockoutSchema);
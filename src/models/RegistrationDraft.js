@@ -0,0 +1,37 @@
+/**
+ * RegistrationDraft Model
+ * Partly filled registration form for a verified phone that has no account yet
+ */
+
+const mongoose = require('mongoose');
+
+const registrationDraftSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Profile fields saved so far (sensitive fields encrypted)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Sections saved at least once
+  savedSections: {
+    type: [String],
+    default: []
+  },
+  // Pushed back on every save
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+registrationDraftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RegistrationDraft', registrationDraftSchema);
@@ -0,0 +1,36 @@
+/**
+ * RegistrationTicket Model
+ * Tracks single-use registration tickets issued after OTP verification
+ */
+
+const mongoose = require('mongoose');
+
+const registrationTicketSchema = new mongoose.Schema({
+  // JWT ID of the signed ticket
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Phone number verified by OTP
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove tickets once they expire
+registrationTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RegistrationTicket', registrationTicketSchema);
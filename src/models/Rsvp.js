@@ -0,0 +1,52 @@
+/**
+ * Rsvp Model
+ * A member's reply to an event, for themselves and their household
+ */
+
+const mongoose = require('mongoose');
+
+// RSVP status values
+const RSVP_STATUS = {
+  GOING: 'going',
+  WAITLISTED: 'waitlisted'
+};
+
+const rsvpSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // People attending, including the member
+  headcount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: Object.values(RSVP_STATUS),
+    required: true
+  },
+  // Waitlist position is by this time (first come, first served)
+  waitlistedAt: Date,
+  note: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+rsvpSchema.index({ event: 1, user: 1 }, { unique: true });
+rsvpSchema.index({ event: 1, status: 1, waitlistedAt: 1 });
+rsvpSchema.index({ user: 1 });
+
+rsvpSchema.statics.STATUS = RSVP_STATUS;
+
+module.exports = mongoose.model('Rsvp', rsvpSchema);
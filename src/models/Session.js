@@ -0,0 +1,55 @@
+/**
+ * Session Model
+ * Stores login sessions and their current refresh token
+ * Each session is one refresh token family
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 hash of the current (latest) refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of recently rotated refresh tokens, to tell reuse from a wrong token
+  previousRefreshTokenHashes: {
+    type: [String],
+    select: false
+  },
+  // Number of times the refresh token has been rotated
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  // Device info
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove sessions once the refresh token expires
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
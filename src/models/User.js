@@ -4,6 +4,30 @@
  */
 
 const mongoose = require('mongoose');
+const { ROLES, ROLE_VALUES } = require('../config/roles');
+const { buildPhoneticKeys } = require('../utils/phonetic');
+const { PRIVACY_FIELDS, VISIBILITY_VALUES } = require('../config/privacy');
+const { NOTIFICATION_TYPE_VALUES } = require('../config/notifications');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { maskAadhaar } = require('../utils/aadhaar');
+const { computeCompleteness } = require('../utils/profileCompleteness');
+const { PROFILE_SECTION_FIELDS } = require('../config/profile');
+
+// Stored encrypted at rest; decrypted transparently by getters
+const ENCRYPTED_FIELDS = ['aadhaar', 'annualIncome', 'rationCardType'];
+
+const encryptedString = {
+  type: String,
+  set: encrypt,
+  get: decrypt
+};
+
+// Account status values
+const USER_STATUS = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  DELETED: 'deleted'
+};
 
 const userSchema = new mongoose.Schema({
   phone: {
@@ -25,7 +49,7 @@ const userSchema = new mongoose.Schema({
   },
   // Personal Details
   gender: String,
-  aadhaar: String,
+  aadhaar: encryptedString,
   fatherName: String,
   motherName: String,
   relationshipWithHead: String,
@@ -39,29 +63,282 @@ const userSchema = new mongoose.Schema({
   // Employment & Income
   occupation: String,
   occupationDetails: String,
-  annualIncome: String,
+  annualIncome: encryptedString,
   taxPayer: Boolean,
   // House & Contact
   houseType: String,
   residenceAddress: String,
   familyHouse: String,
-  rationCardType: String,
+  rationCardType: encryptedString,
   specialPerson: Boolean,
+  // Profile photo URLs (set by the photo upload endpoint)
   profileImage: String,
+  profileThumbnail: String,
+  profileImageVersion: {
+    type: String,
+    select: false
+  },
+  // Privacy: visibility chosen per field (unset = community default)
+  privacy: Object.fromEntries(PRIVACY_FIELDS.map((field) => [
+    field,
+    { type: String, enum: VISIBILITY_VALUES }
+  ])),
+  // Push notifications: "push" turns all off, then per type (unset = on)
+  notificationPreferences: {
+    push: Boolean,
+    ...Object.fromEntries(NOTIFICATION_TYPE_VALUES.map((type) => [type, Boolean]))
+  },
+  // Access Control
+  role: {
+    type: String,
+    enum: ROLE_VALUES,
+    default: ROLES.MEMBER,
+    index: true
+  },
+  // Account Status
+  status: {
+    type: String,
+    enum: Object.values(USER_STATUS),
+    default: USER_STATUS.ACTIVE,
+    index: true
+  },
+  suspendedAt: Date,
+  suspensionReason: String,
+  deletedAt: Date,
+  // Search
+  searchKeys: {
+    type: [String],
+    select: false
+  },
+  // { field: [phonetic keys] }, so search can leave out fields hidden from the viewer
+  fieldSearchKeys: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
   // Metadata
+  // Both kept in sync with the profile fields (see utils/profileCompleteness)
   isProfileComplete: {
     type: Boolean,
     default: false
   },
+  profileCompleteness: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
   joinedDate: {
     type: Date,
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Apply getters (decryption) when converting documents; lean() queries
+  // return raw encrypted values
+  toObject: { getters: true, virtuals: false },
+  toJSON: { getters: true, virtuals: false }
 });
 
 // Index for phone number lookups
 userSchema.index({ phone: 1 });
 
+// Indexes for directory sorting and cursor pagination
+userSchema.index({ status: 1, name: 1, _id: 1 });
+userSchema.index({ status: 1, joinedDate: 1, _id: 1 });
+
+// Fields covered by member search
+const SEARCH_FIELDS = ['name', 'fatherName', 'gothra', 'occupationDetails', 'residenceAddress'];
+
+// Full-text index for member search
+userSchema.index(
+  {
+    name: 'text',
+    fatherName: 'text',
+    gothra: 'text',
+    occupationDetails: 'text',
+    residenceAddress: 'text'
+  },
+  {
+    name: 'member_search_text',
+    weights: { name: 10, fatherName: 5, gothra: 3, occupationDetails: 2, residenceAddress: 1 },
+    default_language: 'none' // names are not English words, so no stemming
+  }
+);
+
+// Phonetic keys for transliteration-tolerant search
+userSchema.index({ searchKeys: 1 });
+
+/**
+ * Phonetic keys of the search fields, combined and per field
+ * @param {object} values - Search field values
+ * @returns {{ searchKeys: string[], fieldSearchKeys: object }}
+ */
+const buildSearchKeys = (values) => ({
+  searchKeys: buildPhoneticKeys(SEARCH_FIELDS.map((field) => values[field])),
+  fieldSearchKeys: Object.fromEntries(SEARCH_FIELDS.map((field) => [field, buildPhoneticKeys([values[field]])]))
+});
+
+/**
+ * Keep phonetic search keys in sync on save
+ */
+userSchema.pre('save', function (next) {
+  if (this.isNew || SEARCH_FIELDS.some((field) => this.isModified(field))) {
+    this.set(buildSearchKeys(this));
+  }
+  next();
+});
+
+/**
+ * Keep phonetic search keys in sync on findOneAndUpdate / findByIdAndUpdate
+ */
+userSchema.pre('findOneAndUpdate', async function () {
+  const update = this.getUpdate() || {};
+  const changes = update.$set || update;
+
+  if (!SEARCH_FIELDS.some((field) => field in changes)) {
+    return;
+  }
+
+  const current = await this.model.findOne(this.getQuery()).select(SEARCH_FIELDS.join(' ')).lean();
+  if (!current) {
+    return;
+  }
+
+  const merged = { ...current, ...changes };
+  update.$set = {
+    ...update.$set,
+    ...buildSearchKeys(merged)
+  };
+  this.setUpdate(update);
+});
+
+/**
+ * Keep completeness score in sync on save
+ */
+userSchema.pre('save', function (next) {
+  if (this.isNew || PROFILE_SECTION_FIELDS.some((field) => this.isModified(field))) {
+    const { score, isComplete } = computeCompleteness(this);
+    this.profileCompleteness = score;
+    this.isProfileComplete = isComplete;
+  }
+  next();
+});
+
+/**
+ * Keep completeness score in sync on findOneAndUpdate / findByIdAndUpdate
+ */
+userSchema.pre('findOneAndUpdate', async function () {
+  const update = this.getUpdate() || {};
+  const changes = update.$set || update;
+  const removed = Object.keys(update.$unset || {});
+
+  const touched = [...Object.keys(changes), ...removed];
+  if (!PROFILE_SECTION_FIELDS.some((field) => touched.includes(field))) {
+    return;
+  }
+
+  // Only presence matters, so raw (encrypted) values are fine here
+  const current = await this.model.findOne(this.getQuery()).select(PROFILE_SECTION_FIELDS.join(' ')).lean();
+  if (!current) {
+    return;
+  }
+
+  const merged = { ...current, ...changes };
+  for (const field of removed) {
+    delete merged[field];
+  }
+
+  const { score, isComplete } = computeCompleteness(merged);
+  update.$set = {
+    ...update.$set,
+    profileCompleteness: score,
+    isProfileComplete: isComplete
+  };
+  this.setUpdate(update);
+});
+
+userSchema.statics.STATUS = USER_STATUS;
+userSchema.statics.SEARCH_FIELDS = SEARCH_FIELDS;
+userSchema.statics.ENCRYPTED_FIELDS = ENCRYPTED_FIELDS;
+
+/**
+ * Build search keys for users created before member search (or per-field keys) existed
+ * @returns {Promise<number>} - Number of users updated
+ */
+userSchema.statics.backfillSearchKeys = async function () {
+  const users = await this.find({ fieldSearchKeys: { $exists: false } })
+    .select(SEARCH_FIELDS.join(' '))
+    .lean();
+
+  if (users.length === 0) {
+    return 0;
+  }
+
+  await this.bulkWrite(users.map((user) => ({
+    updateOne: {
+      filter: { _id: user._id },
+      update: { $set: buildSearchKeys(user) }
+    }
+  })));
+
+  return users.length;
+};
+
+/**
+ * Compute completeness for users scored before completeness existed
+ * @returns {Promise<number>} - Number of users updated
+ */
+userSchema.statics.backfillProfileCompleteness = async function () {
+  const users = await this.find({ profileCompleteness: { $exists: false } })
+    .select(PROFILE_SECTION_FIELDS.join(' '))
+    .lean();
+
+  if (users.length === 0) {
+    return 0;
+  }
+
+  await this.bulkWrite(users.map((user) => {
+    const { score, isComplete } = computeCompleteness(user);
+    return {
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { profileCompleteness: score, isProfileComplete: isComplete } }
+      }
+    };
+  }));
+
+  return users.length;
+};
+
+/**
+ * Plain object safe to send in API responses
+ * Sensitive fields are decrypted, Aadhaar is masked (XXXX-XXXX-1234)
+ * @returns {object}
+ */
+userSchema.methods.toSafeObject = function () {
+  const user = this.toObject();
+
+  delete user.__v;
+  delete user.searchKeys;
+
+  if (user.aadhaar) {
+    user.aadhaar = maskAadhaar(user.aadhaar);
+  }
+
+  return user;
+};
+
+/**
+ * Get reason this account may not sign in, or null if it is active
+ * @returns {string|null}
+ */
+userSchema.methods.getAccountBlockedMessage = function () {
+  if (this.status === USER_STATUS.SUSPENDED) {
+    return 'Your account has been suspended. Please contact the committee.';
+  }
+  if (this.status === USER_STATUS.DELETED) {
+    return 'This account has been deleted. Please contact the committee.';
+  }
+  return null;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,72 @@
+/**
+ * WelfareApplication Model
+ * A member's application to a welfare scheme and its review history
+ */
+
+const mongoose = require('mongoose');
+const { APPLICATION_STATUS, APPLICATION_STATUS_VALUES } = require('../config/welfare');
+
+const historySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: APPLICATION_STATUS_VALUES,
+    required: true
+  },
+  comment: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const welfareApplicationSchema = new mongoose.Schema({
+  scheme: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WelfareScheme',
+    required: true
+  },
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: APPLICATION_STATUS_VALUES,
+    default: APPLICATION_STATUS.SUBMITTED
+  },
+  // Applicant's note to the committee
+  statement: {
+    type: String,
+    trim: true
+  },
+  // Latest committee comment, shown to the applicant
+  reviewComment: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  decidedAt: Date,
+  history: [historySchema]
+}, {
+  timestamps: true
+});
+
+// One application per member per scheme; re-applying reuses it
+welfareApplicationSchema.index({ scheme: 1, applicant: 1 }, { unique: true });
+welfareApplicationSchema.index({ status: 1, submittedAt: 1 });
+
+welfareApplicationSchema.statics.STATUS = APPLICATION_STATUS;
+
+module.exports = mongoose.model('WelfareApplication', welfareApplicationSchema);
@@ -0,0 +1,65 @@
+/**
+ * WelfareScheme Model
+ * A community welfare scheme with declarative eligibility rules
+ */
+
+const mongoose = require('mongoose');
+const {
+  WELFARE_SCHEME_CATEGORIES,
+  WELFARE_SCHEME_STATUS,
+  WELFARE_SCHEME_STATUS_VALUES
+} = require('../config/welfare');
+
+const welfareSchemeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: WELFARE_SCHEME_CATEGORIES,
+    required: true
+  },
+  // What the member receives, e.g. "₹10,000 per year towards college fees"
+  benefits: {
+    type: String,
+    trim: true
+  },
+  // Rule tree, see utils/eligibility; empty means every member qualifies
+  eligibility: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  requiredDocuments: [{ type: String, trim: true }],
+  // Application window; either end may be open
+  opensAt: Date,
+  closesAt: Date,
+  status: {
+    type: String,
+    enum: WELFARE_SCHEME_STATUS_VALUES,
+    default: WELFARE_SCHEME_STATUS.ACTIVE
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+welfareSchemeSchema.index({ status: 1, category: 1 });
+
+welfareSchemeSchema.statics.STATUS = WELFARE_SCHEME_STATUS;
+
+module.exports = mongoose.model('WelfareScheme', welfareSchemeSchema);
@@ -0,0 +1,785 @@
+/**
+ * Admin Routes
+ * Administrative endpoints restricted by role
+ */
+
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { changeRole, assertCanManageUser } = require('../services/roleService');
+const { recordAuditEvent, diffChanges, listAuditEvents } = require('../services/auditService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+const { revokeAllSessions } = require('../services/sessionService');
+const { ADMIN_ROLES, COMMITTEE_ROLES } = require('../config/roles');
+const User = require('../models/User');
+const { escapeRegex } = require('../utils/regex');
+const { isMaskedAadhaar } = require('../utils/aadhaar');
+const {
+  listLockouts,
+  getLockout,
+  clearLockout
+} = require('../services/otp/lockoutService');
+const {
+  getPrivacyDefaults,
+  setPrivacyDefaults,
+  validatePrivacyValues
+} = require('../services/privacyService');
+const {
+  updateRoleValidation,
+  userIdParamValidation,
+  adminListUsersValidation,
+  adminUpdateUserValidation,
+  suspendUserValidation,
+  listOtpLockoutsValidation,
+  otpLockoutParamValidation,
+  listAuditValidation,
+  handleValidationErrors
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+// Filters supported by the admin user list (exact match)
+const LIST_FILTER_FIELDS = ['status', 'role', 'gender', 'occupation', 'gothra', 'maritalStatus'];
+
+/**
+ * GET /api/admin/users
+ * Paginated list of all users, including suspended and deleted
+ * Committee and above
+ *
+ * Query params:
+ * page=1&limit=20&q=ramesh&status=active&role=member&gender=Male
+ * &occupation=Self-Employed&gothra=Bharadwaj&maritalStatus=Married
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "users": [ ... ],
+ *   "page": 1,
+ *   "limit": 20,
+ *   "total": 150,
+ *   "totalPages": 8
+ * }
+ */
+router.get(
+  '/users',
+  authenticate,
+  authorize(...COMMITTEE_ROLES),
+  adminListUsersValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      // Build filter from query params
+      const filter = {};
+      for (const field of LIST_FILTER_FIELDS) {
+        if (req.query[field]) {
+          filter[field] = String(req.query[field]);
+        }
+      }
+
+      // Search by name or phone
+      if (req.query.q) {
+        const pattern = new RegExp(escapeRegex(String(req.query.q).trim()), 'i');
+        filter.$or = [{ name: pattern }, { phone: pattern }];
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select('name phone role status occupation gothra createdAt')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        User.countDocuments(filter)
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        users,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] List users error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/users/:userId
+ * Full user record
+ * Committee and above
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "user": { ...fullUser }
+ * }
+ */
+router.get(
+  '/users/:userId',
+  authenticate,
+  authorize(...COMMITTEE_ROLES),
+  userIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        user: user.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Get user error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/admin/users/:userId
+ * Edit profile fields of a user (fix bad records)
+ * Role and status are changed through their own endpoints; phone cannot
+ * be changed here.
+ * Committee and above, for users with a lower role than the caller
+ *
+ * Request body (any of ADMIN_EDITABLE_FIELDS in config/profile):
+ * {
+ *   "name": "Corrected Name",
+ *   "gothra": "Kashyapa"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "user": { ...updatedUser }
+ * }
+ */
+router.patch(
+  '/users/:userId',
+  authenticate,
+  authorize(...COMMITTEE_ROLES),
+  adminUpdateUserValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const updateData = { ...req.body };
+
+      // The app may send back the masked Aadhaar it was given; keep the stored value
+      if (isMaskedAadhaar(updateData.aadhaar)) {
+        delete updateData.aadhaar;
+      }
+
+      const fields = Object.keys(updateData);
+
+      if (fields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No fields to update'
+        });
+      }
+
+      await assertCanManageUser(req.user, req.params.userId);
+
+      const previous = await User.findById(req.params.userId);
+
+      if (!previous) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.params.userId,
+        { $set: updateData },
+        { new: true, runValidators: true }
+      ).select('-__v');
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      console.log(`[ADMIN] User ${user._id} edited by ${req.user.userId}: ${fields.join(', ')}`);
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.ADMIN_USER_UPDATED,
+        req,
+        targetType: 'user',
+        targetId: user._id,
+        changes: diffChanges(previous, user, fields)
+      });
+
+      return res.status(200).json({
+        success: true,
+        user: user.toSafeObject()
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Edit user error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/users/:userId/suspend
+ * Suspend a user and sign them out of all devices
+ * Committee and above, for users with a lower role than the caller
+ *
+ * Request body:
+ * {
+ *   "reason": "Duplicate account"
+ * }
+ */
+router.post(
+  '/users/:userId/suspend',
+  authenticate,
+  authorize(...COMMITTEE_ROLES),
+  suspendUserValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      if (req.params.userId === req.user.userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot suspend your own account'
+        });
+      }
+
+      await assertCanManageUser(req.user, req.params.userId);
+
+      const user = await User.findOneAndUpdate(
+        { _id: req.params.userId, status: User.STATUS.ACTIVE },
+        {
+          $set: {
+            status: User.STATUS.SUSPENDED,
+            suspendedAt: new Date(),
+            suspensionReason: req.body.reason
+          }
+        },
+        { new: true }
+      );
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Active user not found'
+        });
+      }
+
+      await revokeAllSessions(user._id, 'account_suspended');
+
+      console.log(`[ADMIN] User ${user._id} suspended by ${req.user.userId}`);
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.ADMIN_USER_SUSPENDED,
+        req,
+        targetType: 'user',
+        targetId: user._id,
+        changes: [{ field: 'status', before: User.STATUS.ACTIVE, after: User.STATUS.SUSPENDED }],
+        metadata: { reason: req.body.reason }
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'User suspended'
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Suspend user error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/users/:userId/reactivate
+ * Reactivate a suspended or deleted user
+ * Committee and above, for users with a lower role than the caller.
+ * Deleting is admin only, so only admins can restore deleted users.
+ */
+router.post(
+  '/users/:userId/reactivate',
+  authenticate,
+  authorize(...COMMITTEE_ROLES),
+  userIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await assertCanManageUser(req.user, req.params.userId);
+
+      const isAdmin = ADMIN_ROLES.includes(req.user.role);
+
+      if (!isAdmin && await User.exists({ _id: req.params.userId, status: User.STATUS.DELETED })) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only an admin can restore a deleted user'
+        });
+      }
+
+      // Previous version is returned so the audit log shows the old status
+      const user = await User.findOneAndUpdate(
+        {
+          _id: req.params.userId,
+          status: isAdmin ? { $ne: User.STATUS.ACTIVE } : User.STATUS.SUSPENDED
+        },
+        {
+          $set: { status: User.STATUS.ACTIVE },
+          $unset: { suspendedAt: 1, suspensionReason: 1, deletedAt: 1 }
+        },
+        { new: false }
+      );
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Suspended or deleted user not found'
+        });
+      }
+
+      console.log(`[ADMIN] User ${user._id} reactivated by ${req.user.userId}`);
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.ADMIN_USER_REACTIVATED,
+        req,
+        targetType: 'user',
+        targetId: user._id,
+        changes: [{ field: 'status', before: user.status, after: User.STATUS.ACTIVE }]
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'User reactivated'
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Reactivate user error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/users/:userId
+ * Soft delete a user (record is kept, sign-in is refused)
+ * Admin only, for users with a lower role than the caller
+ */
+router.delete(
+  '/users/:userId',
+  authenticate,
+  authorize(...ADMIN_ROLES),
+  userIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      if (req.params.userId === req.user.userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot delete your own account'
+        });
+      }
+
+      await assertCanManageUser(req.user, req.params.userId);
+
+      // Previous version is returned so the audit log shows the old status
+      const user = await User.findOneAndUpdate(
+        { _id: req.params.userId, status: { $ne: User.STATUS.DELETED } },
+        { $set: { status: User.STATUS.DELETED, deletedAt: new Date() } },
+        { new: false }
+      );
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await revokeAllSessions(user._id, 'account_deleted');
+
+      console.log(`[ADMIN] User ${user._id} deleted by ${req.user.userId}`);
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.ADMIN_USER_DELETED,
+        req,
+        targetType: 'user',
+        targetId: user._id,
+        changes: [{ field: 'status', before: user.status, after: User.STATUS.DELETED }]
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'User deleted'
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Delete user error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/admin/users/:userId/role
+ * Promote or demote a member
+ * Admin only - only a superadmin can grant or revoke admin/superadmin
+ *
+ * Headers:
+ * Authorization: Bearer <jwt_token>
+ *
+ * Request body:
+ * {
+ *   "role": "committee"
+ * }
+ *
+ * Response (success):
+ * {
+ *   "success": true,
+ *   "user": { "_id": "...", "name": "John Doe", "role": "committee" }
+ * }
+ *
+ * Response (error):
+ * {
+ *   "success": false,
+ *   "message": "Only a superadmin can grant or revoke admin roles"
+ * }
+ */
+router.patch(
+  '/users/:userId/role',
+  authenticate,
+  authorize(...ADMIN_ROLES),
+  updateRoleValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { user, previousRole } = await changeRole(req.user, req.params.userId, req.body.role);
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.ADMIN_ROLE_CHANGED,
+        req,
+        targetType: 'user',
+        targetId: user._id,
+        changes: [{ field: 'role', before: previousRole, after: user.role }]
+      });
+
+      return res.status(200).json({
+        success: true,
+        user: {
+          _id: user._id,
+          name: user.name,
+          role: user.role
+        }
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Change role error:', error.message);
+
+      if (error.statusCode === 403 || error.statusCode === 404) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // Pass to global error handler
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/privacy-defaults
+ * Community default visibility for each profile field
+ * Admin only
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "privacyDefaults": { "phone": "members", "residenceAddress": "committee", ... }
+ * }
+ */
+router.get(
+  '/privacy-defaults',
+  authenticate,
+  authorize(...ADMIN_ROLES),
+  async (req, res, next) => {
+    try {
+      const privacyDefaults = await getPrivacyDefaults();
+
+      return res.status(200).json({
+        success: true,
+        privacyDefaults
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Get privacy defaults error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/privacy-defaults
+ * Change default visibility for fields members have not set themselves
+ * Admin only
+ *
+ * Request body:
+ * {
+ *   "dateOfBirth": "private",
+ *   "email": "committee"
+ * }
+ */
+router.put(
+  '/privacy-defaults',
+  authenticate,
+  authorize(...ADMIN_ROLES),
+  async (req, res, next) => {
+    try {
+      const privacyError = validatePrivacyValues(req.body);
+      if (privacyError) {
+        return res.status(400).json({
+          success: false,
+          message: privacyError
+        });
+      }
+
+      const previousDefaults = await getPrivacyDefaults();
+      const privacyDefaults = await setPrivacyDefaults(req.body, req.user.userId);
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.ADMIN_PRIVACY_DEFAULTS_UPDATED,
+        req,
+        targetType: 'setting',
+        targetId: 'privacyDefaults',
+        changes: diffChanges(previousDefaults, privacyDefaults, Object.keys(req.body))
+      });
+
+      console.log(`[ADMIN] Privacy defaults updated by ${req.user.userId}`);
+
+      return res.status(200).json({
+        success: true,
+        privacyDefaults
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Update privacy defaults error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/otp-lockouts
+ * Phones and IPs with failed OTP verifications
+ * Admin only
+ *
+ * Query params:
+ * page=1&limit=20&scope=phone&active=true
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "lockouts": [
+ *     {
+ *       "scope": "phone",
+ *       "value": "+919876543210",
+ *       "failedAttempts": 0,
+ *       "lockoutCount": 2,
+ *       "lockedUntil": "2024-01-01T01:00:00.000Z",
+ *       "lastFailedAt": "2024-01-01T00:00:00.000Z"
+ *     }
+ *   ],
+ *   "page": 1,
+ *   "limit": 20,
+ *   "total": 1,
+ *   "totalPages": 1
+ * }
+ */
+router.get(
+  '/otp-lockouts',
+  authenticate,
+  authorize(...ADMIN_ROLES),
+  listOtpLockoutsValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { lockouts, total } = await listLockouts({
+        scope: req.query.scope,
+        active: req.query.active,
+        page,
+        limit
+      });
+
+      return res.status(200).json({
+        success: true,
+        lockouts,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] List OTP lockouts error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/otp-lockouts/:scope/:value
+ * Failed verifications and lockout for one phone or IP
+ * Admin only
+ *
+ * Example: GET /api/admin/otp-lockouts/phone/+919876543210
+ */
+router.get(
+  '/otp-lockouts/:scope/:value',
+  authenticate,
+  authorize(...ADMIN_ROLES),
+  otpLockoutParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const lockout = await getLockout(req.params.scope, req.params.value);
+
+      if (!lockout) {
+        return res.status(404).json({
+          success: false,
+          message: 'No failed verifications recorded'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        lockout,
+        isLocked: Boolean(lockout.lockedUntil && lockout.lockedUntil > new Date())
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Get OTP lockout error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/otp-lockouts/:scope/:value
+ * Clear failed verifications and any lockout for one phone or IP
+ * Admin only
+ */
+router.delete(
+  '/otp-lockouts/:scope/:value',
+  authenticate,
+  authorize(...ADMIN_ROLES),
+  otpLockoutParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const cleared = await clearLockout(req.params.scope, req.params.value, req);
+
+      if (!cleared) {
+        return res.status(404).json({
+          success: false,
+          message: 'No failed verifications recorded'
+        });
+      }
+
+      console.log(`[ADMIN] OTP lockout for ${req.params.scope} ${req.params.value} cleared by ${req.user.userId}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Lockout cleared'
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Clear OTP lockout error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/audit
+ * Audit log, newest first
+ * Admin only
+ *
+ * Query params:
+ * page=1&limit=50&action=profile.updated&actor=<userId>
+ * &targetType=user&targetId=<userId>&from=2024-01-01&to=2024-01-31
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "events": [
+ *     {
+ *       "action": "profile.updated",
+ *       "actor": { "_id": "...", "name": "Ramesh Achar", "phone": "+919876543210", "role": "member" },
+ *       "targetType": "user",
+ *       "targetId": "...",
+ *       "ip": "203.0.113.10",
+ *       "userAgent": "Dart/3.2",
+ *       "changes": [
+ *         { "field": "occupation", "before": "Farmer", "after": "Self-Employed" },
+ *         { "field": "aadhaar", "before": null, "after": "[REDACTED]" }
+ *       ],
+ *       "createdAt": "2024-01-01T00:00:00.000Z"
+ *     }
+ *   ],
+ *   "page": 1,
+ *   "limit": 50,
+ *   "total": 1,
+ *   "totalPages": 1
+ * }
+ */
+router.get(
+  '/audit',
+  authenticate,
+  authorize(...ADMIN_ROLES),
+  listAuditValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 50;
+
+      const { events, total } = await listAuditEvents(req.query, page, limit);
+
+      return res.status(200).json({
+        success: true,
+        events,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] List audit events error:', error.message);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
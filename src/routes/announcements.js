@@ -0,0 +1,214 @@
+/**
+ * Announcement Routes
+ * Publishing and managing announcements (committee and above)
+ * Members read announcements through /api/feed.
+ */
+
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { announcementAttachmentUpload } = require('../middleware/upload');
+const { COMMITTEE_ROLES } = require('../config/roles');
+const {
+  createAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement,
+  listAnnouncements,
+  addAttachment,
+  removeAttachment
+} = require('../services/announcementService');
+const {
+  paginationValidation,
+  announcementValidation,
+  updateAnnouncementValidation,
+  announcementIdParamValidation,
+  attachmentParamValidation,
+  handleValidationErrors
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+// All announcement management routes require committee role or above
+router.use(authenticate, authorize(...COMMITTEE_ROLES));
+
+/**
+ * GET /api/announcements
+ * All announcements, including scheduled and expired, newest first, with read counts
+ *
+ * Query: page, limit
+ */
+router.get(
+  '/',
+  paginationValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { announcements, total } = await listAnnouncements({ page, limit });
+
+      return res.status(200).json({
+        success: true,
+        announcements,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('[ANNOUNCEMENT] List error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/announcements
+ * Publish an announcement
+ *
+ * Request body:
+ * {
+ *   "title": "Annual general meeting",
+ *   "body": "<p>Meeting on <strong>Sunday</strong> at the community hall.</p>",
+ *   "pinned": true,
+ *   "publishedAt": "2026-05-01T09:00:00+05:30",   // optional, defaults to now
+ *   "expiresAt": "2026-05-10T00:00:00+05:30",     // optional
+ *   "audience": {                                   // optional, omit for all members
+ *     "locations": ["Udupi", "Mangaluru"],
+ *     "occupations": ["Carpenter"],
+ *     "genders": ["Female"],
+ *     "minAge": 18,
+ *     "maxAge": 35
+ *   }
+ * }
+ *
+ * Body HTML is limited to basic formatting and links; anything else is removed.
+ * Attachments are added afterwards with POST /:announcementId/attachments.
+ */
+router.post(
+  '/',
+  announcementValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const announcement = await createAnnouncement(req.user, req.body);
+
+      return res.status(201).json({
+        success: true,
+        announcement
+      });
+
+    } catch (error) {
+      console.error('[ANNOUNCEMENT] Create error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/announcements/:announcementId
+ * Update an announcement; a given audience replaces the previous one
+ */
+router.patch(
+  '/:announcementId',
+  updateAnnouncementValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const announcement = await updateAnnouncement(req.params.announcementId, req.user, req.body);
+
+      return res.status(200).json({
+        success: true,
+        announcement
+      });
+
+    } catch (error) {
+      console.error('[ANNOUNCEMENT] Update error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/announcements/:announcementId
+ * Delete an announcement with its attachments
+ */
+router.delete(
+  '/:announcementId',
+  announcementIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await deleteAnnouncement(req.params.announcementId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Announcement deleted'
+      });
+
+    } catch (error) {
+      console.error('[ANNOUNCEMENT] Delete error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/announcements/:announcementId/attachments
+ * Attach a file (multipart/form-data, field "file": JPEG, PNG, WebP or PDF)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "attachment": { "_id": "...", "fileName": "agenda.pdf", "url": "/api/feed/<id>/attachments/<id>" }
+ * }
+ */
+router.post(
+  '/:announcementId/attachments',
+  announcementIdParamValidation,
+  handleValidationErrors,
+  announcementAttachmentUpload,
+  async (req, res, next) => {
+    try {
+      const attachment = await addAttachment(req.params.announcementId, req.file);
+
+      return res.status(201).json({
+        success: true,
+        attachment
+      });
+
+    } catch (error) {
+      console.error('[ANNOUNCEMENT] Add attachment error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/announcements/:announcementId/attachments/:attachmentId
+ * Remove an attachment
+ */
+router.delete(
+  '/:announcementId/attachments/:attachmentId',
+  attachmentParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await removeAttachment(req.params.announcementId, req.params.attachmentId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Attachment removed'
+      });
+
+    } catch (error) {
+      console.error('[ANNOUNCEMENT] Remove attachment error:', error.message);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -543,38 +543,152 @@
 
 /**
  * Authentication Routes
- * Handles OTP sending and verification via Twilio Verify
+ * Handles OTP sending and verification through the configured OTP provider
  */
 
 const express = require('express');
-const { sendOTP, verifyOTP, parseTwilioError } = require('../services/twilioService');
-const { otpRateLimiter } = require('../middleware/rateLimiter');
-const { generateToken } = require('../utils/jwt');
+const { verifyOTP, parseOtpError } = require('../services/otp');
+const { requestOtp, recordOtpVerified } = require('../services/otp/deliveryService');
+const {
+  assertNotLocked,
+  recordFailedAttempt,
+  clearFailedAttempts
+} = require('../services/otp/lockoutService');
+const { recordAuditEvent, diffChanges } = require('../services/auditService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+const {
+  otpRateLimiter,
+  verifyOtpRateLimiter,
+  refreshRateLimiter
+} = require('../middleware/rateLimiter');
+const { issueTicket, checkTicket } = require('../services/registrationTicketService');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeUserSession,
+  listSessions
+} = require('../services/sessionService');
 const { authenticate } = require('../middleware/auth');
 const User = require('../models/User');
+const { createMember, hasDraft } = require('../services/registrationService');
+const { getPrivacyDefaults } = require('../services/privacyService');
+const { PROFILE_UPDATE_FIELDS } = require('../config/profile');
+const { computeCompleteness } = require('../utils/profileCompleteness');
+const { isMaskedAadhaar } = require('../utils/aadhaar');
 const { 
   sendOtpValidation,
   verifyOtpValidation,
   registerUserValidation,
+  refreshTokenValidation,
+  updateProfileValidation,
   handleValidationErrors, 
   normalizePhone 
 } = require('../middleware/validators');
 
 const router = express.Router();
 
+/**
+ * Build handler for send-otp / resend-otp
+ * @param {boolean} resend - Require an earlier send
+ */
+const sendOtpHandler = (resend) => async (req, res, next) => {
+  try {
+    const { phone, channel } = req.body;
+
+    console.log(`[OTP] ${resend ? 'Resending' : 'Sending'} OTP to ${phone.slice(0, 6)}****${phone.slice(-2)}`);
+
+    // Send OTP via the configured provider, with cooldown and channel fallback
+    const delivery = await requestOtp(phone, { channel, resend });
+
+    // Check if verification was initiated
+    if (delivery.result.status === 'pending') {
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.OTP_SENT,
+        req,
+        targetType: 'phone',
+        targetId: phone,
+        metadata: { channel: delivery.channel, fallback: delivery.fallback, resend }
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `OTP sent successfully via ${delivery.channel}`,
+        channel: delivery.channel,
+        fallback: delivery.fallback,
+        nextResendAt: delivery.nextResendAt
+      });
+    }
+
+    // Unexpected status
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to send OTP. Please try again.'
+    });
+
+  } catch (error) {
+    console.error('[OTP] Error:', error.message);
+
+    // Resend requested too early
+    if (error.statusCode === 429 && error.nextResendAt) {
+      res.set('Retry-After', String(Math.ceil((error.nextResendAt - Date.now()) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message: error.message,
+        nextResendAt: error.nextResendAt
+      });
+    }
+
+    // Handle OTP provider and delivery errors
+    const providerMessage = parseOtpError(error) || (error.statusCode && error.message);
+    if (providerMessage) {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: providerMessage
+      });
+    }
+
+    // Handle configuration errors
+    if (error.message.includes('not configured')) {
+      return res.status(500).json({
+        success: false,
+        message: 'SMS service not configured'
+      });
+    }
+
+    // Pass to global error handler
+    next(error);
+  }
+};
+
 /**
  * POST /api/auth/send-otp
  * Send OTP to Indian phone number
  * 
  * Request body:
  * {
- *   "phone": "9876543210" or "+919876543210"
+ *   "phone": "9876543210" or "+919876543210",
+ *   "channel": "sms" | "whatsapp" | "call"   (optional, default sms)
  * }
  * 
+ * After repeated sends without a successful verification the OTP is
+ * automatically sent over the next channel (sms -> whatsapp -> call).
+ * 
  * Response:
  * {
  *   "success": true,
- *   "message": "OTP sent successfully"
+ *   "message": "OTP sent successfully via sms",
+ *   "channel": "sms",
+ *   "fallback": false,
+ *   "nextResendAt": "2024-01-01T00:00:30.000Z"
+ * }
+ * 
+ * Response (cooldown):
+ * {
+ *   "success": false,
+ *   "message": "Please wait 25 seconds before requesting another code.",
+ *   "nextResendAt": "2024-01-01T00:00:30.000Z"
  * }
  */
 router.post(
@@ -583,58 +697,34 @@ router.post(
   sendOtpValidation,        // Validate phone format
   handleValidationErrors,   // Handle validation errors
   otpRateLimiter,           // Apply rate limiting
-  async (req, res, next) => {
-    try {
-      const { phone } = req.body;
-
-      console.log(`[OTP] Sending OTP to ${phone.slice(0, 6)}****${phone.slice(-2)}`);
-
-      // Send OTP via Twilio Verify
-      const result = await sendOTP(phone);
-
-      // Check if verification was initiated
-      if (result.status === 'pending') {
-        return res.status(200).json({
-          success: true,
-          message: 'OTP sent successfully'
-        });
-      }
-
-      // Unexpected status
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to send OTP. Please try again.'
-      });
-
-    } catch (error) {
-      console.error('[OTP] Error:', error.message);
-
-      // Handle Twilio-specific errors
-      if (error.code || error.status) {
-        const message = parseTwilioError(error);
-        return res.status(400).json({
-          success: false,
-          message
-        });
-      }
-
-      // Handle configuration errors
-      if (error.message.includes('not configured')) {
-        return res.status(500).json({
-          success: false,
-          message: 'SMS service not configured'
-        });
-      }
+  sendOtpHandler(false)
+);
 
-      // Pass to global error handler
-      next(error);
-    }
-  }
+/**
+ * POST /api/auth/resend-otp
+ * Resend OTP to a phone that already requested one
+ * Cooldown between sends doubles each time (30s, 60s, 120s...).
+ * 
+ * Request body:
+ * {
+ *   "phone": "+919876543210",
+ *   "channel": "whatsapp"   (optional, default: channel used last time)
+ * }
+ * 
+ * Response: same as /send-otp
+ */
+router.post(
+  '/resend-otp',
+  normalizePhone,
+  sendOtpValidation,
+  handleValidationErrors,
+  otpRateLimiter,
+  sendOtpHandler(true)
 );
 
 /**
  * POST /api/auth/verify-otp
- * Verify OTP and return JWT token
+ * Verify OTP and return access + refresh tokens
  * 
  * Request body:
  * {
@@ -642,73 +732,164 @@ router.post(
  *   "otp": "123456"
  * }
  * 
- * Response (success):
+ * Response (existing user):
  * {
  *   "success": true,
  *   "token": "jwt_token_here",
- *   "isNewUser": true/false
+ *   "refreshToken": "refresh_token_here",
+ *   "expiresIn": 900,
+ *   "isNewUser": false
+ * }
+ *
+ * Response (new user):
+ * {
+ *   "success": true,
+ *   "isNewUser": true,
+ *   "registrationTicket": "single_use_ticket_here",
+ *   "registrationTicketExpiresAt": "2024-01-01T00:15:00.000Z",
+ *   "hasRegistrationDraft": false
  * }
+ *
+ * With hasRegistrationDraft the app resumes the form from GET /api/registration/draft.
  * 
- * Response (error):
+ * Response (wrong code):
+ * {
+ *   "success": false,
+ *   "message": "Invalid OTP. Please try again.",
+ *   "attemptsRemaining": 3
+ * }
+ *
+ * Response (locked out, 429):
+ * Wrong codes are counted per phone and per IP. Reaching the limit locks
+ * verification for 15 minutes, then 1 hour, then 24 hours.
  * {
  *   "success": false,
- *   "message": "Invalid OTP"
+ *   "message": "Too many incorrect codes. Please try again in 15 minutes.",
+ *   "lockedUntil": "2024-01-01T00:15:00.000Z"
  * }
  */
 router.post(
   '/verify-otp',
   verifyOtpValidation,
   handleValidationErrors,
+  verifyOtpRateLimiter,
   async (req, res, next) => {
     try {
       const { phone, otp } = req.body;
 
       console.log(`[OTP] Verifying OTP for ${phone.slice(0, 6)}****${phone.slice(-2)}`);
 
-      // Verify OTP via Twilio
+      // Refuse while the phone or IP is locked out
+      await assertNotLocked(phone, req.ip);
+
+      // Verify OTP via the configured provider
       const result = await verifyOTP(phone, otp);
 
       // Check if OTP is valid
       if (!result.valid || result.status !== 'approved') {
+        const { attemptsRemaining, lockedUntil } = await recordFailedAttempt(phone, req);
+
+        await recordAuditEvent({
+          action: AUDIT_ACTIONS.OTP_VERIFY_FAILED,
+          req,
+          targetType: 'phone',
+          targetId: phone,
+          metadata: { attemptsRemaining }
+        });
+
+        if (lockedUntil) {
+          res.set('Retry-After', String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+          return res.status(429).json({
+            success: false,
+            message: 'Too many incorrect codes. Verification is temporarily locked.',
+            lockedUntil
+          });
+        }
+
         return res.status(400).json({
           success: false,
-          message: 'Invalid OTP. Please try again.'
+          message: 'Invalid OTP. Please try again.',
+          attemptsRemaining
         });
       }
 
+      // Code reached the phone: reset resend cooldown, channel fallback and failed attempts
+      await Promise.all([
+        recordOtpVerified(phone),
+        clearFailedAttempts(phone),
+        recordAuditEvent({
+          action: AUDIT_ACTIONS.OTP_VERIFIED,
+          req,
+          targetType: 'phone',
+          targetId: phone
+        })
+      ]);
+
       // Check if user exists in database (DO NOT create user yet)
       const user = await User.findOne({ phone });
       const isNewUser = !user;
 
       if (user) {
         console.log(`[OTP] Existing user found: ${user._id}`);
-        // Generate JWT token for existing user
-        const token = generateToken(user._id.toString(), phone);
+
+        // Refuse suspended and deleted accounts
+        const blockedMessage = user.getAccountBlockedMessage();
+        if (blockedMessage) {
+          return res.status(403).json({
+            success: false,
+            message: blockedMessage
+          });
+        }
+
+        // Start a session and issue tokens for existing user
+        const tokens = await createSession(user, req);
+
+        await recordAuditEvent({
+          action: AUDIT_ACTIONS.LOGIN,
+          req,
+          actor: user._id,
+          targetType: 'user',
+          targetId: user._id
+        });
         return res.status(200).json({
           success: true,
-          token,
+          ...tokens,
           isNewUser: false
         });
       } else {
         console.log(`[OTP] New user - phone verified, awaiting registration`);
         // For new users, we don't generate a token yet
-        // User will get token after completing registration
-        // Return success with isNewUser flag, no token needed for now
+        // Issue a single-use ticket bound to the verified phone instead,
+        // which must be presented to /register-user
+        const { ticket, expiresAt } = await issueTicket(phone);
         return res.status(200).json({
           success: true,
-          isNewUser: true
+          isNewUser: true,
+          registrationTicket: ticket,
+          registrationTicketExpiresAt: expiresAt,
+          hasRegistrationDraft: await hasDraft(phone)
         });
       }
 
     } catch (error) {
       console.error('[OTP] Verification error:', error.message);
 
-      // Handle Twilio-specific errors
-      if (error.code || error.status) {
-        const message = parseTwilioError(error);
-        return res.status(400).json({
+      // Locked out after too many wrong codes
+      if (error.statusCode === 429 && error.lockedUntil) {
+        res.set('Retry-After', String(Math.ceil((error.lockedUntil - Date.now()) / 1000)));
+        return res.status(429).json({
           success: false,
-          message
+          message: error.message,
+          lockedUntil: error.lockedUntil
+        });
+      }
+
+      // Handle OTP provider errors
+      const providerMessage = parseOtpError(error);
+      if (providerMessage) {
+        return res.status(error.statusCode || 400).json({
+          success: false,
+          message: providerMessage
         });
       }
 
@@ -730,9 +911,12 @@ router.post(
  * POST /api/auth/register-user
  * Create new user in database with provided details
  * 
+ * The phone number is taken from the registration ticket issued by
+ * /verify-otp, never from the request body.
+ *
  * Request body:
  * {
- *   "phone": "+919876543210",
+ *   "registrationTicket": "single_use_ticket_from_verify_otp",
  *   "name": "John Doe",
  *   "gender": "Male",
  *   "aadhaar": "123456789012",
@@ -759,7 +943,9 @@ router.post(
  * Response (success):
  * {
  *   "success": true,
- *   "token": "jwt_token_here"
+ *   "token": "jwt_token_here",
+ *   "refreshToken": "refresh_token_here",
+ *   "expiresIn": 900
  * }
  * 
  * Response (error):
@@ -769,24 +955,14 @@ router.post(
  * }
  */
 
-// Helper function to normalize phone numbers
-function normalizePhoneNumber(phone) {
-  if (!phone) return phone;
-  phone = phone.toString().trim();
-  if (!phone.startsWith('+91')) {
-    phone = '+91' + phone;
-  }
-  return phone;
-}
-
 router.post(
   '/register-user',
   registerUserValidation,
   handleValidationErrors,
   async (req, res, next) => {
     try {
-      let {
-        phone,
+      const {
+        registrationTicket,
         name,
         gender,
         aadhaar,
@@ -810,11 +986,20 @@ router.post(
         specialPerson
       } = req.body;
 
-      // Normalize phone number
-      console.log('[DEBUG] Incoming phone:', req.body.phone);
-phone = normalizePhoneNumber(req.body.phone);
-console.log('[DEBUG] Normalized phone:', phone);
-      // phone = normalizePhoneNumber(phone);
+      // Check ticket - rejects expired, forged and replayed tickets.
+      // It is redeemed together with creating the user.
+      let phone;
+      try {
+        phone = await checkTicket(registrationTicket);
+      } catch (error) {
+        if (error.statusCode === 401) {
+          return res.status(401).json({
+            success: false,
+            message: error.message
+          });
+        }
+        throw error;
+      }
 
       // Check if user already exists
       const existingUser = await User.findOne({ phone });
@@ -826,8 +1011,7 @@ console.log('[DEBUG] Normalized phone:', phone);
       }
 
       // Create new user
-      const user = new User({
-        phone,
+      const user = await createMember(registrationTicket, phone, {
         name,
         gender,
         aadhaar,
@@ -848,20 +1032,25 @@ console.log('[DEBUG] Normalized phone:', phone);
         residenceAddress,
         familyHouse,
         rationCardType,
-        specialPerson,
-        isProfileComplete: true
+        specialPerson
       });
 
-      await user.save();
-      console.log(`[REGISTER] New user created: ${user._id} - ${name}`);
+      // Start a session and issue tokens
+      const tokens = await createSession(user, req);
 
-      // Generate JWT token
-      const token = generateToken(user._id.toString(), phone);
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.USER_REGISTERED,
+        req,
+        actor: user._id,
+        targetType: 'user',
+        targetId: user._id,
+        metadata: { phone, role: user.role }
+      });
 
       // Return success response
       return res.status(201).json({
         success: true,
-        token
+        ...tokens
       });
 
     } catch (error) {
@@ -996,6 +1185,211 @@ console.log('[DEBUG] Normalized phone:', phone);
 //   }
 // );
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * The old refresh token stops working (rotation). Reusing an already
+ * rotated refresh token revokes the whole session.
+ * 
+ * Request body:
+ * {
+ *   "refreshToken": "refresh_token_here"
+ * }
+ * 
+ * Response (success):
+ * {
+ *   "success": true,
+ *   "token": "jwt_token_here",
+ *   "refreshToken": "new_refresh_token_here",
+ *   "expiresIn": 900
+ * }
+ * 
+ * Response (error):
+ * {
+ *   "success": false,
+ *   "message": "Refresh token reuse detected. Please login again."
+ * }
+ */
+router.post(
+  '/refresh',
+  refreshTokenValidation,
+  handleValidationErrors,
+  refreshRateLimiter,
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const tokens = await rotateRefreshToken(refreshToken, req);
+
+      return res.status(200).json({
+        success: true,
+        ...tokens
+      });
+
+    } catch (error) {
+      console.error('[AUTH] Refresh token error:', error.message);
+
+      if (error.statusCode === 401) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // Pass to global error handler
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session (its access and refresh tokens stop working)
+ * Protected route - requires JWT authentication
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Logged out successfully"
+ * }
+ */
+router.post(
+  '/logout',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      await revokeSession(req.user.sessionId, 'logout');
+
+      console.log(`[AUTH] User logged out: ${req.user.userId}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+
+    } catch (error) {
+      console.error('[AUTH] Logout error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke every session of the logged-in user, on all devices
+ * Protected route - requires JWT authentication
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Logged out from all devices",
+ *   "revokedSessions": 3
+ * }
+ */
+router.post(
+  '/logout-all',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const revokedSessions = await revokeAllSessions(req.user.userId, 'logout_all');
+
+      console.log(`[AUTH] User logged out everywhere: ${req.user.userId} (${revokedSessions} sessions)`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Logged out from all devices',
+        revokedSessions
+      });
+
+    } catch (error) {
+      console.error('[AUTH] Logout-all error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/sessions
+ * List devices the logged-in user is signed in on
+ * Protected route - requires JWT authentication
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "sessions": [
+ *     {
+ *       "_id": "...",
+ *       "userAgent": "Dart/3.4 (dart:io)",
+ *       "ip": "203.0.113.10",
+ *       "lastSeenAt": "...",
+ *       "createdAt": "...",
+ *       "expiresAt": "...",
+ *       "current": true
+ *     }
+ *   ]
+ * }
+ */
+router.get(
+  '/sessions',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const sessions = await listSessions(req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        sessions: sessions.map((session) => ({
+          ...session,
+          current: session._id.toString() === req.user.sessionId
+        }))
+      });
+
+    } catch (error) {
+      console.error('[AUTH] List sessions error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Sign out one device (e.g. a lost phone)
+ * Protected route - requires JWT authentication
+ * 
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Session revoked"
+ * }
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const revoked = await revokeUserSession(req.user.userId, req.params.sessionId, 'revoked_by_user');
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      console.log(`[AUTH] Session revoked: ${req.params.sessionId} by user: ${req.user.userId}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Session revoked'
+      });
+
+    } catch (error) {
+      console.error('[AUTH] Revoke session error:', error.message);
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/auth/me
  * Get current logged-in user details
@@ -1013,7 +1407,25 @@ console.log('[DEBUG] Normalized phone:', phone);
  *     "name": "John Doe",
  *     "email": "...",
  *     "gender": "...",
+ *     "isProfileComplete": false,
+ *     "profileCompleteness": 72,
  *     ...
+ *   },
+ *   "completeness": {
+ *     "score": 72,
+ *     "isComplete": false,
+ *     "missingSections": ["house"],
+ *     "sections": [
+ *       {
+ *         "key": "house",
+ *         "label": "House & contact",
+ *         "score": 20,
+ *         "isComplete": false,
+ *         "missingRequired": ["houseType"],
+ *         "missingOptional": ["familyHouse", "rationCardType"]
+ *       },
+ *       ...
+ *     ]
  *   }
  * }
  * 
@@ -1040,13 +1452,18 @@ router.get(
         });
       }
 
-      // Convert user to plain object and remove sensitive data if needed
-      const userObject = user.toObject();
+      // Convert user to plain object with sensitive data masked
+      const userObject = user.toSafeObject();
+
+      // Show effective visibility of every field (own choice or community default)
+      const privacyDefaults = await getPrivacyDefaults();
+      userObject.privacy = { ...privacyDefaults, ...(userObject.privacy || {}) };
 
-      // Return user details
+      // Return user details with the sections still to fill in
       return res.status(200).json({
         success: true,
-        user: userObject
+        user: userObject,
+        completeness: computeCompleteness(user)
       });
 
     } catch (error) {
@@ -1092,21 +1509,40 @@ router.get(
  *   "numberOfChildren": 2,
  *   "occupation": "Self-Employed",
  *   "occupationDetails": "Details",
- *   "annualIncome": "500000-1000000",
+ *   "annualIncome": "5-10 Lakhs",
  *   "taxPayer": true,
- *   "houseType": "Owned",
+ *   "houseType": "Own",
  *   "residenceAddress": "Address",
  *   "familyHouse": "Yes",
  *   "rationCardType": "BPL",
- *   "specialPerson": false
+ *   "specialPerson": false,
+ *   "privacy": {
+ *     "phone": "committee",
+ *     "residenceAddress": "private"
+ *   }
  * }
  * 
+ * privacy values: "members" (all members), "committee" (committee only), "private"
+ * Allowed values for gender, maritalStatus, houseType, rationCardType and
+ * annualIncome are listed in config/profile.js. Unknown fields are rejected;
+ * read-only fields from /me (phone, role, isProfileComplete...) are ignored.
+ * 
  * Response (success):
  * {
  *   "success": true,
  *   "user": { ...updatedUser }
  * }
  * 
+ * Response (validation error):
+ * {
+ *   "success": false,
+ *   "message": "Invalid email address",
+ *   "errors": [
+ *     { "field": "email", "message": "Invalid email address" },
+ *     { "field": "houseType", "message": "House type must be one of: Own, Rented, ..." }
+ *   ]
+ * }
+ * 
  * Response (error):
  * {
  *   "success": false,
@@ -1116,29 +1552,33 @@ router.get(
 router.put(
   '/update-profile',
   authenticate,
+  updateProfileValidation,
+  handleValidationErrors,
   async (req, res, next) => {
     try {
       const { userId } = req.user;
       
-      // Get update data from request body
-      const updateData = { ...req.body };
-      
-      // Remove phone from update data (phone cannot be changed)
-      if (updateData.phone) {
-        delete updateData.phone;
-        console.log('[UPDATE] Phone change attempted, ignoring');
+      // Only whitelisted fields (already validated and sanitized) are written;
+      // read-only fields the app echoes back, like phone, are dropped
+      const updateData = {};
+      for (const field of PROFILE_UPDATE_FIELDS) {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
       }
       
-      // Remove _id if present (cannot change user ID)
-      if (updateData._id) {
-        delete updateData._id;
+      // The app may send back the masked Aadhaar it was given; keep the stored value
+      if (isMaskedAadhaar(updateData.aadhaar)) {
+        delete updateData.aadhaar;
       }
       
-      // Remove fields that should not be updated
-      delete updateData.__v;
-      delete updateData.createdAt;
-      delete updateData.updatedAt;
-      delete updateData.joinedDate;
+      // Privacy choices are merged field by field, not replaced as a whole
+      if (updateData.privacy !== undefined) {
+        for (const [field, visibility] of Object.entries(updateData.privacy)) {
+          updateData[`privacy.${field}`] = visibility;
+        }
+        delete updateData.privacy;
+      }
       
       // Check if update data is empty
       if (Object.keys(updateData).length === 0) {
@@ -1148,9 +1588,14 @@ router.put(
         });
       }
       
-      // Parse dateOfBirth if provided
-      if (updateData.dateOfBirth && typeof updateData.dateOfBirth === 'string') {
-        updateData.dateOfBirth = new Date(updateData.dateOfBirth);
+      // Keep the current version for the audit diff
+      const previous = await User.findById(userId);
+      
+      if (!previous) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
       }
       
       // Find and update user
@@ -1169,8 +1614,16 @@ router.put(
       
       console.log(`[UPDATE] Profile updated for user: ${user._id}`);
       
-      // Convert user to plain object
-      const userObject = user.toObject();
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.PROFILE_UPDATED,
+        req,
+        targetType: 'user',
+        targetId: user._id,
+        changes: diffChanges(previous, user, Object.keys(updateData))
+      });
+      
+      // Convert user to plain object with sensitive data masked
+      const userObject = user.toSafeObject();
       
       // Return updated user
       return res.status(200).json({
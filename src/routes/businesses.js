@@ -0,0 +1,470 @@
+/**
+ * Business Routes
+ * Community business directory, committee moderation and reviews
+ */
+
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { COMMITTEE_ROLES } = require('../config/roles');
+const { AUDIT_ACTIONS } = require('../config/audit');
+const { recordAuditEvent } = require('../services/auditService');
+const {
+  getVisibleBusiness,
+  createBusiness,
+  updateBusiness,
+  deleteBusiness,
+  listBusinesses,
+  listCategories,
+  listOwnBusinesses,
+  listPendingBusinesses,
+  moderateBusiness,
+  listReviews,
+  saveReview,
+  deleteReview
+} = require('../services/businessService');
+const {
+  paginationValidation,
+  businessValidation,
+  updateBusinessValidation,
+  businessIdParamValidation,
+  listBusinessesValidation,
+  moderateBusinessValidation,
+  businessReviewValidation,
+  businessReviewParamValidation,
+  handleValidationErrors
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+// All business routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/businesses
+ * Browse and search published listings
+ *
+ * Query:
+ *   q          Search name, services, area and description (spelling variants match)
+ *   category   Category key (see /categories)
+ *   area       Locality contains this text
+ *   sort       rating (default), name, newest
+ *   page, limit
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "businesses": [ { "_id": "...", "name": "...", "category": "carpentry", "area": "Udupi", "ratingAverage": 4.6, "ratingCount": 12, ... } ],
+ *   "pagination": { "page": 1, "limit": 20, "total": 3, "totalPages": 1 }
+ * }
+ */
+router.get(
+  '/',
+  listBusinessesValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { businesses, total } = await listBusinesses({
+        q: req.query.q,
+        category: req.query.category,
+        area: req.query.area,
+        sort: req.query.sort,
+        page,
+        limit
+      });
+
+      return res.status(200).json({
+        success: true,
+        businesses,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] List error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/businesses/categories
+ * Categories with the number of published listings in each
+ */
+router.get(
+  '/categories',
+  async (req, res, next) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        categories: await listCategories()
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] Categories error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/businesses/mine
+ * The logged-in member's listings with their moderation status
+ */
+router.get(
+  '/mine',
+  async (req, res, next) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        businesses: await listOwnBusinesses(req.user.userId)
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] List own error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/businesses/moderation
+ * Listings waiting for approval, oldest first (committee and above)
+ */
+router.get(
+  '/moderation',
+  authorize(...COMMITTEE_ROLES),
+  paginationValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { businesses, total } = await listPendingBusinesses({ page, limit });
+
+      return res.status(200).json({
+        success: true,
+        businesses,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] Moderation queue error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/businesses
+ * Submit a listing; it is published once the committee approves it
+ *
+ * Request body:
+ * {
+ *   "name": "Achar Woodworks",
+ *   "category": "carpentry",
+ *   "services": ["Doors and windows", "Temple chariots", "Furniture"],
+ *   "description": "...",
+ *   "area": "Udupi",
+ *   "address": "Car Street, Udupi",
+ *   "contact": { "phone": "+919876543210", "whatsapp": "+919876543210", "email": "...", "website": "https://..." },
+ *   "hours": [
+ *     { "day": "mon", "opens": "09:00", "closes": "18:00" },
+ *     { "day": "sun", "closed": true }
+ *   ]
+ * }
+ */
+router.post(
+  '/',
+  businessValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const business = await createBusiness(req.user.userId, req.body);
+
+      return res.status(201).json({
+        success: true,
+        business,
+        message: 'Listing submitted for approval'
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] Create error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/businesses/:businessId
+ * A published listing (owner and committee can also see unpublished ones)
+ */
+router.get(
+  '/:businessId',
+  businessIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const business = (await getVisibleBusiness(req.params.businessId, req.user)).toObject();
+
+      // Moderation notes are for the owner and committee
+      if (!business.owner._id.equals(req.user.userId) && !COMMITTEE_ROLES.includes(req.user.role)) {
+        delete business.moderation;
+      }
+
+      return res.status(200).json({
+        success: true,
+        business
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] Get error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/businesses/:businessId
+ * Update a listing (owner only). A given contact or hours replaces the
+ * previous one. Edits to a published listing send it back for approval.
+ */
+router.patch(
+  '/:businessId',
+  updateBusinessValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const business = await updateBusiness(req.params.businessId, req.user.userId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        business
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] Update error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/businesses/:businessId
+ * Remove a listing (owner, or committee and above)
+ */
+router.delete(
+  '/:businessId',
+  businessIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const business = await deleteBusiness(req.params.businessId, req.user);
+
+      if (!business.owner.equals(req.user.userId)) {
+        await recordAuditEvent({
+          action: AUDIT_ACTIONS.BUSINESS_REMOVED,
+          req,
+          targetType: 'business',
+          targetId: business._id,
+          metadata: { name: business.name, owner: business.owner.toString() }
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Listing removed'
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] Delete error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/businesses/:businessId/approve
+ * POST /api/businesses/:businessId/reject
+ * Publish or reject a listing (committee and above). Rejecting needs a
+ * reason, which is shown to the owner; published listings can be taken down.
+ *
+ * Request body (reject):
+ * { "reason": "Please add the services you offer" }
+ */
+router.post(
+  '/:businessId/:decision(approve|reject)',
+  authorize(...COMMITTEE_ROLES),
+  moderateBusinessValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const approve = req.params.decision === 'approve';
+      const { business, previousStatus } = await moderateBusiness(
+        req.params.businessId,
+        req.user.userId,
+        approve,
+        req.body.reason
+      );
+
+      await recordAuditEvent({
+        action: approve ? AUDIT_ACTIONS.BUSINESS_APPROVED : AUDIT_ACTIONS.BUSINESS_REJECTED,
+        req,
+        targetType: 'business',
+        targetId: business._id,
+        changes: [{ field: 'status', before: previousStatus, after: business.status }],
+        metadata: approve ? undefined : { reason: req.body.reason }
+      });
+
+      return res.status(200).json({
+        success: true,
+        business
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] Moderate error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/businesses/:businessId/reviews
+ * Reviews of a listing, newest first, with the member's own review
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "reviews": [ { "user": { "name": "..." }, "rating": 5, "comment": "...", "createdAt": "..." } ],
+ *   "myReview": { "rating": 4, "comment": "..." },   // null if not reviewed
+ *   "pagination": { ... }
+ * }
+ */
+router.get(
+  '/:businessId/reviews',
+  businessIdParamValidation,
+  paginationValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { reviews, total, myReview } = await listReviews(req.params.businessId, req.user, { page, limit });
+
+      return res.status(200).json({
+        success: true,
+        reviews,
+        myReview,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] List reviews error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/businesses/:businessId/reviews
+ * Rate and review a published listing (one review per member, not the owner)
+ *
+ * Request body:
+ * { "rating": 5, "comment": "Excellent teak work, delivered on time" }
+ */
+router.put(
+  '/:businessId/reviews',
+  businessReviewValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const review = await saveReview(req.params.businessId, req.user.userId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        review
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] Save review error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/businesses/:businessId/reviews
+ * Delete the member's own review
+ */
+router.delete(
+  '/:businessId/reviews',
+  businessIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await deleteReview(req.params.businessId, { user: req.user.userId });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Review deleted'
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] Delete review error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/businesses/:businessId/reviews/:reviewId
+ * Remove any review (committee and above)
+ */
+router.delete(
+  '/:businessId/reviews/:reviewId',
+  authorize(...COMMITTEE_ROLES),
+  businessReviewParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const review = await deleteReview(req.params.businessId, { _id: req.params.reviewId });
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.BUSINESS_REVIEW_REMOVED,
+        req,
+        targetType: 'business',
+        targetId: review.business,
+        metadata: { reviewId: review._id.toString(), reviewer: review.user.toString(), rating: review.rating }
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Review removed'
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS] Remove review error:', error.message);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,327 @@
+/**
+ * Event Routes
+ * Community events, RSVPs and attendee lists
+ */
+
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { COMMITTEE_ROLES } = require('../config/roles');
+const {
+  createEvent,
+  updateEvent,
+  cancelEvent,
+  listEvents,
+  getEvent,
+  respondToEvent,
+  withdrawRsvp,
+  listAttendees
+} = require('../services/eventService');
+const { toCsv } = require('../utils/csv');
+const {
+  eventValidation,
+  updateEventValidation,
+  eventIdParamValidation,
+  listEventsValidation,
+  rsvpValidation,
+  handleValidationErrors
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+// All event routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/events
+ * Upcoming events (soonest first), or past events with ?past=true
+ *
+ * Query: page, limit, past
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "events": [ { "_id": "...", "title": "...", "startsAt": "...", "capacity": 100, "attendeeCount": 42 } ],
+ *   "pagination": { "page": 1, "limit": 20, "total": 3, "totalPages": 1 }
+ * }
+ */
+router.get(
+  '/',
+  listEventsValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { events, total } = await listEvents({ past: req.query.past, page, limit });
+
+      return res.status(200).json({
+        success: true,
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('[EVENT] List error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/events
+ * Create an event (committee and above)
+ *
+ * Request body:
+ * {
+ *   "title": "Vishwakarma Jayanti",
+ *   "description": "...",
+ *   "venue": "Community hall",
+ *   "startsAt": "2026-09-17T10:00:00+05:30",
+ *   "endsAt": "2026-09-17T14:00:00+05:30",
+ *   "capacity": 200,            // omit or null for unlimited
+ *   "organiser": "<userId>"     // defaults to the creator
+ * }
+ */
+router.post(
+  '/',
+  authorize(...COMMITTEE_ROLES),
+  eventValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const event = await createEvent(req.user, req.body);
+
+      return res.status(201).json({
+        success: true,
+        event
+      });
+
+    } catch (error) {
+      console.error('[EVENT] Create error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/events/:eventId
+ * Event details with the logged-in member's RSVP
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "event": { ... },
+ *   "myRsvp": { "headcount": 3, "status": "going" }   // null if not responded
+ * }
+ */
+router.get(
+  '/:eventId',
+  eventIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { event, myRsvp } = await getEvent(req.params.eventId, req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        event,
+        myRsvp
+      });
+
+    } catch (error) {
+      console.error('[EVENT] Get error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/events/:eventId
+ * Update an event (committee and above)
+ * Raising the capacity moves waitlisted members in.
+ */
+router.patch(
+  '/:eventId',
+  authorize(...COMMITTEE_ROLES),
+  updateEventValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const event = await updateEvent(req.params.eventId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        event
+      });
+
+    } catch (error) {
+      console.error('[EVENT] Update error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/events/:eventId
+ * Cancel an event (committee and above)
+ * The event and its RSVPs are kept for the record.
+ */
+router.delete(
+  '/:eventId',
+  authorize(...COMMITTEE_ROLES),
+  eventIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await cancelEvent(req.params.eventId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Event cancelled'
+      });
+
+    } catch (error) {
+      console.error('[EVENT] Cancel error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/events/:eventId/rsvp
+ * RSVP, or change the headcount, for the member's household
+ * Headcount is capped at the household size. When the event is full the
+ * RSVP is waitlisted and confirmed automatically once seats free up.
+ *
+ * Request body:
+ * { "headcount": 3, "note": "One wheelchair user" }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "rsvp": { "headcount": 3, "status": "going" | "waitlisted" }
+ * }
+ */
+router.put(
+  '/:eventId/rsvp',
+  rsvpValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const rsvp = await respondToEvent(req.params.eventId, req.user.userId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        rsvp
+      });
+
+    } catch (error) {
+      console.error('[EVENT] RSVP error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/events/:eventId/rsvp
+ * Withdraw the member's RSVP
+ */
+router.delete(
+  '/:eventId/rsvp',
+  eventIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await withdrawRsvp(req.params.eventId, req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'RSVP withdrawn'
+      });
+
+    } catch (error) {
+      console.error('[EVENT] Withdraw RSVP error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/events/:eventId/attendees
+ * Confirmed attendees and the waitlist (organiser, committee and above)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "attendeeCount": 42,
+ *   "going": [ { "user": { "name": "...", "phone": "..." }, "headcount": 3 } ],
+ *   "waitlist": [ ... ]
+ * }
+ */
+router.get(
+  '/:eventId/attendees',
+  eventIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { event, going, waitlist } = await listAttendees(req.params.eventId, req.user);
+
+      return res.status(200).json({
+        success: true,
+        attendeeCount: event.attendeeCount,
+        capacity: event.capacity,
+        going,
+        waitlist
+      });
+
+    } catch (error) {
+      console.error('[EVENT] List attendees error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/events/:eventId/attendees/export
+ * Attendees and waitlist as CSV (organiser, committee and above)
+ */
+router.get(
+  '/:eventId/attendees/export',
+  eventIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { event, going, waitlist } = await listAttendees(req.params.eventId, req.user);
+
+      const csv = toCsv(
+        ['Name', 'Phone', 'Headcount', 'Status', 'Note', 'Responded at'],
+        [...going, ...waitlist].map((rsvp) => [
+          rsvp.user && rsvp.user.name,
+          rsvp.user && rsvp.user.phone,
+          rsvp.headcount,
+          rsvp.status,
+          rsvp.note,
+          rsvp.createdAt
+        ])
+      );
+
+      console.log(`[EVENT] Attendees of ${event._id} exported by ${req.user.userId}`);
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="event-${event._id}-attendees.csv"`);
+      return res.status(200).send(csv);
+
+    } catch (error) {
+      console.error('[EVENT] Export attendees error:', error.message);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
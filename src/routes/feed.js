@@ -0,0 +1,164 @@
+/**
+ * Feed Routes
+ * Announcements addressed to the logged-in member, with read tracking
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { COMMITTEE_ROLES } = require('../config/roles');
+const {
+  getFeed,
+  markRead,
+  markAllRead,
+  getAttachmentFile
+} = require('../services/announcementService');
+const {
+  feedQueryValidation,
+  announcementIdParamValidation,
+  attachmentParamValidation,
+  handleValidationErrors
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+// All feed routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/feed
+ * Announcements for the member: pinned first, then newest.
+ * Expired, scheduled and announcements for other audiences are left out.
+ *
+ * Query: page, limit, unread (only unread items)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "items": [
+ *     {
+ *       "_id": "...",
+ *       "title": "...",
+ *       "body": "<p>...</p>",
+ *       "pinned": true,
+ *       "publishedAt": "...",
+ *       "expiresAt": null,
+ *       "attachments": [ { "_id": "...", "fileName": "agenda.pdf", "contentType": "application/pdf", "url": "..." } ],
+ *       "isRead": false
+ *     }
+ *   ],
+ *   "unreadCount": 2,
+ *   "pagination": { "page": 1, "limit": 20, "total": 5, "totalPages": 1 }
+ * }
+ */
+router.get(
+  '/',
+  feedQueryValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { items, total, unreadCount } = await getFeed(req.user.userId, {
+        page,
+        limit,
+        unread: req.query.unread
+      });
+
+      return res.status(200).json({
+        success: true,
+        items,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('[FEED] Get error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/feed/read-all
+ * Mark everything currently in the feed as read
+ */
+router.post(
+  '/read-all',
+  async (req, res, next) => {
+    try {
+      const marked = await markAllRead(req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        marked
+      });
+
+    } catch (error) {
+      console.error('[FEED] Mark all read error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/feed/:announcementId/read
+ * Mark one announcement as read
+ */
+router.post(
+  '/:announcementId/read',
+  announcementIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await markRead(req.user.userId, req.params.announcementId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Marked as read'
+      });
+
+    } catch (error) {
+      console.error('[FEED] Mark read error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/feed/:announcementId/attachments/:attachmentId
+ * Download an attachment of an announcement in the member's feed
+ * (committee members can download any attachment)
+ */
+router.get(
+  '/:announcementId/attachments/:attachmentId',
+  attachmentParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const file = await getAttachmentFile(req.params.announcementId, req.params.attachmentId, {
+        userId: req.user.userId,
+        canManage: COMMITTEE_ROLES.includes(req.user.role)
+      });
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `inline; filename="${encodeURIComponent(file.fileName)}"`,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=3600'
+      });
+      return res.status(200).send(file.body);
+
+    } catch (error) {
+      console.error('[FEED] Get attachment error:', error.message);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,373 @@
+/**
+ * Household Routes
+ * Manage the logged-in user's household and view family trees
+ */
+
+const express = require('express');
+const Household = require('../models/Household');
+const { authenticate } = require('../middleware/auth');
+const { COMMITTEE_ROLES } = require('../config/roles');
+const {
+  findHouseholdForUser,
+  createHousehold,
+  updateHousehold,
+  addMember,
+  updateMember,
+  removeMember,
+  leaveHousehold,
+  listInvitations,
+  respondToInvitation,
+  buildFamilyTree
+} = require('../services/householdService');
+const {
+  householdValidation,
+  addHouseholdMemberValidation,
+  updateHouseholdMemberValidation,
+  householdIdParamValidation,
+  memberIdParamValidation,
+  handleValidationErrors,
+  normalizePhone
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+// All household routes require authentication
+router.use(authenticate);
+
+/**
+ * POST /api/households
+ * Create a household with the logged-in user as head
+ *
+ * Request body:
+ * {
+ *   "name": "Achar family",
+ *   "address": "123 Street, City"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "household": { ... }
+ * }
+ */
+router.post(
+  '/',
+  householdValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const household = await createHousehold(req.user.userId, req.body);
+
+      return res.status(201).json({
+        success: true,
+        household
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] Create error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/households/me
+ * Get the household the logged-in user belongs to
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "household": { "_id": "...", "head": "...", "members": [ ... ] },
+ *   "isHead": true
+ * }
+ */
+router.get(
+  '/me',
+  async (req, res, next) => {
+    try {
+      const household = await findHouseholdForUser(req.user.userId);
+
+      if (!household) {
+        return res.status(404).json({
+          success: false,
+          message: 'You are not part of a household'
+        });
+      }
+
+      await household.populate('members.user', 'name gender profileImage');
+
+      return res.status(200).json({
+        success: true,
+        household,
+        isHead: household.head.equals(req.user.userId)
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] Get error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/households/me
+ * Update household name / address (head only)
+ */
+router.put(
+  '/me',
+  householdValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const household = await updateHousehold(req.user.userId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        household
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] Update error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/households/me/members
+ * Add a member (head only)
+ *
+ * Registered member (invited, must accept):
+ * { "phone": "+919876543210", "relationship": "spouse" }
+ *
+ * Dependent without a phone (child, elder):
+ * { "name": "Anika", "relationship": "daughter", "gender": "Female", "dateOfBirth": "2015-06-01" }
+ */
+router.post(
+  '/me/members',
+  normalizePhone,
+  addHouseholdMemberValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const household = await addMember(req.user.userId, req.body);
+
+      return res.status(201).json({
+        success: true,
+        household
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] Add member error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/households/me/members/:memberId
+ * Update a member (head only)
+ * Registered members: relationship only. Dependents: name, gender, dateOfBirth, relationship.
+ */
+router.patch(
+  '/me/members/:memberId',
+  updateHouseholdMemberValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const household = await updateMember(req.user.userId, req.params.memberId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        household
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] Update member error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/households/me/members/:memberId
+ * Remove a member (head only)
+ */
+router.delete(
+  '/me/members/:memberId',
+  memberIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const household = await removeMember(req.user.userId, req.params.memberId);
+
+      return res.status(200).json({
+        success: true,
+        household
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] Remove member error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/households/me/leave
+ * Leave the household the user has joined (not for the head)
+ */
+router.post(
+  '/me/leave',
+  async (req, res, next) => {
+    try {
+      await leaveHousehold(req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'You have left the household'
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] Leave error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/households/me/tree
+ * Family tree of the user's household, grouped by generation
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "tree": {
+ *     "householdId": "...",
+ *     "head": { "userId": "...", "name": "Ramesh Achar", "relationship": "head" },
+ *     "generations": [
+ *       { "generation": -1, "label": "Parents", "members": [ ... ] },
+ *       { "generation": 0, "label": "Spouse and siblings", "members": [ ... ] },
+ *       { "generation": 1, "label": "Children", "members": [ ... ] }
+ *     ],
+ *     "others": [ ... ]
+ *   }
+ * }
+ */
+router.get(
+  '/me/tree',
+  async (req, res, next) => {
+    try {
+      const household = await findHouseholdForUser(req.user.userId);
+
+      if (!household) {
+        return res.status(404).json({
+          success: false,
+          message: 'You are not part of a household'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        tree: await buildFamilyTree(household)
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] Get tree error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/households/invitations
+ * Pending invitations to join a household
+ */
+router.get(
+  '/invitations',
+  async (req, res, next) => {
+    try {
+      const invitations = await listInvitations(req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        invitations
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] List invitations error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/households/invitations/:householdId/accept
+ * POST /api/households/invitations/:householdId/decline
+ */
+router.post(
+  '/invitations/:householdId/:decision(accept|decline)',
+  householdIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const accept = req.params.decision === 'accept';
+      await respondToInvitation(req.user.userId, req.params.householdId, accept);
+
+      return res.status(200).json({
+        success: true,
+        message: accept ? 'You have joined the household' : 'Invitation declined'
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] Respond to invitation error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/households/:householdId/tree
+ * Family tree of any household
+ * Members of that household, committee and above
+ */
+router.get(
+  '/:householdId/tree',
+  householdIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const household = await Household.findById(req.params.householdId);
+
+      if (!household) {
+        return res.status(404).json({
+          success: false,
+          message: 'Household not found'
+        });
+      }
+
+      const isMember = household.head.equals(req.user.userId) || household.members.some(
+        (member) => member.user && member.user.equals(req.user.userId) &&
+          member.linkStatus === Household.LINK_STATUS.ACCEPTED
+      );
+
+      if (!isMember && !COMMITTEE_ROLES.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this household'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        tree: await buildFamilyTree(household)
+      });
+
+    } catch (error) {
+      console.error('[HOUSEHOLD] Get tree error:', error.message);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
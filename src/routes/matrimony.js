@@ -0,0 +1,345 @@
+/**
+ * Matrimony Routes
+ * Opt-in matrimony profiles, match search and interests
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const {
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  listManagedProfiles,
+  viewProfile,
+  findMatches,
+  sendInterest,
+  listInterests,
+  respondToInterest,
+  withdrawInterest
+} = require('../services/matrimonyService');
+const {
+  matrimonyProfileValidation,
+  updateMatrimonyProfileValidation,
+  matrimonyProfileIdParamValidation,
+  matrimonyMatchesValidation,
+  sendInterestValidation,
+  listInterestsValidation,
+  interestIdParamValidation,
+  handleValidationErrors
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+// All matrimony routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/matrimony/profiles
+ * Profiles the logged-in member manages (their own and, as guardian, their family's)
+ */
+router.get(
+  '/profiles',
+  async (req, res, next) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        profiles: await listManagedProfiles(req.user.userId)
+      });
+
+    } catch (error) {
+      console.error('[MATRIMONY] List profiles error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/matrimony/profiles
+ * Create a matrimony profile
+ * Without memberId the profile is for the logged-in member. With memberId,
+ * the head of a household creates a guardian-managed profile for a family member
+ * without their own account; members with an account create their own.
+ * Details left out are copied from the member / household records.
+ *
+ * Request body:
+ * {
+ *   "memberId": "<household member ID>",        // optional
+ *   "gender": "Female",
+ *   "dateOfBirth": "1999-04-12",
+ *   "gothra": "Kashyapa",
+ *   "education": "B.E.",
+ *   "occupation": "Engineer",
+ *   "location": "Udupi",
+ *   "heightCm": 160,
+ *   "about": "...",
+ *   "preferences": {
+ *     "minAge": 25, "maxAge": 32,
+ *     "maritalStatuses": ["Unmarried"],
+ *     "locations": ["Udupi", "Mangaluru"],
+ *     "allowSameGothra": false
+ *   },
+ *   "contact": { "name": "Ramesh Achar (father)", "phone": "+919876543210" }   // defaults to the creator
+ * }
+ */
+router.post(
+  '/profiles',
+  matrimonyProfileValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const profile = await createProfile(req.user.userId, req.body);
+
+      return res.status(201).json({
+        success: true,
+        profile
+      });
+
+    } catch (error) {
+      console.error('[MATRIMONY] Create profile error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/matrimony/profiles/:profileId
+ * A profile. Managers see everything; others (who need a profile of their
+ * own) see the public details, and the contact once an interest is accepted.
+ */
+router.get(
+  '/profiles/:profileId',
+  matrimonyProfileIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { profile, managed } = await viewProfile(req.params.profileId, req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        profile,
+        managed
+      });
+
+    } catch (error) {
+      console.error('[MATRIMONY] Get profile error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/matrimony/profiles/:profileId
+ * Update a profile; "status": "paused" hides it from match search
+ */
+router.patch(
+  '/profiles/:profileId',
+  updateMatrimonyProfileValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const profile = await updateProfile(req.params.profileId, req.user.userId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        profile
+      });
+
+    } catch (error) {
+      console.error('[MATRIMONY] Update profile error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/matrimony/profiles/:profileId
+ * Delete a profile and its interests
+ */
+router.delete(
+  '/profiles/:profileId',
+  matrimonyProfileIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await deleteProfile(req.params.profileId, req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Matrimony profile deleted'
+      });
+
+    } catch (error) {
+      console.error('[MATRIMONY] Delete profile error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/matrimony/profiles/:profileId/matches
+ * Active profiles of the other gender matching the profile's preferences.
+ * Same-gothra candidates are left out unless the preferences allow them.
+ *
+ * Query:
+ *   page, limit
+ *   includeSameGothra   Override preferences.allowSameGothra for this search
+ *   mutual              Only candidates whose own preferences also match this profile
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "matches": [
+ *     { "_id": "...", "name": "...", "age": 27, "gothra": "...", ..., "interest": { "direction": "sent", "status": "pending" } }
+ *   ],
+ *   "pagination": { "page": 1, "limit": 20, "total": 8, "totalPages": 1 }
+ * }
+ */
+router.get(
+  '/profiles/:profileId/matches',
+  matrimonyMatchesValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { matches, total } = await findMatches(req.params.profileId, req.user.userId, {
+        page,
+        limit,
+        includeSameGothra: req.query.includeSameGothra,
+        mutual: req.query.mutual
+      });
+
+      return res.status(200).json({
+        success: true,
+        matches,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('[MATRIMONY] Matches error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/matrimony/profiles/:profileId/interests
+ * Interests received (default) or sent by a profile
+ *
+ * Query: direction (received | sent), status (pending | accepted | declined)
+ */
+router.get(
+  '/profiles/:profileId/interests',
+  listInterestsValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const interests = await listInterests(req.params.profileId, req.user.userId, {
+        direction: req.query.direction,
+        status: req.query.status
+      });
+
+      return res.status(200).json({
+        success: true,
+        interests
+      });
+
+    } catch (error) {
+      console.error('[MATRIMONY] List interests error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/matrimony/profiles/:profileId/interests
+ * Send an interest. If the other profile already sent one, it is accepted
+ * and both sides can see each other's contact.
+ *
+ * Request body:
+ * { "toProfileId": "...", "message": "..." }
+ *
+ * Response:
+ * { "success": true, "interest": { ... }, "mutual": false }
+ */
+router.post(
+  '/profiles/:profileId/interests',
+  sendInterestValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { interest, mutual } = await sendInterest(req.params.profileId, req.user.userId, req.body);
+
+      return res.status(mutual ? 200 : 201).json({
+        success: true,
+        interest,
+        mutual
+      });
+
+    } catch (error) {
+      console.error('[MATRIMONY] Send interest error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/matrimony/interests/:interestId/accept
+ * POST /api/matrimony/interests/:interestId/decline
+ * Answer a received interest; accepting reveals both contacts
+ */
+router.post(
+  '/interests/:interestId/:decision(accept|decline)',
+  interestIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const interest = await respondToInterest(
+        req.params.interestId,
+        req.user.userId,
+        req.params.decision === 'accept'
+      );
+
+      return res.status(200).json({
+        success: true,
+        interest
+      });
+
+    } catch (error) {
+      console.error('[MATRIMONY] Respond to interest error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/matrimony/interests/:interestId
+ * Withdraw a sent interest that has not been answered
+ */
+router.delete(
+  '/interests/:interestId',
+  interestIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await withdrawInterest(req.params.interestId, req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Interest withdrawn'
+      });
+
+    } catch (error) {
+      console.error('[MATRIMONY] Withdraw interest error:', error.message);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
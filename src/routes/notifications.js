@@ -0,0 +1,245 @@
+/**
+ * Notification Routes
+ * Notification inbox, preferences and push device registration
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const {
+  registerDevice,
+  unregisterDevice,
+  getPreferences,
+  updatePreferences,
+  listNotifications,
+  setNotificationRead,
+  markAllNotificationsRead
+} = require('../services/notificationService');
+const {
+  registerDeviceValidation,
+  unregisterDeviceValidation,
+  notificationPreferencesValidation,
+  listNotificationsValidation,
+  updateNotificationValidation,
+  handleValidationErrors
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/notifications
+ * The member's inbox, newest first
+ *
+ * Query: page, limit, unread (only unread notifications)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "notifications": [
+ *     { "_id": "...", "type": "event", "title": "...", "body": "...", "data": { "eventId": "..." }, "readAt": null, "createdAt": "..." }
+ *   ],
+ *   "unreadCount": 3,
+ *   "pagination": { "page": 1, "limit": 20, "total": 12, "totalPages": 1 }
+ * }
+ */
+router.get(
+  '/',
+  listNotificationsValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { notifications, total, unreadCount } = await listNotifications(req.user.userId, {
+        page,
+        limit,
+        unread: req.query.unread
+      });
+
+      return res.status(200).json({
+        success: true,
+        notifications,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('[NOTIFY] List error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/notifications/read-all
+ * Mark every notification as read
+ */
+router.post(
+  '/read-all',
+  async (req, res, next) => {
+    try {
+      const marked = await markAllNotificationsRead(req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        marked
+      });
+
+    } catch (error) {
+      console.error('[NOTIFY] Mark all read error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/notifications/preferences
+ * Push preferences (everything is on unless turned off)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "preferences": { "push": true, "announcement": true, "event": false, "account": true }
+ * }
+ */
+router.get(
+  '/preferences',
+  async (req, res, next) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        preferences: await getPreferences(req.user.userId)
+      });
+
+    } catch (error) {
+      console.error('[NOTIFY] Get preferences error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/notifications/preferences
+ * Change push preferences. Notifications still reach the inbox.
+ *
+ * Request body (any of):
+ * { "push": true, "announcement": true, "event": false, "account": true }
+ */
+router.put(
+  '/preferences',
+  notificationPreferencesValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const preferences = await updatePreferences(req.user.userId, req.body);
+
+      return res.status(200).json({
+        success: true,
+        preferences
+      });
+
+    } catch (error) {
+      console.error('[NOTIFY] Update preferences error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/notifications/devices
+ * Register this device's FCM token. Call after login and whenever FCM
+ * issues a new token. The token is dropped when this session logs out.
+ *
+ * Request body:
+ * { "token": "<FCM registration token>", "platform": "android", "appVersion": "1.4.0" }
+ */
+router.put(
+  '/devices',
+  registerDeviceValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      await registerDevice(req.user, req.body);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device registered'
+      });
+
+    } catch (error) {
+      console.error('[NOTIFY] Register device error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/notifications/devices
+ * Stop pushes to a device
+ *
+ * Request body:
+ * { "token": "<FCM registration token>" }
+ */
+router.delete(
+  '/devices',
+  unregisterDeviceValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const removed = await unregisterDevice(req.user.userId, req.body.token);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'Device not registered'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Device unregistered'
+      });
+
+    } catch (error) {
+      console.error('[NOTIFY] Unregister device error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/notifications/:notificationId
+ * Mark a notification read or unread
+ *
+ * Request body:
+ * { "read": true }
+ */
+router.patch(
+  '/:notificationId',
+  updateNotificationValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const notification = await setNotificationRead(req.user.userId, req.params.notificationId, req.body.read);
+
+      return res.status(200).json({
+        success: true,
+        notification
+      });
+
+    } catch (error) {
+      console.error('[NOTIFY] Update error:', error.message);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
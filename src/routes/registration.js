@@ -0,0 +1,198 @@
+/**
+ * Registration Draft Routes
+ * Multi-step registration: save the long form section by section, then submit
+ *
+ * Every request carries the ticket from /api/auth/verify-otp:
+ * X-Registration-Ticket: <registrationTicket>
+ *
+ * The draft is kept per phone, so a member whose ticket has expired verifies
+ * the phone again and continues where they left off.
+ */
+
+const express = require('express');
+const { requireRegistrationTicket } = require('../middleware/auth');
+const {
+  getDraft,
+  saveDraftSection,
+  discardDraft,
+  submitDraft
+} = require('../services/registrationService');
+const { createSession } = require('../services/sessionService');
+const { recordAuditEvent } = require('../services/auditService');
+const { AUDIT_ACTIONS } = require('../config/audit');
+const { REGISTRATION_DRAFT_SECTIONS } = require('../config/profile');
+const {
+  registrationDraftSectionValidation,
+  handleValidationErrors
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+// All draft routes require a registration ticket
+router.use(requireRegistrationTicket);
+
+/**
+ * GET /api/registration/draft
+ * Saved draft and progress per section
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "draft": {
+ *     "data": { "name": "Ramesh Achar", "gender": "Male" },
+ *     "savedSections": ["personal"],
+ *     "sections": [
+ *       { "key": "personal", "label": "Personal details", "saved": true, "isComplete": false, "missingRequired": ["gothra"] },
+ *       ...
+ *     ],
+ *     "expiresAt": "2024-01-08T00:00:00.000Z"
+ *   }
+ * }
+ */
+router.get(
+  '/draft',
+  async (req, res, next) => {
+    try {
+      const draft = await getDraft(req.registrationTicket);
+
+      return res.status(200).json({
+        success: true,
+        draft
+      });
+
+    } catch (error) {
+      console.error('[REGISTER] Get draft error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/registration/draft/personal
+ * PATCH /api/registration/draft/educationFamily
+ * PATCH /api/registration/draft/employment
+ * PATCH /api/registration/draft/house
+ * Save the fields of one form section (same rules as update-profile)
+ * Sending null or "" clears a field.
+ *
+ * Request body (employment):
+ * {
+ *   "occupation": "Self-Employed",
+ *   "occupationDetails": "Goldsmith",
+ *   "annualIncome": "5-10 Lakhs",
+ *   "taxPayer": true
+ * }
+ *
+ * Response: same as GET /draft
+ */
+for (const [section, fields] of Object.entries(REGISTRATION_DRAFT_SECTIONS)) {
+  router.patch(
+    `/draft/${section}`,
+    registrationDraftSectionValidation(fields),
+    handleValidationErrors,
+    async (req, res, next) => {
+      try {
+        const draft = await saveDraftSection(req.registrationTicket, section, req.body);
+
+        return res.status(200).json({
+          success: true,
+          draft
+        });
+
+      } catch (error) {
+        console.error(`[REGISTER] Save draft ${section} error:`, error.message);
+        next(error);
+      }
+    }
+  );
+}
+
+/**
+ * DELETE /api/registration/draft
+ * Discard the draft
+ */
+router.delete(
+  '/draft',
+  async (req, res, next) => {
+    try {
+      const discarded = await discardDraft(req.registrationTicket);
+
+      if (!discarded) {
+        return res.status(404).json({
+          success: false,
+          message: 'No registration draft found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Registration draft discarded'
+      });
+
+    } catch (error) {
+      console.error('[REGISTER] Discard draft error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/registration/draft/submit
+ * Validate the whole draft, create the account and sign in
+ * The registration ticket is used up only if the account is created.
+ *
+ * Response (success):
+ * {
+ *   "success": true,
+ *   "token": "jwt_token_here",
+ *   "refreshToken": "refresh_token_here",
+ *   "expiresIn": 900
+ * }
+ *
+ * Response (invalid draft):
+ * {
+ *   "success": false,
+ *   "message": "name is required",
+ *   "errors": [ { "field": "name", "message": "name is required" } ]
+ * }
+ */
+router.post(
+  '/draft/submit',
+  async (req, res, next) => {
+    try {
+      const user = await submitDraft(req.registrationTicket);
+
+      // Start a session and issue tokens
+      const tokens = await createSession(user, req);
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.USER_REGISTERED,
+        req,
+        actor: user._id,
+        targetType: 'user',
+        targetId: user._id,
+        metadata: { phone: user.phone, role: user.role, draft: true }
+      });
+
+      return res.status(201).json({
+        success: true,
+        ...tokens
+      });
+
+    } catch (error) {
+      console.error('[REGISTER] Submit draft error:', error.message);
+
+      if (error.errors && error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          errors: error.errors
+        });
+      }
+
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
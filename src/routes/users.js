@@ -5,18 +5,242 @@
 
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
+const { profilePhotoUpload } = require('../middleware/upload');
 const User = require('../models/User');
+const {
+  directoryQueryValidation,
+  searchQueryValidation,
+  userIdParamValidation,
+  photoSizeParamValidation,
+  handleValidationErrors
+} = require('../middleware/validators');
+const {
+  DEFAULT_DIRECTORY_FIELDS,
+  DIRECTORY_FILTER_FIELDS,
+  DIRECTORY_SORT_KEYS,
+  DEFAULT_DIRECTORY_SORT,
+  DEFAULT_PAGE_LIMIT,
+  DEFAULT_SEARCH_LIMIT
+} = require('../config/directory');
+const { encodeCursor, decodeCursor, buildCursorFilter } = require('../utils/pagination');
+const { tokenize, toPhoneticKey } = require('../utils/phonetic');
+const { escapeRegex } = require('../utils/regex');
+const { buildBirthDateRange } = require('../utils/age');
+const {
+  getPrivacyDefaults,
+  applyPrivacy,
+  buildVisibilityCondition
+} = require('../services/privacyService');
+const {
+  setProfilePhoto,
+  removeProfilePhoto,
+  getProfilePhoto
+} = require('../services/profilePhotoService');
+const { recordAuditEvent } = require('../services/auditService');
+const { PROFILE_VIEW_FIELDS } = require('../config/privacy');
+const { AUDIT_ACTIONS } = require('../config/audit');
 
 const router = express.Router();
 
+/**
+ * Parse ?fields= into a list of directory fields
+ */
+const parseFields = (fieldsParam) => {
+  if (!fieldsParam) {
+    return DEFAULT_DIRECTORY_FIELDS;
+  }
+  return [...new Set(String(fieldsParam).split(',').map((field) => field.trim()))];
+};
+
+/**
+ * Build MongoDB filter from directory query params
+ * Filtering or sorting on a field only matches members who let the viewer
+ * see that field, so hidden values cannot be inferred.
+ * @param {object} query - req.query
+ * @param {object} viewer - req.user
+ * @param {object} privacyDefaults - Community privacy defaults
+ * @param {string} [sortField] - Field the results are sorted by
+ */
+const buildDirectoryFilter = (query, viewer, privacyDefaults, sortField) => {
+  // Suspended and deleted accounts are hidden from the directory
+  const filter = { status: User.STATUS.ACTIVE };
+  const usedFields = sortField ? [sortField] : [];
+
+  for (const field of DIRECTORY_FILTER_FIELDS) {
+    if (query[field]) {
+      filter[field] = String(query[field]);
+      usedFields.push(field);
+    }
+  }
+
+  // Age range -> date of birth range
+  const birthDateRange = buildBirthDateRange(query);
+  if (birthDateRange) {
+    filter.dateOfBirth = birthDateRange;
+    usedFields.push('dateOfBirth');
+  }
+
+  const visibilityConditions = [...new Set(usedFields)]
+    .map((field) => buildVisibilityCondition(field, viewer, privacyDefaults))
+    .filter(Boolean);
+
+  if (visibilityConditions.length > 0) {
+    filter.$and = visibilityConditions;
+  }
+
+  return filter;
+};
+
+/**
+ * Build conditions requiring every search word to match a field the viewer can see
+ * Hidden fields (e.g. a committee-only residence address) must not make a
+ * member show up in someone else's results.
+ * @param {string[]} phoneticKeys - Phonetic keys of the query words
+ * @param {object} viewer - req.user
+ * @param {object} privacyDefaults - Community privacy defaults
+ * @returns {object[]} - One condition per word
+ */
+const buildVisibleMatchConditions = (phoneticKeys, viewer, privacyDefaults) => {
+  return phoneticKeys.map((key) => {
+    const pattern = new RegExp(`^${escapeRegex(key)}`);
+
+    return {
+      $or: User.SEARCH_FIELDS.map((field) => {
+        const match = { [`fieldSearchKeys.${field}`]: pattern };
+        const visibility = buildVisibilityCondition(field, viewer, privacyDefaults);
+        return visibility ? { $and: [match, visibility] } : match;
+      })
+    };
+  });
+};
+
+/**
+ * GET /api/users/search
+ * Search members by name, father's name, gothra, occupation details or locality
+ * Results are ranked; transliteration variants (Shankar / Sankar) and
+ * partial words match. Words only match fields the viewer is allowed to see.
+ * Protected route - requires JWT authentication
+ * 
+ * Query params:
+ * q=sankar bangalore         Search text (required)
+ * limit=20                   Max results (max 50)
+ * fields=name,phone,gothra   Same fields and filters as GET /api/users
+ * 
+ * Response (success):
+ * {
+ *   "success": true,
+ *   "users": [ { "_id": "...", "name": "Shankar Achar", ... } ],
+ *   "total": 3
+ * }
+ */
+router.get(
+  '/search',
+  authenticate,
+  searchQueryValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const q = req.query.q;
+      const limit = req.query.limit || DEFAULT_SEARCH_LIMIT;
+      const fields = parseFields(req.query.fields);
+      const projection = [...fields, 'privacy'].join(' ');
+      const privacyDefaults = await getPrivacyDefaults();
+      // Phonetic prefixes: every word of the query must match some field word
+      const phoneticKeys = tokenize(q).map(toPhoneticKey).filter(Boolean);
+
+      if (phoneticKeys.length === 0) {
+        return res.status(200).json({
+          success: true,
+          users: [],
+          total: 0
+        });
+      }
+
+      const directoryFilter = buildDirectoryFilter(req.query, req.user, privacyDefaults);
+      const filter = {
+        ...directoryFilter,
+        $and: [
+          ...(directoryFilter.$and || []),
+          ...buildVisibleMatchConditions(phoneticKeys, req.user, privacyDefaults)
+        ]
+      };
+
+      const [textMatches, phoneticMatches] = await Promise.all([
+        User.find({ ...filter, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+          .select(projection)
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(limit)
+          .lean(),
+        User.find({
+          ...filter,
+          searchKeys: { $all: phoneticKeys.map((key) => new RegExp(`^${escapeRegex(key)}`)) }
+        })
+          .select(`${projection} searchKeys`)
+          .limit(limit)
+          .lean()
+      ]);
+
+      // Merge both result sets and rank
+      const ranked = new Map();
+
+      for (const user of textMatches) {
+        ranked.set(user._id.toString(), { user, rank: user.score });
+      }
+
+      for (const user of phoneticMatches) {
+        // Exact phonetic word matches rank above prefix matches
+        const exactMatches = phoneticKeys.filter((key) => user.searchKeys.includes(key)).length;
+        const phoneticRank = 1 + exactMatches / phoneticKeys.length;
+        const id = user._id.toString();
+        const existing = ranked.get(id);
+
+        ranked.set(id, {
+          user: existing ? existing.user : user,
+          rank: (existing ? existing.rank : 0) + phoneticRank
+        });
+      }
+
+      const users = [...ranked.values()]
+        .sort((a, b) => b.rank - a.rank || String(a.user.name).localeCompare(String(b.user.name)))
+        .slice(0, limit)
+        .map(({ user }) => {
+          const { score, searchKeys, ...rest } = user;
+          return applyPrivacy(rest, req.user, privacyDefaults);
+        });
+
+      console.log(`[USERS] Search returned ${users.length} users`);
+
+      return res.status(200).json({
+        success: true,
+        users,
+        total: users.length
+      });
+
+    } catch (error) {
+      console.error('[USERS] Search users error:', error.message);
+
+      // Pass to global error handler
+      next(error);
+    }
+  }
+);
+
 /**
  * GET /api/users
- * Get all registered users (members)
+ * Get registered users (members), one page at a time
  * Protected route - requires JWT authentication
  * 
  * Headers:
  * Authorization: Bearer <jwt_token>
  * 
+ * Query params (all optional):
+ * limit=20                   Page size (max 100)
+ * cursor=<nextCursor>        Cursor from the previous page
+ * sort=name                  name, joinedDate, dateOfBirth, occupation (prefix - for descending)
+ * fields=name,phone,gothra   Fields to return (from a safe set)
+ * occupation, gothra, gender, maritalStatus, education   Exact-match filters
+ * minAge=18&maxAge=30        Age range
+ * 
  * Response (success):
  * {
  *   "success": true,
@@ -31,7 +255,9 @@ const router = express.Router();
  *     },
  *     ...
  *   ],
- *   "total": 150
+ *   "total": 150,
+ *   "nextCursor": "eyJzIjoibmFtZSIs...",
+ *   "hasMore": true
  * }
  * 
  * Response (error):
@@ -43,22 +269,68 @@ const router = express.Router();
 router.get(
   '/',
   authenticate,
+  directoryQueryValidation,
+  handleValidationErrors,
   async (req, res, next) => {
     try {
-      // Fetch all users from database
-      // Select only necessary fields for the list view
-      const users = await User.find()
-        .select('name phone email occupation residenceAddress dateOfBirth')
-        .sort({ name: 1 }) // Sort alphabetically by name
+      const limit = req.query.limit || DEFAULT_PAGE_LIMIT;
+      const sortParam = req.query.sort || DEFAULT_DIRECTORY_SORT;
+      const direction = sortParam.startsWith('-') ? -1 : 1;
+      const sortField = DIRECTORY_SORT_KEYS[sortParam.replace(/^-/, '')];
+      const fields = parseFields(req.query.fields);
+
+      const privacyDefaults = await getPrivacyDefaults();
+      const filter = buildDirectoryFilter(req.query, req.user, privacyDefaults, sortField);
+      let pageFilter = filter;
+
+      // Continue after the last item of the previous page
+      if (req.query.cursor) {
+        const cursor = decodeCursor(req.query.cursor);
+
+        if (cursor.sortField !== sortField || cursor.direction !== direction) {
+          return res.status(400).json({
+            success: false,
+            message: 'Cursor does not match the requested sort order'
+          });
+        }
+
+        pageFilter = { $and: [filter, buildCursorFilter(sortField, direction, cursor)] };
+      }
+
+      // Sort field is always selected so the next cursor can be built
+      const users = await User.find(pageFilter)
+        .select([...new Set([...fields, sortField, 'privacy'])].join(' '))
+        .sort({ [sortField]: direction, _id: direction }) // _id keeps order stable
+        .limit(limit + 1)
         .lean(); // Return plain JavaScript objects
 
-      console.log(`[USERS] Fetched ${users.length} users`);
+      const hasMore = users.length > limit;
+      if (hasMore) {
+        users.pop();
+      }
+
+      const nextCursor = hasMore
+        ? encodeCursor(users[users.length - 1], sortField, direction)
+        : null;
+
+      if (!fields.includes(sortField)) {
+        users.forEach((user) => delete user[sortField]);
+      }
 
-      // Return users list
+      // Hide fields each member has not shared with the viewer
+      const visibleUsers = users.map((user) => applyPrivacy(user, req.user, privacyDefaults));
+
+      const total = await User.countDocuments(filter);
+
+      console.log(`[USERS] Fetched ${visibleUsers.length} users`);
+
+      // Return users page
       return res.status(200).json({
         success: true,
-        users,
-        total: users.length
+        users: visibleUsers,
+        total,
+        nextCursor,
+        hasMore
       });
 
     } catch (error) {
@@ -70,4 +342,189 @@ router.get(
   }
 );
 
+/**
+ * PUT /api/users/me/photo
+ * Upload or replace the logged-in user's profile photo
+ * Protected route - requires JWT authentication
+ *
+ * Request: multipart/form-data with a "photo" file (JPEG, PNG or WebP, max 5 MB)
+ * EXIF data (including location) is removed; thumbnail and medium sizes are generated.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "profileImage": "/api/users/<userId>/photo/medium?v=<version>",
+ *   "profileThumbnail": "/api/users/<userId>/photo/thumbnail?v=<version>"
+ * }
+ */
+router.put(
+  '/me/photo',
+  authenticate,
+  profilePhotoUpload,
+  async (req, res, next) => {
+    try {
+      const urls = await setProfilePhoto(req.user.userId, req.file.buffer);
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.PROFILE_PHOTO_UPDATED,
+        req,
+        targetType: 'user',
+        targetId: req.user.userId
+      });
+
+      return res.status(200).json({
+        success: true,
+        ...urls
+      });
+
+    } catch (error) {
+      console.error('[USERS] Upload photo error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/users/me/photo
+ * Remove the logged-in user's profile photo
+ * Protected route - requires JWT authentication
+ */
+router.delete(
+  '/me/photo',
+  authenticate,
+  async (req, res, next) => {
+    try {
+      const removed = await removeProfilePhoto(req.user.userId);
+
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          message: 'No profile photo to remove'
+        });
+      }
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.PROFILE_PHOTO_REMOVED,
+        req,
+        targetType: 'user',
+        targetId: req.user.userId
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Profile photo removed'
+      });
+
+    } catch (error) {
+      console.error('[USERS] Remove photo error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/users/:userId/photo/:size
+ * Serve a member's profile photo (size: thumbnail or medium)
+ * Follows the member's privacy choice for profileImage.
+ * Protected route - requires JWT authentication
+ *
+ * Response: image/jpeg
+ */
+router.get(
+  '/:userId/photo/:size',
+  authenticate,
+  userIdParamValidation,
+  photoSizeParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({ _id: req.params.userId, status: User.STATUS.ACTIVE })
+        .select('profileImage privacy +profileImageVersion')
+        .lean();
+
+      const privacyDefaults = user ? await getPrivacyDefaults() : null;
+      const visible = user && user.profileImageVersion &&
+        applyPrivacy(user, req.user, privacyDefaults).profileImage;
+
+      if (!visible) {
+        return res.status(404).json({
+          success: false,
+          message: 'Photo not found'
+        });
+      }
+
+      const photo = await getProfilePhoto(user._id.toString(), user.profileImageVersion, req.params.size);
+
+      if (!photo) {
+        return res.status(404).json({
+          success: false,
+          message: 'Photo not found'
+        });
+      }
+
+      // URLs change with every upload, so the image can be cached
+      res.set({
+        'Content-Type': photo.contentType,
+        'Cache-Control': 'private, max-age=86400'
+      });
+      return res.status(200).send(photo.body);
+
+    } catch (error) {
+      console.error('[USERS] Get photo error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/users/:userId
+ * View a member's profile
+ * Only fields the member has shared with the viewer are returned.
+ * Protected route - requires JWT authentication
+ * 
+ * Response (success):
+ * {
+ *   "success": true,
+ *   "user": {
+ *     "_id": "...",
+ *     "name": "John Doe",
+ *     "gothra": "Bharadwaj",
+ *     ...
+ *   }
+ * }
+ */
+router.get(
+  '/:userId',
+  authenticate,
+  userIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({ _id: req.params.userId, status: User.STATUS.ACTIVE })
+        .select([...PROFILE_VIEW_FIELDS, 'privacy'].join(' '))
+        .lean();
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const privacyDefaults = await getPrivacyDefaults();
+
+      return res.status(200).json({
+        success: true,
+        user: applyPrivacy(user, req.user, privacyDefaults)
+      });
+
+    } catch (error) {
+      console.error('[USERS] Get user profile error:', error.message);
+
+      // Pass to global error handler
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
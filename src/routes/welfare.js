@@ -0,0 +1,441 @@
+/**
+ * Welfare Routes
+ * Welfare schemes, member eligibility and applications with committee review
+ */
+
+const express = require('express');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ADMIN_ROLES, COMMITTEE_ROLES } = require('../config/roles');
+const { AUDIT_ACTIONS } = require('../config/audit');
+const { recordAuditEvent, diffChanges } = require('../services/auditService');
+const {
+  createScheme,
+  updateScheme,
+  listSchemes,
+  listEligibleSchemes,
+  getScheme,
+  applyToScheme,
+  withdrawApplication,
+  listOwnApplications,
+  listApplications,
+  getApplication,
+  reviewApplication
+} = require('../services/welfareService');
+const {
+  welfareSchemeValidation,
+  updateWelfareSchemeValidation,
+  welfareSchemeIdParamValidation,
+  listWelfareSchemesValidation,
+  welfareApplicationValidation,
+  welfareApplicationIdParamValidation,
+  listWelfareApplicationsValidation,
+  reviewWelfareApplicationValidation,
+  handleValidationErrors
+} = require('../middleware/validators');
+
+const router = express.Router();
+
+// All welfare routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/welfare/schemes
+ * List schemes (newest first)
+ * Members see active schemes; admins can pass status=archived.
+ *
+ * Query: category, status, page, limit
+ */
+router.get(
+  '/schemes',
+  listWelfareSchemesValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { schemes, total } = await listSchemes({
+        category: req.query.category,
+        status: ADMIN_ROLES.includes(req.user.role) ? req.query.status : undefined,
+        page,
+        limit
+      });
+
+      return res.status(200).json({
+        success: true,
+        schemes,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] List schemes error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/welfare/schemes/eligible
+ * Active schemes the logged-in member qualifies for, checked against
+ * their profile and household
+ *
+ * Query:
+ *   includeIneligible   true to also list schemes they do not qualify for
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "schemes": [
+ *     {
+ *       "_id": "...",
+ *       "name": "Higher education scholarship",
+ *       "isOpen": true,
+ *       "eligibility": {
+ *         "eligible": false,
+ *         "unmet": [
+ *           { "field": "annualIncome", "op": "lte", "value": "1-3 Lakhs", "description": "Annual income at most 1-3 Lakhs", "missing": true, "unrecognised": false }
+ *         ]
+ *       },
+ *       "application": null
+ *     }
+ *   ]
+ * }
+ */
+router.get(
+  '/schemes/eligible',
+  async (req, res, next) => {
+    try {
+      const schemes = await listEligibleSchemes(req.user.userId, {
+        includeIneligible: req.query.includeIneligible === 'true'
+      });
+
+      return res.status(200).json({
+        success: true,
+        schemes
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] Eligible schemes error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/welfare/schemes
+ * Create a scheme (admin and above)
+ *
+ * Request body:
+ * {
+ *   "name": "Higher education scholarship",
+ *   "category": "scholarship",
+ *   "description": "...",
+ *   "benefits": "Up to ₹25,000 per year towards fees",
+ *   "eligibility": {
+ *     "all": [
+ *       { "field": "age", "op": "lte", "value": 25 },
+ *       { "field": "annualIncome", "op": "lte", "value": "1-3 Lakhs" },
+ *       { "any": [
+ *         { "field": "rationCardType", "op": "in", "value": ["BPL", "AAY"] },
+ *         { "field": "specialPerson", "op": "eq", "value": true }
+ *       ] }
+ *     ]
+ *   },
+ *   "requiredDocuments": ["Fee receipt", "Marks card"],
+ *   "opensAt": "2026-06-01",
+ *   "closesAt": "2026-07-31"
+ * }
+ */
+router.post(
+  '/schemes',
+  authorize(...ADMIN_ROLES),
+  welfareSchemeValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const scheme = await createScheme(req.user.userId, req.body);
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.WELFARE_SCHEME_CREATED,
+        req,
+        targetType: 'welfare_scheme',
+        targetId: scheme._id,
+        metadata: { name: scheme.name, category: scheme.category }
+      });
+
+      return res.status(201).json({
+        success: true,
+        scheme
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] Create scheme error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/welfare/schemes/:schemeId
+ * Scheme details with the logged-in member's eligibility and application
+ */
+router.get(
+  '/schemes/:schemeId',
+  welfareSchemeIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { scheme, eligibility, application } = await getScheme(
+        req.params.schemeId,
+        req.user,
+        ADMIN_ROLES.includes(req.user.role)
+      );
+
+      return res.status(200).json({
+        success: true,
+        scheme,
+        eligibility,
+        application
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] Get scheme error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/welfare/schemes/:schemeId
+ * Update a scheme (admin and above)
+ * Send { "status": "archived" } to withdraw it from members.
+ */
+router.patch(
+  '/schemes/:schemeId',
+  authorize(...ADMIN_ROLES),
+  updateWelfareSchemeValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { scheme, previous } = await updateScheme(req.params.schemeId, req.user.userId, req.body);
+      const changes = diffChanges(previous, scheme, Object.keys(req.body));
+
+      if (changes.length > 0) {
+        await recordAuditEvent({
+          action: AUDIT_ACTIONS.WELFARE_SCHEME_UPDATED,
+          req,
+          targetType: 'welfare_scheme',
+          targetId: scheme._id,
+          changes
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        scheme
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] Update scheme error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/welfare/schemes/:schemeId/applications
+ * Apply to a scheme the logged-in member qualifies for
+ *
+ * Request body:
+ * { "statement": "Admitted to B.E. at NITK, first year fees ₹1,20,000" }
+ */
+router.post(
+  '/schemes/:schemeId/applications',
+  welfareApplicationValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const application = await applyToScheme(req.params.schemeId, req.user.userId, req.body);
+
+      return res.status(201).json({
+        success: true,
+        application
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] Apply error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/welfare/applications/mine
+ * The logged-in member's applications with their status and review comments
+ */
+router.get(
+  '/applications/mine',
+  async (req, res, next) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        applications: await listOwnApplications(req.user.userId)
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] List own applications error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/welfare/applications
+ * Applications for review, oldest first (committee and above)
+ * Without status, submitted and under-review applications are listed.
+ *
+ * Query: scheme, status, page, limit
+ */
+router.get(
+  '/applications',
+  authorize(...COMMITTEE_ROLES),
+  listWelfareApplicationsValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+
+      const { applications, total } = await listApplications({
+        scheme: req.query.scheme,
+        status: req.query.status,
+        page,
+        limit
+      });
+
+      return res.status(200).json({
+        success: true,
+        applications,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] List applications error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/welfare/applications/:applicationId
+ * An application and its history (the applicant, committee and above)
+ * The committee also receives the applicant's current eligibility and
+ * any profile values that need correcting before rules can use them.
+ */
+router.get(
+  '/applications/:applicationId',
+  welfareApplicationIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { application, eligibility, unrecognisedFacts } = await getApplication(
+        req.params.applicationId,
+        req.user,
+        COMMITTEE_ROLES.includes(req.user.role)
+      );
+
+      return res.status(200).json({
+        success: true,
+        application,
+        eligibility,
+        unrecognisedFacts
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] Get application error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/welfare/applications/:applicationId
+ * Withdraw the logged-in member's application before it is decided
+ */
+router.delete(
+  '/applications/:applicationId',
+  welfareApplicationIdParamValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const application = await withdrawApplication(req.params.applicationId, req.user.userId);
+
+      return res.status(200).json({
+        success: true,
+        application
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] Withdraw application error:', error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/welfare/applications/:applicationId/review
+ * Take up, approve or reject an application (committee and above)
+ * The applicant is notified; the comment is shown to them.
+ *
+ * Request body:
+ * { "status": "rejected", "comment": "Income certificate does not match the declared band" }
+ */
+router.post(
+  '/applications/:applicationId/review',
+  authorize(...COMMITTEE_ROLES),
+  reviewWelfareApplicationValidation,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { application, previousStatus } = await reviewApplication(
+        req.params.applicationId,
+        req.user.userId,
+        req.body
+      );
+
+      await recordAuditEvent({
+        action: AUDIT_ACTIONS.WELFARE_APPLICATION_REVIEWED,
+        req,
+        targetType: 'welfare_application',
+        targetId: application._id,
+        changes: [{ field: 'status', before: previousStatus, after: application.status }],
+        metadata: {
+          scheme: application.scheme._id.toString(),
+          applicant: application.applicant.toString(),
+          comment: req.body.comment
+        }
+      });
+
+      return res.status(200).json({
+        success: true,
+        application
+      });
+
+    } catch (error) {
+      console.error('[WELFARE] Review application error:', error.message);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
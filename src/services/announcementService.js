@@ -0,0 +1,541 @@
+/**
+ * Announcement Service
+ * Publishing announcements, audience targeting and the member feed
+ *
+ * An announcement reaches a member when it is published, not expired and
+ * every audience criterion it sets matches the member's profile. Matching
+ * runs in the database query so the feed can be paginated.
+ */
+
+const sanitizeHtml = require('sanitize-html');
+const mongoose = require('mongoose');
+const Announcement = require('../models/Announcement');
+const AnnouncementRead = require('../models/AnnouncementRead');
+const User = require('../models/User');
+const { getStorage } = require('./storage');
+const { notifyUsers } = require('./notificationService');
+const { getAge, buildBirthDateRange } = require('../utils/age');
+const { escapeRegex } = require('../utils/regex');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+const {
+  ANNOUNCEMENT_HTML,
+  ANNOUNCEMENT_ATTACHMENT_CONFIG,
+  AUDIENCE_LIST_FIELDS,
+  AUDIENCE_LOCATION_FIELD
+} = require('../config/announcements');
+
+// Leading bytes of each allowed attachment type (the client's MIME type is not trusted)
+const FILE_SIGNATURES = {
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  'image/webp': [Buffer.from('RIFF')],
+  'application/pdf': [Buffer.from('%PDF-')]
+};
+
+// Profile fields the audience is matched against
+const AUDIENCE_USER_FIELDS = [
+  ...Object.values(AUDIENCE_LIST_FIELDS),
+  AUDIENCE_LOCATION_FIELD,
+  'dateOfBirth'
+].join(' ');
+
+/**
+ * Create error with HTTP status code
+ */
+const announcementError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Strip disallowed HTML from a body
+ * @param {string} html
+ * @returns {string}
+ */
+const sanitizeBody = (html) => {
+  const body = sanitizeHtml(html, ANNOUNCEMENT_HTML).trim();
+
+  if (!sanitizeHtml(body, { allowedTags: [], allowedAttributes: {} }).trim()) {
+    throw announcementError('Announcement body cannot be empty', 400);
+  }
+
+  return body;
+};
+
+/**
+ * Query conditions matching the announcements whose audience includes a member
+ * @param {object} user - { occupation, gender, maritalStatus, gothra, residenceAddress, dateOfBirth }
+ * @param {Date} now
+ * @returns {object[]} - Conditions to combine with $and
+ */
+const buildAudienceConditions = (user, now) => {
+  const conditions = [];
+
+  for (const [audienceField, userField] of Object.entries(AUDIENCE_LIST_FIELDS)) {
+    const unrestricted = { [`audience.${audienceField}.0`]: { $exists: false } };
+    const value = user[userField];
+
+    conditions.push(value
+      ? { $or: [unrestricted, { [`audience.${audienceField}`]: value }] }
+      : unrestricted);
+  }
+
+  // Any listed location appearing in the member's address
+  const address = (user[AUDIENCE_LOCATION_FIELD] || '').toLowerCase();
+  conditions.push({
+    $or: [
+      { 'audience.locations.0': { $exists: false } },
+      {
+        $expr: {
+          $anyElementTrue: [{
+            $map: {
+              input: { $ifNull: ['$audience.locations', []] },
+              as: 'location',
+              in: { $gte: [{ $indexOfCP: [address, '$$location'] }, 0] }
+            }
+          }]
+        }
+      }
+    ]
+  });
+
+  const age = getAge(user.dateOfBirth, now);
+  if (age === null) {
+    conditions.push({ 'audience.minAge': null }, { 'audience.maxAge': null });
+  } else {
+    conditions.push(
+      { $or: [{ 'audience.minAge': null }, { 'audience.minAge': { $lte: age } }] },
+      { $or: [{ 'audience.maxAge': null }, { 'audience.maxAge': { $gte: age } }] }
+    );
+  }
+
+  return conditions;
+};
+
+/**
+ * Filter for the announcements currently in a member's feed
+ * @param {string} userId
+ */
+const getFeedFilter = async (userId) => {
+  const user = await User.findById(userId).select(AUDIENCE_USER_FIELDS).lean();
+
+  if (!user) {
+    throw announcementError('User not found', 404);
+  }
+
+  const now = new Date();
+
+  return {
+    publishedAt: { $lte: now },
+    $and: [
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      ...buildAudienceConditions(user, now)
+    ]
+  };
+};
+
+/**
+ * Find the active members an audience covers
+ * The reverse of buildAudienceConditions, used to notify on publication.
+ * @param {object} audience
+ * @returns {Promise<object[]>} - User IDs
+ */
+const findAudienceUserIds = (audience = {}) => {
+  const filter = { status: User.STATUS.ACTIVE };
+
+  for (const [audienceField, userField] of Object.entries(AUDIENCE_LIST_FIELDS)) {
+    if (audience[audienceField] && audience[audienceField].length > 0) {
+      filter[userField] = { $in: audience[audienceField] };
+    }
+  }
+
+  if (audience.locations && audience.locations.length > 0) {
+    filter[AUDIENCE_LOCATION_FIELD] = new RegExp(audience.locations.map(escapeRegex).join('|'), 'i');
+  }
+
+  const birthDateRange = buildBirthDateRange(audience);
+  if (birthDateRange) {
+    filter.dateOfBirth = birthDateRange;
+  }
+
+  return User.distinct('_id', filter);
+};
+
+/**
+ * Notify the audience of an announcement that is already published
+ * Runs in the background; scheduled announcements are not pushed.
+ */
+const notifyAudience = (announcement) => {
+  if (announcement.publishedAt > new Date()) {
+    return;
+  }
+
+  findAudienceUserIds(announcement.audience)
+    .then((userIds) => notifyUsers(userIds.map(String), {
+      type: NOTIFICATION_TYPES.ANNOUNCEMENT,
+      title: announcement.title,
+      body: sanitizeHtml(announcement.body, { allowedTags: [], allowedAttributes: {} }).slice(0, 200),
+      data: { announcementId: announcement._id.toString() }
+    }))
+    .catch((error) => {
+      console.error(`[ANNOUNCEMENT] Failed to notify audience of ${announcement._id}:`, error.message);
+    });
+};
+
+/**
+ * URL members download an attachment from
+ */
+const getAttachmentUrl = (announcementId, attachmentId) =>
+  `/api/feed/${announcementId}/attachments/${attachmentId}`;
+
+/**
+ * Public attachment details (storage keys stay internal)
+ */
+const toAttachmentView = (announcementId, attachment) => ({
+  _id: attachment._id,
+  fileName: attachment.fileName,
+  contentType: attachment.contentType,
+  size: attachment.size,
+  url: getAttachmentUrl(announcementId, attachment._id)
+});
+
+/**
+ * Announcement as returned to the app
+ * @param {object} announcement - Lean document
+ */
+const toAnnouncementView = (announcement) => ({
+  ...announcement,
+  attachments: (announcement.attachments || []).map((attachment) =>
+    toAttachmentView(announcement._id, attachment)
+  )
+});
+
+/**
+ * Check the expiry and audience age range make sense
+ */
+const assertValidSchedule = ({ publishedAt, expiresAt, audience }) => {
+  if (expiresAt && expiresAt <= (publishedAt || new Date())) {
+    throw announcementError('Expiry must be after publication', 400);
+  }
+
+  if (audience && audience.minAge != null && audience.maxAge != null && audience.minAge > audience.maxAge) {
+    throw announcementError('Minimum age cannot be above maximum age', 400);
+  }
+};
+
+/**
+ * Create an announcement
+ * @param {object} actor - req.user
+ * @param {object} data - { title, body, audience, pinned, publishedAt, expiresAt }
+ */
+const createAnnouncement = async (actor, data) => {
+  assertValidSchedule(data);
+
+  const announcement = await Announcement.create({
+    ...data,
+    body: sanitizeBody(data.body),
+    createdBy: actor.userId,
+    updatedBy: actor.userId
+  });
+
+  console.log(`[ANNOUNCEMENT] Announcement created: ${announcement._id} by ${actor.userId}`);
+
+  notifyAudience(announcement);
+
+  return toAnnouncementView(announcement.toObject());
+};
+
+/**
+ * Update an announcement
+ * A given audience replaces the previous one.
+ * @param {string} announcementId
+ * @param {object} actor - req.user
+ * @param {object} data
+ */
+const updateAnnouncement = async (announcementId, actor, data) => {
+  const announcement = await Announcement.findById(announcementId);
+
+  if (!announcement) {
+    throw announcementError('Announcement not found', 404);
+  }
+
+  for (const field of ['title', 'audience', 'pinned', 'publishedAt', 'expiresAt']) {
+    if (data[field] !== undefined) {
+      announcement[field] = data[field];
+    }
+  }
+
+  if (data.body !== undefined) {
+    announcement.body = sanitizeBody(data.body);
+  }
+
+  assertValidSchedule(announcement);
+
+  announcement.updatedBy = actor.userId;
+  await announcement.save();
+
+  return toAnnouncementView(announcement.toObject());
+};
+
+/**
+ * Delete an announcement with its attachments and read records
+ * @param {string} announcementId
+ */
+const deleteAnnouncement = async (announcementId) => {
+  const announcement = await Announcement.findByIdAndDelete(announcementId);
+
+  if (!announcement) {
+    throw announcementError('Announcement not found', 404);
+  }
+
+  await AnnouncementRead.deleteMany({ announcement: announcement._id });
+
+  const storage = getStorage();
+  await Promise.all(announcement.attachments.map((attachment) =>
+    storage.remove(attachment.key).catch((error) => {
+      console.error(`[ANNOUNCEMENT] Failed to delete attachment ${attachment.key}:`, error.message);
+    })
+  ));
+
+  console.log(`[ANNOUNCEMENT] Announcement deleted: ${announcement._id}`);
+};
+
+/**
+ * List all announcements, including scheduled and expired, with read counts
+ * @param {object} options - { page, limit }
+ */
+const listAnnouncements = async ({ page, limit }) => {
+  const [announcements, total] = await Promise.all([
+    Announcement.find()
+      .populate('createdBy', 'name')
+      .sort({ publishedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Announcement.countDocuments()
+  ]);
+
+  const readCounts = await AnnouncementRead.aggregate([
+    { $match: { announcement: { $in: announcements.map((announcement) => announcement._id) } } },
+    { $group: { _id: '$announcement', count: { $sum: 1 } } }
+  ]);
+  const readCountById = new Map(readCounts.map((item) => [item._id.toString(), item.count]));
+
+  return {
+    announcements: announcements.map((announcement) => ({
+      ...toAnnouncementView(announcement),
+      readCount: readCountById.get(announcement._id.toString()) || 0
+    })),
+    total
+  };
+};
+
+/**
+ * Check an uploaded file's contents match its declared type
+ */
+const matchesSignature = (buffer, contentType) => {
+  return (FILE_SIGNATURES[contentType] || []).some((signature) =>
+    buffer.subarray(0, signature.length).equals(signature)
+  );
+};
+
+/**
+ * Attach a file to an announcement
+ * @param {string} announcementId
+ * @param {object} file - multer file { buffer, mimetype, originalname, size }
+ */
+const addAttachment = async (announcementId, file) => {
+  const announcement = await Announcement.findById(announcementId);
+
+  if (!announcement) {
+    throw announcementError('Announcement not found', 404);
+  }
+
+  if (announcement.attachments.length >= ANNOUNCEMENT_ATTACHMENT_CONFIG.maxAttachments) {
+    throw announcementError(`An announcement can have at most ${ANNOUNCEMENT_ATTACHMENT_CONFIG.maxAttachments} attachments`, 400);
+  }
+
+  if (!matchesSignature(file.buffer, file.mimetype)) {
+    throw announcementError('The file content does not match its type', 400);
+  }
+
+  const attachmentId = new mongoose.Types.ObjectId();
+  const extension = ANNOUNCEMENT_ATTACHMENT_CONFIG.allowedMimeTypes[file.mimetype];
+  const key = `announcements/${announcement._id}/${attachmentId}${extension}`;
+
+  await getStorage().put(key, file.buffer, file.mimetype);
+
+  announcement.attachments.push({
+    _id: attachmentId,
+    key,
+    fileName: file.originalname.slice(0, 200),
+    contentType: file.mimetype,
+    size: file.size
+  });
+
+  try {
+    await announcement.save();
+  } catch (error) {
+    await getStorage().remove(key).catch(() => {});
+    throw error;
+  }
+
+  return toAttachmentView(announcement._id, announcement.attachments.id(attachmentId));
+};
+
+/**
+ * Remove an attachment
+ * @param {string} announcementId
+ * @param {string} attachmentId
+ */
+const removeAttachment = async (announcementId, attachmentId) => {
+  const announcement = await Announcement.findOneAndUpdate(
+    { _id: announcementId, 'attachments._id': attachmentId },
+    { $pull: { attachments: { _id: attachmentId } } }
+  );
+
+  if (!announcement) {
+    throw announcementError('Attachment not found', 404);
+  }
+
+  const attachment = announcement.attachments.id(attachmentId);
+  await getStorage().remove(attachment.key).catch((error) => {
+    console.error(`[ANNOUNCEMENT] Failed to delete attachment ${attachment.key}:`, error.message);
+  });
+};
+
+/**
+ * Get a member's feed: pinned first, then newest
+ * @param {string} userId
+ * @param {object} options - { page, limit, unread }
+ * @returns {Promise<{ items: object[], total: number, unreadCount: number }>}
+ */
+const getFeed = async (userId, { page, limit, unread }) => {
+  const filter = await getFeedFilter(userId);
+  const readIds = await AnnouncementRead.distinct('announcement', { user: userId });
+  const unreadFilter = { ...filter, _id: { $nin: readIds } };
+  const pageFilter = unread ? unreadFilter : filter;
+
+  const [announcements, total, unreadCount] = await Promise.all([
+    Announcement.find(pageFilter)
+      .select('-audience -createdBy -updatedBy')
+      .sort({ pinned: -1, publishedAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Announcement.countDocuments(pageFilter),
+    unread ? null : Announcement.countDocuments(unreadFilter)
+  ]);
+
+  const readSet = new Set(readIds.map((id) => id.toString()));
+
+  return {
+    items: announcements.map((announcement) => ({
+      ...toAnnouncementView(announcement),
+      isRead: readSet.has(announcement._id.toString())
+    })),
+    total,
+    unreadCount: unread ? total : unreadCount
+  };
+};
+
+/**
+ * Get an announcement from a member's feed, or fail
+ * @param {string} userId
+ * @param {string} announcementId
+ */
+const getFeedAnnouncement = async (userId, announcementId) => {
+  const filter = await getFeedFilter(userId);
+  const announcement = await Announcement.findOne({ ...filter, _id: announcementId }).lean();
+
+  if (!announcement) {
+    throw announcementError('Announcement not found', 404);
+  }
+
+  return announcement;
+};
+
+/**
+ * Mark one announcement as read
+ * @param {string} userId
+ * @param {string} announcementId
+ */
+const markRead = async (userId, announcementId) => {
+  await getFeedAnnouncement(userId, announcementId);
+
+  await AnnouncementRead.updateOne(
+    { user: userId, announcement: announcementId },
+    { $setOnInsert: { readAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Mark everything currently in a member's feed as read
+ * @param {string} userId
+ * @returns {Promise<number>} - Number newly marked
+ */
+const markAllRead = async (userId) => {
+  const filter = await getFeedFilter(userId);
+  const readIds = await AnnouncementRead.distinct('announcement', { user: userId });
+  const unreadIds = await Announcement.distinct('_id', { ...filter, _id: { $nin: readIds } });
+
+  if (unreadIds.length === 0) {
+    return 0;
+  }
+
+  const result = await AnnouncementRead.bulkWrite(unreadIds.map((announcementId) => ({
+    updateOne: {
+      filter: { user: userId, announcement: announcementId },
+      update: { $setOnInsert: { readAt: new Date() } },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return result.upsertedCount;
+};
+
+/**
+ * Get an attachment's file
+ * Members can only download attachments of announcements in their feed.
+ * @param {string} announcementId
+ * @param {string} attachmentId
+ * @param {object} viewer - { userId, canManage }
+ * @returns {Promise<{ body: Buffer, contentType: string, fileName: string }>}
+ */
+const getAttachmentFile = async (announcementId, attachmentId, { userId, canManage }) => {
+  const filter = canManage ? {} : await getFeedFilter(userId);
+  const announcement = await Announcement.findOne({ ...filter, _id: announcementId }).lean();
+
+  const attachment = announcement && announcement.attachments.find((item) => item._id.equals(attachmentId));
+
+  if (!attachment) {
+    throw announcementError('Attachment not found', 404);
+  }
+
+  const file = await getStorage().get(attachment.key);
+
+  if (!file) {
+    throw announcementError('Attachment not found', 404);
+  }
+
+  return {
+    body: file.body,
+    contentType: attachment.contentType,
+    fileName: attachment.fileName
+  };
+};
+
+module.exports = {
+  createAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement,
+  listAnnouncements,
+  addAttachment,
+  removeAttachment,
+  getFeed,
+  markRead,
+  markAllRead,
+  getAttachmentFile
+};
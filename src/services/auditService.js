@@ -0,0 +1,155 @@
+/**
+ * Audit Service
+ * Records authentication events, profile changes and admin actions,
+ * with field-level diffs and sensitive values redacted
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { REDACTED_FIELDS, REDACTED_VALUE } = require('../config/audit');
+
+/**
+ * Check whether a field (or dot path ending in one) is sensitive
+ * @param {string} field
+ */
+const isRedactedField = (field) => REDACTED_FIELDS.includes(field.split('.').pop());
+
+/**
+ * Redact sensitive keys in metadata, recursively
+ * @param {*} value
+ */
+const redactMetadata = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redactMetadata);
+  }
+
+  if (!value || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = REDACTED_FIELDS.includes(key) ? REDACTED_VALUE : redactMetadata(item);
+  }
+  return redacted;
+};
+
+/**
+ * Read a (dot path) field from a document or plain object
+ */
+const getFieldValue = (source, field) => {
+  if (!source) {
+    return undefined;
+  }
+  if (typeof source.get === 'function') {
+    return source.get(field);
+  }
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+};
+
+/**
+ * Comparable form of a value (dates, ObjectIds and arrays included)
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Field-level diff between two versions of a record
+ * @param {object|null} before - Document or plain object before the change
+ * @param {object|null} after - Document or plain object after the change
+ * @param {string[]} fields - Fields (dot paths allowed) that may have changed
+ * @returns {Array<{ field: string, before: *, after: * }>}
+ */
+const diffChanges = (before, after, fields) => {
+  const changes = [];
+
+  for (const field of fields) {
+    const oldValue = normalizeValue(getFieldValue(before, field));
+    const newValue = normalizeValue(getFieldValue(after, field));
+
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      continue;
+    }
+
+    if (isRedactedField(field)) {
+      changes.push({
+        field,
+        before: oldValue === null ? null : REDACTED_VALUE,
+        after: newValue === null ? null : REDACTED_VALUE
+      });
+    } else {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Record an audit event
+ * Failures are logged and never break the request being audited.
+ * @param {object} event
+ * @param {string} event.action - One of AUDIT_ACTIONS
+ * @param {object} [event.req] - Express request (actor, IP and user agent are taken from it)
+ * @param {string} [event.actor] - User ID, if not the authenticated user
+ * @param {string} [event.targetType] - user, phone, ip, setting, business, welfare_scheme, welfare_application
+ * @param {string} [event.targetId]
+ * @param {Array} [event.changes] - From diffChanges()
+ * @param {object} [event.metadata]
+ */
+const recordAuditEvent = async ({ action, req, actor, targetType, targetId, changes, metadata }) => {
+  try {
+    await AuditLog.create({
+      action,
+      actor: actor || (req && req.user ? req.user.userId : undefined),
+      targetType,
+      targetId: targetId !== undefined ? String(targetId) : undefined,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('User-Agent') : undefined,
+      changes,
+      metadata: redactMetadata(metadata)
+    });
+  } catch (error) {
+    console.error(`[AUDIT] Failed to record ${action}:`, error.message);
+  }
+};
+
+/**
+ * Query audit events, newest first
+ * @param {object} filters - { action, actor, targetType, targetId, from, to }
+ * @param {number} page
+ * @param {number} limit
+ */
+const listAuditEvents = async ({ action, actor, targetType, targetId, from, to }, page, limit) => {
+  const filter = {};
+  if (action) filter.action = action;
+  if (actor) filter.actor = actor;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const [events, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'name phone role')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return { events, total };
+};
+
+module.exports = {
+  diffChanges,
+  recordAuditEvent,
+  listAuditEvents
+};
@@ -0,0 +1,383 @@
+/**
+ * Business Service
+ * Business directory listings, committee moderation and member reviews
+ */
+
+const Business = require('../models/Business');
+const BusinessReview = require('../models/BusinessReview');
+const User = require('../models/User');
+const { notifyUsers } = require('./notificationService');
+const { getPrivacyDefaults } = require('./privacyService');
+const { tokenize, toPhoneticKey } = require('../utils/phonetic');
+const { escapeRegex } = require('../utils/regex');
+const { COMMITTEE_ROLES } = require('../config/roles');
+const { VISIBILITY } = require('../config/privacy');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+const {
+  BUSINESS_CATEGORIES,
+  BUSINESS_STATUS,
+  BUSINESS_SORTS,
+  BUSINESS_CONFIG
+} = require('../config/businesses');
+
+// Fields the owner can edit
+const EDITABLE_FIELDS = ['name', 'category', 'services', 'description', 'area', 'address', 'contact', 'hours'];
+
+/**
+ * Create error with HTTP status code
+ */
+const businessError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Whether a viewer owns a listing
+ */
+const isOwner = (business, viewer) => String(business.owner._id || business.owner) === String(viewer.userId);
+
+/**
+ * Get a listing the viewer may see: published ones, or any for the owner and committee
+ * @param {string} businessId
+ * @param {object} viewer - req.user
+ */
+const getVisibleBusiness = async (businessId, viewer) => {
+  const business = await Business.findById(businessId).populate('owner', 'name');
+
+  if (!business || (business.status !== BUSINESS_STATUS.PUBLISHED &&
+    !isOwner(business, viewer) && !COMMITTEE_ROLES.includes(viewer.role))) {
+    throw businessError('Business not found', 404);
+  }
+
+  return business;
+};
+
+/**
+ * Get a listing owned by the user, or fail
+ */
+const getOwnedBusiness = async (businessId, userId) => {
+  const business = await Business.findById(businessId);
+
+  if (!business) {
+    throw businessError('Business not found', 404);
+  }
+
+  if (!business.owner.equals(userId)) {
+    throw businessError('Only the owner can change this listing', 403);
+  }
+
+  return business;
+};
+
+/**
+ * Create a listing; it waits for committee approval
+ * The owner's phone is used as the contact phone if none is given, but only
+ * when their phone is already visible to all members.
+ * @param {string} userId
+ * @param {object} data
+ */
+const createBusiness = async (userId, data) => {
+  const owner = await User.findById(userId).select('phone privacy').lean();
+
+  if (!owner) {
+    throw businessError('User not found', 404);
+  }
+
+  const listings = await Business.countDocuments({ owner: userId });
+  if (listings >= BUSINESS_CONFIG.maxListingsPerOwner) {
+    throw businessError(`You can have at most ${BUSINESS_CONFIG.maxListingsPerOwner} business listings`, 400);
+  }
+
+  const defaults = await getPrivacyDefaults();
+  const phoneVisibility = (owner.privacy && owner.privacy.phone) || defaults.phone;
+  const defaultContact = phoneVisibility === VISIBILITY.MEMBERS ? { phone: owner.phone } : {};
+
+  const business = await Business.create({
+    ...data,
+    contact: { ...defaultContact, ...data.contact },
+    owner: userId,
+    status: BUSINESS_STATUS.PENDING
+  });
+
+  console.log(`[BUSINESS] Listing created: ${business._id} by ${userId}`);
+
+  return business;
+};
+
+/**
+ * Update a listing (owner only)
+ * Changes to a published or rejected listing send it back for approval.
+ * @param {string} businessId
+ * @param {string} userId
+ * @param {object} data
+ */
+const updateBusiness = async (businessId, userId, data) => {
+  const business = await getOwnedBusiness(businessId, userId);
+
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) {
+      business[field] = data[field];
+    }
+  }
+
+  if (business.isModified() && business.status !== BUSINESS_STATUS.PENDING) {
+    business.status = BUSINESS_STATUS.PENDING;
+    business.moderation = undefined;
+    console.log(`[BUSINESS] Listing ${business._id} edited, awaiting approval again`);
+  }
+
+  await business.save();
+  return business;
+};
+
+/**
+ * Delete a listing and its reviews (owner or committee)
+ * @param {string} businessId
+ * @param {object} actor - req.user
+ * @returns {Promise<object>} - Deleted listing
+ */
+const deleteBusiness = async (businessId, actor) => {
+  const business = await Business.findById(businessId);
+
+  if (!business) {
+    throw businessError('Business not found', 404);
+  }
+
+  if (!isOwner(business, actor) && !COMMITTEE_ROLES.includes(actor.role)) {
+    throw businessError('Only the owner or committee can remove this listing', 403);
+  }
+
+  await BusinessReview.deleteMany({ business: business._id });
+  await business.deleteOne();
+
+  console.log(`[BUSINESS] Listing deleted: ${business._id} by ${actor.userId}`);
+
+  return business;
+};
+
+/**
+ * Search published listings
+ * Every word of q must match (phonetically, as a prefix) a word of the
+ * name, services, area, description or category.
+ * @param {object} options - { q, category, area, sort, page, limit }
+ * @returns {Promise<{ businesses: object[], total: number }>}
+ */
+const listBusinesses = async ({ q, category, area, sort = 'rating', page, limit }) => {
+  const filter = { status: BUSINESS_STATUS.PUBLISHED };
+
+  if (category) {
+    filter.category = category;
+  }
+
+  if (area) {
+    filter.area = new RegExp(escapeRegex(area), 'i');
+  }
+
+  const phoneticKeys = tokenize(q).map(toPhoneticKey).filter(Boolean);
+  if (phoneticKeys.length > 0) {
+    filter.searchKeys = { $all: phoneticKeys.map((key) => new RegExp(`^${escapeRegex(key)}`)) };
+  }
+
+  const [businesses, total] = await Promise.all([
+    Business.find(filter)
+      .select('-moderation')
+      .populate('owner', 'name')
+      .sort(BUSINESS_SORTS[sort])
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Business.countDocuments(filter)
+  ]);
+
+  return { businesses, total };
+};
+
+/**
+ * All categories with the number of published listings in each
+ */
+const listCategories = async () => {
+  const counts = await Business.aggregate([
+    { $match: { status: BUSINESS_STATUS.PUBLISHED } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  const countByCategory = new Map(counts.map((item) => [item._id, item.count]));
+
+  return Object.entries(BUSINESS_CATEGORIES).map(([key, label]) => ({
+    key,
+    label,
+    count: countByCategory.get(key) || 0
+  }));
+};
+
+/**
+ * The user's own listings, in any status
+ * @param {string} userId
+ */
+const listOwnBusinesses = (userId) => {
+  return Business.find({ owner: userId }).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Listings waiting for committee approval, oldest first
+ * @param {object} options - { page, limit }
+ */
+const listPendingBusinesses = async ({ page, limit }) => {
+  const filter = { status: BUSINESS_STATUS.PENDING };
+
+  const [businesses, total] = await Promise.all([
+    Business.find(filter)
+      .populate('owner', 'name phone')
+      .sort({ updatedAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Business.countDocuments(filter)
+  ]);
+
+  return { businesses, total };
+};
+
+/**
+ * Approve or reject a listing (committee)
+ * Published listings can also be rejected to take them down.
+ * @param {string} businessId
+ * @param {string} reviewerId
+ * @param {boolean} approve
+ * @param {string} [reason] - Shown to the owner when rejected
+ * @returns {Promise<{ business: object, previousStatus: string }>}
+ */
+const moderateBusiness = async (businessId, reviewerId, approve, reason) => {
+  const business = await Business.findById(businessId);
+
+  if (!business) {
+    throw businessError('Business not found', 404);
+  }
+
+  const targetStatus = approve ? BUSINESS_STATUS.PUBLISHED : BUSINESS_STATUS.REJECTED;
+  if (business.status === targetStatus) {
+    throw businessError(`This listing is already ${targetStatus}`, 409);
+  }
+
+  const previousStatus = business.status;
+  business.status = targetStatus;
+  business.moderation = { reviewedBy: reviewerId, reviewedAt: new Date(), reason: approve ? undefined : reason };
+  if (approve && !business.publishedAt) {
+    business.publishedAt = new Date();
+  }
+  await business.save();
+
+  await notifyUsers([String(business.owner)], {
+    type: NOTIFICATION_TYPES.BUSINESS,
+    title: approve ? 'Your listing is live' : 'Your listing was not approved',
+    body: approve
+      ? `${business.name} is now visible in the community business directory.`
+      : `${business.name}: ${reason}`,
+    data: { businessId: business._id.toString() }
+  });
+
+  console.log(`[BUSINESS] Listing ${business._id} ${targetStatus} by ${reviewerId}`);
+
+  return { business, previousStatus };
+};
+
+/**
+ * Recalculate a listing's rating from its reviews
+ */
+const refreshRating = async (businessId) => {
+  const [stats] = await BusinessReview.aggregate([
+    { $match: { business: businessId } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await Business.updateOne({ _id: businessId }, {
+    $set: {
+      ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+      ratingCount: stats ? stats.count : 0
+    }
+  });
+};
+
+/**
+ * Reviews of a listing, newest first
+ * @param {string} businessId
+ * @param {object} viewer - req.user
+ * @param {object} options - { page, limit }
+ */
+const listReviews = async (businessId, viewer, { page, limit }) => {
+  const business = await getVisibleBusiness(businessId, viewer);
+
+  const [reviews, total, myReview] = await Promise.all([
+    BusinessReview.find({ business: business._id })
+      .populate('user', 'name profileThumbnail')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    BusinessReview.countDocuments({ business: business._id }),
+    BusinessReview.findOne({ business: business._id, user: viewer.userId }).lean()
+  ]);
+
+  return { reviews, total, myReview };
+};
+
+/**
+ * Add or change the member's review of a published listing
+ * @param {string} businessId
+ * @param {string} userId
+ * @param {object} data - { rating, comment }
+ */
+const saveReview = async (businessId, userId, { rating, comment }) => {
+  const business = await Business.findOne({ _id: businessId, status: BUSINESS_STATUS.PUBLISHED });
+
+  if (!business) {
+    throw businessError('Business not found', 404);
+  }
+
+  if (business.owner.equals(userId)) {
+    throw businessError('You cannot review your own business', 400);
+  }
+
+  const review = await BusinessReview.findOneAndUpdate(
+    { business: business._id, user: userId },
+    { $set: { rating, comment } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  await refreshRating(business._id);
+
+  return review;
+};
+
+/**
+ * Delete a review: the member's own, or any given reviewId (committee moderation)
+ * @param {string} businessId
+ * @param {object} filter - { user } or { _id }
+ * @returns {Promise<object>} - Deleted review
+ */
+const deleteReview = async (businessId, filter) => {
+  const review = await BusinessReview.findOneAndDelete({ ...filter, business: businessId });
+
+  if (!review) {
+    throw businessError('Review not found', 404);
+  }
+
+  await refreshRating(review.business);
+
+  return review;
+};
+
+module.exports = {
+  getVisibleBusiness,
+  createBusiness,
+  updateBusiness,
+  deleteBusiness,
+  listBusinesses,
+  listCategories,
+  listOwnBusinesses,
+  listPendingBusinesses,
+  moderateBusiness,
+  listReviews,
+  saveReview,
+  deleteReview
+};
@@ -0,0 +1,394 @@
+/**
+ * Event Service
+ * Event management, RSVPs with household headcount, and the waitlist
+ *
+ * Event.attendeeCount is the confirmed headcount. Seats are reserved with a
+ * conditional $inc so concurrent RSVPs can never overfill an event; RSVPs that
+ * do not fit are waitlisted and promoted, oldest first, as seats free up.
+ */
+
+const Event = require('../models/Event');
+const Rsvp = require('../models/Rsvp');
+const { getHouseholdSize } = require('./householdService');
+const { notifyUsers } = require('./notificationService');
+const { getPrivacyDefaults, applyPrivacy } = require('./privacyService');
+const { COMMITTEE_ROLES } = require('../config/roles');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+const { STATUS: EVENT_STATUS } = Event;
+const { STATUS: RSVP_STATUS } = Rsvp;
+
+/**
+ * Create error with HTTP status code
+ */
+const eventError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get a scheduled event, or fail
+ * @param {string} eventId
+ */
+const getScheduledEvent = async (eventId) => {
+  const event = await Event.findOne({ _id: eventId, status: EVENT_STATUS.SCHEDULED });
+
+  if (!event) {
+    throw eventError('Event not found', 404);
+  }
+
+  return event;
+};
+
+/**
+ * Check whether a user may manage an event's attendees
+ * @param {object} event
+ * @param {object} viewer - req.user
+ */
+const canManageEvent = (event, viewer) => {
+  return String(event.organiser) === String(viewer.userId) || COMMITTEE_ROLES.includes(viewer.role);
+};
+
+/**
+ * Atomically reserve seats if they fit
+ * @returns {Promise<boolean>}
+ */
+const reserveSeats = async (eventId, seats) => {
+  const reserved = await Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: EVENT_STATUS.SCHEDULED,
+      $or: [
+        { capacity: null },
+        { $expr: { $lte: [{ $add: ['$attendeeCount', seats] }, '$capacity'] } }
+      ]
+    },
+    { $inc: { attendeeCount: seats } }
+  );
+
+  return Boolean(reserved);
+};
+
+/**
+ * Give seats back
+ */
+const releaseSeats = async (eventId, seats) => {
+  if (seats > 0) {
+    await Event.updateOne({ _id: eventId }, { $inc: { attendeeCount: -seats } });
+  }
+};
+
+/**
+ * Move waitlisted RSVPs to going while seats are free, oldest first
+ * Parties too large for the remaining seats keep their place; smaller ones behind them may go ahead.
+ * @param {string} eventId
+ * @returns {Promise<number>} - Number of RSVPs promoted
+ */
+const promoteWaitlist = async (eventId) => {
+  const waitlist = await Rsvp.find({ event: eventId, status: RSVP_STATUS.WAITLISTED })
+    .sort({ waitlistedAt: 1, _id: 1 })
+    .lean();
+
+  let promoted = 0;
+  let event = null;
+
+  for (const rsvp of waitlist) {
+    if (!(await reserveSeats(eventId, rsvp.headcount))) {
+      continue;
+    }
+
+    // The member may have changed or withdrawn the RSVP meanwhile
+    const updated = await Rsvp.findOneAndUpdate(
+      { _id: rsvp._id, status: RSVP_STATUS.WAITLISTED, headcount: rsvp.headcount },
+      { $set: { status: RSVP_STATUS.GOING }, $unset: { waitlistedAt: 1 } }
+    );
+
+    if (updated) {
+      promoted++;
+      console.log(`[EVENT] RSVP ${rsvp._id} promoted from waitlist for event ${eventId}`);
+
+      event = event || await Event.findById(eventId).select('title').lean();
+      await notifyUsers([rsvp.user], {
+        type: NOTIFICATION_TYPES.EVENT,
+        title: `You're in: ${event.title}`,
+        body: `A place opened up and your RSVP for ${rsvp.headcount} is now confirmed.`,
+        data: { eventId: String(eventId) }
+      });
+    } else {
+      await releaseSeats(eventId, rsvp.headcount);
+    }
+  }
+
+  return promoted;
+};
+
+/**
+ * Create an event
+ * @param {object} actor - req.user
+ * @param {object} data - { title, description, venue, startsAt, endsAt, capacity, organiser }
+ */
+const createEvent = async (actor, data) => {
+  if (data.endsAt && data.startsAt && data.endsAt <= data.startsAt) {
+    throw eventError('End time must be after start time', 400);
+  }
+
+  const event = await Event.create({
+    ...data,
+    organiser: data.organiser || actor.userId,
+    createdBy: actor.userId
+  });
+
+  console.log(`[EVENT] Event created: ${event._id} by ${actor.userId}`);
+
+  return event;
+};
+
+/**
+ * Update an event
+ * Raising the capacity promotes waitlisted RSVPs; it cannot be set below
+ * the confirmed headcount.
+ * @param {string} eventId
+ * @param {object} data
+ */
+const updateEvent = async (eventId, data) => {
+  const event = await getScheduledEvent(eventId);
+
+  for (const field of ['title', 'description', 'venue', 'startsAt', 'endsAt', 'organiser']) {
+    if (data[field] !== undefined) {
+      event[field] = data[field];
+    }
+  }
+
+  if (event.endsAt && event.endsAt <= event.startsAt) {
+    throw eventError('End time must be after start time', 400);
+  }
+
+  if (data.capacity !== undefined) {
+    if (data.capacity !== null && data.capacity < event.attendeeCount) {
+      throw eventError(`Capacity cannot be below the ${event.attendeeCount} people already confirmed`, 400);
+    }
+    event.capacity = data.capacity;
+  }
+
+  await event.save();
+
+  if (data.capacity !== undefined) {
+    await promoteWaitlist(event._id);
+  }
+
+  return Event.findById(event._id);
+};
+
+/**
+ * Cancel an event
+ * @param {string} eventId
+ */
+const cancelEvent = async (eventId) => {
+  const event = await Event.findOneAndUpdate(
+    { _id: eventId, status: EVENT_STATUS.SCHEDULED },
+    { $set: { status: EVENT_STATUS.CANCELLED, cancelledAt: new Date() } },
+    { new: true }
+  );
+
+  if (!event) {
+    throw eventError('Event not found', 404);
+  }
+
+  console.log(`[EVENT] Event cancelled: ${event._id}`);
+
+  const attendees = await Rsvp.distinct('user', { event: event._id });
+  notifyUsers(attendees, {
+    type: NOTIFICATION_TYPES.EVENT,
+    title: `Cancelled: ${event.title}`,
+    body: 'This event has been cancelled.',
+    data: { eventId: event._id.toString() }
+  });
+
+  return event;
+};
+
+/**
+ * List events
+ * @param {object} options
+ * @param {boolean} [options.past] - Past events (newest first) instead of upcoming
+ * @param {number} options.page
+ * @param {number} options.limit
+ */
+const listEvents = async ({ past, page, limit }) => {
+  const now = new Date();
+  const filter = {
+    status: EVENT_STATUS.SCHEDULED,
+    startsAt: past ? { $lt: now } : { $gte: now }
+  };
+
+  const [events, total] = await Promise.all([
+    Event.find(filter)
+      .populate('organiser', 'name')
+      .sort({ startsAt: past ? -1 : 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Event.countDocuments(filter)
+  ]);
+
+  return { events, total };
+};
+
+/**
+ * Get an event with the viewer's RSVP
+ * @param {string} eventId
+ * @param {string} userId
+ */
+const getEvent = async (eventId, userId) => {
+  const event = await Event.findOne({ _id: eventId })
+    .populate('organiser', 'name')
+    .lean();
+
+  if (!event) {
+    throw eventError('Event not found', 404);
+  }
+
+  const myRsvp = await Rsvp.findOne({ event: eventId, user: userId })
+    .select('headcount status note waitlistedAt')
+    .lean();
+
+  return { event, myRsvp };
+};
+
+/**
+ * Create or change an RSVP
+ * @param {string} eventId
+ * @param {string} userId
+ * @param {object} data - { headcount, note }
+ * @returns {Promise<object>} - RSVP
+ */
+const respondToEvent = async (eventId, userId, { headcount = 1, note }) => {
+  const event = await getScheduledEvent(eventId);
+
+  if (event.startsAt <= new Date()) {
+    throw eventError('RSVPs are closed for this event', 400);
+  }
+
+  const householdSize = await getHouseholdSize(userId);
+  if (headcount > householdSize) {
+    throw eventError(`Headcount cannot exceed your household size (${householdSize})`, 400);
+  }
+
+  const existing = await Rsvp.findOne({ event: eventId, user: userId });
+
+  // Already confirmed: adjust the reserved seats
+  if (existing && existing.status === RSVP_STATUS.GOING) {
+    const extraSeats = headcount - existing.headcount;
+
+    if (extraSeats > 0 && !(await reserveSeats(eventId, extraSeats))) {
+      throw eventError(`Not enough seats for ${extraSeats} more. Your ${existing.headcount} seats are kept.`, 409);
+    }
+
+    existing.headcount = headcount;
+    if (note !== undefined) existing.note = note;
+    await existing.save();
+
+    if (extraSeats < 0) {
+      await releaseSeats(eventId, -extraSeats);
+      await promoteWaitlist(eventId);
+    }
+
+    return existing;
+  }
+
+  // New or waitlisted: confirm if the party fits, otherwise (stay) waitlisted
+  const rsvp = existing || new Rsvp({ event: eventId, user: userId });
+  rsvp.headcount = headcount;
+  if (note !== undefined) rsvp.note = note;
+
+  if (await reserveSeats(eventId, headcount)) {
+    rsvp.status = RSVP_STATUS.GOING;
+    rsvp.waitlistedAt = undefined;
+  } else {
+    rsvp.status = RSVP_STATUS.WAITLISTED;
+    rsvp.waitlistedAt = rsvp.waitlistedAt || new Date();
+  }
+
+  try {
+    await rsvp.save();
+  } catch (error) {
+    if (rsvp.status === RSVP_STATUS.GOING) {
+      await releaseSeats(eventId, headcount);
+    }
+    if (error.code === 11000) {
+      throw eventError('Your RSVP is already being saved. Please try again.', 409);
+    }
+    throw error;
+  }
+
+  return rsvp;
+};
+
+/**
+ * Withdraw an RSVP
+ * @param {string} eventId
+ * @param {string} userId
+ */
+const withdrawRsvp = async (eventId, userId) => {
+  const rsvp = await Rsvp.findOneAndDelete({ event: eventId, user: userId });
+
+  if (!rsvp) {
+    throw eventError('You have not responded to this event', 404);
+  }
+
+  if (rsvp.status === RSVP_STATUS.GOING) {
+    await releaseSeats(eventId, rsvp.headcount);
+    await promoteWaitlist(eventId);
+  }
+};
+
+/**
+ * Attendees and waitlist of an event (organiser and committee only)
+ * Attendee phone numbers are hidden according to their privacy settings.
+ * @param {string} eventId
+ * @param {object} viewer - req.user
+ */
+const listAttendees = async (eventId, viewer) => {
+  const event = await Event.findById(eventId).lean();
+
+  if (!event) {
+    throw eventError('Event not found', 404);
+  }
+
+  if (!canManageEvent(event, viewer)) {
+    throw eventError('Only the organiser or committee can see attendees', 403);
+  }
+
+  const [rsvps, privacyDefaults] = await Promise.all([
+    Rsvp.find({ event: eventId })
+      .populate('user', 'name phone privacy')
+      .sort({ status: 1, waitlistedAt: 1, createdAt: 1 })
+      .lean(),
+    getPrivacyDefaults()
+  ]);
+
+  // Attendees' phone numbers follow their privacy settings
+  for (const rsvp of rsvps) {
+    if (rsvp.user) {
+      rsvp.user = applyPrivacy(rsvp.user, viewer, privacyDefaults);
+    }
+  }
+
+  return {
+    event,
+    going: rsvps.filter((rsvp) => rsvp.status === RSVP_STATUS.GOING),
+    waitlist: rsvps.filter((rsvp) => rsvp.status === RSVP_STATUS.WAITLISTED)
+  };
+};
+
+module.exports = {
+  createEvent,
+  updateEvent,
+  cancelEvent,
+  listEvents,
+  getEvent,
+  respondToEvent,
+  withdrawRsvp,
+  listAttendees
+};
@@ -0,0 +1,418 @@
+/**
+ * Household Service
+ * Household membership management and family tree building
+ */
+
+const Household = require('../models/Household');
+const User = require('../models/User');
+const { RELATIONSHIP_GENERATIONS } = require('../config/relationships');
+const { getAge } = require('../utils/age');
+
+const { LINK_STATUS } = Household;
+
+// Generation labels for the family tree
+const GENERATION_LABELS = {
+  '-2': 'Grandparents',
+  '-1': 'Parents',
+  0: 'Spouse and siblings',
+  1: 'Children',
+  2: 'Grandchildren'
+};
+
+/**
+ * Create error with HTTP status code
+ */
+const householdError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Find the household a user heads or has joined
+ * @param {string} userId
+ * @returns {Promise<object|null>} - Household document
+ */
+const findHouseholdForUser = async (userId) => {
+  return Household.findOne({
+    $or: [
+      { head: userId },
+      { members: { $elemMatch: { user: userId, linkStatus: LINK_STATUS.ACCEPTED } } }
+    ]
+  });
+};
+
+/**
+ * Number of people in a user's household, including the head
+ * Invited members who have not accepted are not counted.
+ * @param {string} userId
+ * @returns {Promise<number>} - 1 if the user has no household
+ */
+const getHouseholdSize = async (userId) => {
+  const household = await findHouseholdForUser(userId);
+
+  if (!household) {
+    return 1;
+  }
+
+  return 1 + household.members.filter((member) =>
+    !member.user || member.linkStatus === LINK_STATUS.ACCEPTED
+  ).length;
+};
+
+/**
+ * Size and age make-up of a user's household, including the head
+ * People without a known date of birth count towards the size only.
+ * @param {string} userId
+ * @returns {Promise<{ size: number, minors: number, seniors: number }>}
+ */
+const getHouseholdComposition = async (userId) => {
+  const household = await findHouseholdForUser(userId);
+  const people = [];
+
+  if (!household) {
+    people.push({ user: userId });
+  } else {
+    people.push({ user: household.head });
+    for (const member of household.members) {
+      if (!member.user) {
+        people.push({ dateOfBirth: member.dateOfBirth });
+      } else if (member.linkStatus === LINK_STATUS.ACCEPTED) {
+        people.push({ user: member.user });
+      }
+    }
+  }
+
+  const userIds = people.filter((person) => person.user).map((person) => person.user);
+  const users = await User.find({ _id: { $in: userIds } }).select('dateOfBirth').lean();
+  const birthDates = new Map(users.map((user) => [user._id.toString(), user.dateOfBirth]));
+
+  const ages = people
+    .map((person) => getAge(person.user ? birthDates.get(person.user.toString()) : person.dateOfBirth))
+    .filter((age) => age !== null);
+
+  return {
+    size: people.length,
+    minors: ages.filter((age) => age < 18).length,
+    seniors: ages.filter((age) => age >= 60).length
+  };
+};
+
+/**
+ * Get the household headed by a user, or fail
+ */
+const getHeadedHousehold = async (userId) => {
+  const household = await Household.findOne({ head: userId });
+
+  if (!household) {
+    const joined = await findHouseholdForUser(userId);
+    throw joined
+      ? householdError('Only the head of the household can make this change', 403)
+      : householdError('You are not part of a household', 404);
+  }
+
+  return household;
+};
+
+/**
+ * Create a household with the user as head
+ * @param {string} userId
+ * @param {object} data - { name, address }
+ */
+const createHousehold = async (userId, { name, address }) => {
+  if (await findHouseholdForUser(userId)) {
+    throw householdError('You already belong to a household', 409);
+  }
+
+  const household = await Household.create({ head: userId, name, address });
+
+  await User.updateOne({ _id: userId }, { $set: { relationshipWithHead: 'Self' } });
+
+  console.log(`[HOUSEHOLD] Household created: ${household._id} by ${userId}`);
+
+  return household;
+};
+
+/**
+ * Update household details (head only)
+ * @param {string} userId
+ * @param {object} data - { name, address }
+ */
+const updateHousehold = async (userId, { name, address }) => {
+  const household = await getHeadedHousehold(userId);
+
+  if (name !== undefined) household.name = name;
+  if (address !== undefined) household.address = address;
+
+  await household.save();
+  return household;
+};
+
+/**
+ * Add a member to the user's household (head only)
+ * With `phone`, the registered user is invited and must accept.
+ * Without, a dependent without an account is added.
+ * @param {string} userId
+ * @param {object} data - { phone } or { name, gender, dateOfBirth }, plus relationship
+ */
+const addMember = async (userId, { phone, name, gender, dateOfBirth, relationship }) => {
+  const household = await getHeadedHousehold(userId);
+
+  if (!phone) {
+    household.members.push({ name, gender, dateOfBirth, relationship });
+    await household.save();
+    return household;
+  }
+
+  const user = await User.findOne({ phone, status: User.STATUS.ACTIVE }).select('_id');
+
+  if (!user) {
+    throw householdError('No registered member with this phone number', 404);
+  }
+
+  if (user._id.equals(household.head)) {
+    throw householdError('You are already the head of this household', 400);
+  }
+
+  if (household.members.some((member) => member.user && member.user.equals(user._id))) {
+    throw householdError('This member has already been added', 409);
+  }
+
+  if (await findHouseholdForUser(user._id)) {
+    throw householdError('This member already belongs to another household', 409);
+  }
+
+  household.members.push({ user: user._id, linkStatus: LINK_STATUS.PENDING, relationship });
+  await household.save();
+
+  console.log(`[HOUSEHOLD] User ${user._id} invited to household ${household._id}`);
+
+  return household;
+};
+
+/**
+ * Update a household member (head only)
+ * For registered users only the relationship can be changed.
+ * @param {string} userId
+ * @param {string} memberId
+ * @param {object} data - { name, gender, dateOfBirth, relationship }
+ */
+const updateMember = async (userId, memberId, data) => {
+  const household = await getHeadedHousehold(userId);
+  const member = household.members.id(memberId);
+
+  if (!member) {
+    throw householdError('Household member not found', 404);
+  }
+
+  if (data.relationship !== undefined) member.relationship = data.relationship;
+
+  if (!member.user) {
+    if (data.name !== undefined) member.name = data.name;
+    if (data.gender !== undefined) member.gender = data.gender;
+    if (data.dateOfBirth !== undefined) member.dateOfBirth = data.dateOfBirth;
+  }
+
+  await household.save();
+
+  if (member.user && member.linkStatus === LINK_STATUS.ACCEPTED) {
+    await User.updateOne({ _id: member.user }, { $set: { relationshipWithHead: member.relationship } });
+  }
+
+  return household;
+};
+
+/**
+ * Remove a member from the user's household (head only)
+ * @param {string} userId
+ * @param {string} memberId
+ */
+const removeMember = async (userId, memberId) => {
+  const household = await getHeadedHousehold(userId);
+  const member = household.members.id(memberId);
+
+  if (!member) {
+    throw householdError('Household member not found', 404);
+  }
+
+  member.deleteOne();
+  await household.save();
+
+  if (member.user) {
+    await User.updateOne({ _id: member.user }, { $unset: { relationshipWithHead: 1 } });
+  }
+
+  return household;
+};
+
+/**
+ * Leave the household the user has joined
+ * @param {string} userId
+ */
+const leaveHousehold = async (userId) => {
+  const household = await findHouseholdForUser(userId);
+
+  if (!household) {
+    throw householdError('You are not part of a household', 404);
+  }
+
+  if (household.head.equals(userId)) {
+    throw householdError('The head cannot leave the household', 400);
+  }
+
+  await Household.updateOne({ _id: household._id }, { $pull: { members: { user: userId } } });
+  await User.updateOne({ _id: userId }, { $unset: { relationshipWithHead: 1 } });
+};
+
+/**
+ * List pending household invitations for a user
+ * @param {string} userId
+ */
+const listInvitations = async (userId) => {
+  const households = await Household.find({
+    members: { $elemMatch: { user: userId, linkStatus: LINK_STATUS.PENDING } }
+  })
+    .populate('head', 'name')
+    .lean();
+
+  return households.map((household) => ({
+    householdId: household._id,
+    name: household.name,
+    head: household.head,
+    relationship: household.members.find((member) => member.user && member.user.equals(userId)).relationship
+  }));
+};
+
+/**
+ * Accept or decline a household invitation
+ * @param {string} userId
+ * @param {string} householdId
+ * @param {boolean} accept
+ */
+const respondToInvitation = async (userId, householdId, accept) => {
+  const household = await Household.findOne({
+    _id: householdId,
+    members: { $elemMatch: { user: userId, linkStatus: LINK_STATUS.PENDING } }
+  });
+
+  if (!household) {
+    throw householdError('Invitation not found', 404);
+  }
+
+  const member = household.members.find((item) => item.user && item.user.equals(userId));
+
+  if (!accept) {
+    member.deleteOne();
+    await household.save();
+    return null;
+  }
+
+  if (await findHouseholdForUser(userId)) {
+    throw householdError('You already belong to a household', 409);
+  }
+
+  member.linkStatus = LINK_STATUS.ACCEPTED;
+  await household.save();
+
+  await User.updateOne({ _id: userId }, { $set: { relationshipWithHead: member.relationship } });
+
+  console.log(`[HOUSEHOLD] User ${userId} joined household ${household._id}`);
+
+  return household;
+};
+
+/**
+ * Public details of one person in the tree
+ */
+const toTreePerson = (member, usersById) => {
+  if (member.user) {
+    const user = usersById.get(member.user.toString()) || {};
+    return {
+      memberId: member._id,
+      userId: member.user,
+      name: user.name,
+      gender: user.gender,
+      profileImage: user.profileImage,
+      relationship: member.relationship,
+      linkStatus: member.linkStatus
+    };
+  }
+
+  return {
+    memberId: member._id,
+    name: member.name,
+    gender: member.gender,
+    dateOfBirth: member.dateOfBirth,
+    relationship: member.relationship
+  };
+};
+
+/**
+ * Build a family tree grouped by generation relative to the head
+ * @param {object} household - Household document
+ * @returns {Promise<object>}
+ */
+const buildFamilyTree = async (household) => {
+  const userIds = [household.head, ...household.members.filter((m) => m.user).map((m) => m.user)];
+  const users = await User.find({ _id: { $in: userIds } }).select('name gender profileImage').lean();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  const head = usersById.get(household.head.toString()) || {};
+  const generations = new Map();
+  const others = [];
+
+  for (const member of household.members) {
+    const generation = RELATIONSHIP_GENERATIONS[member.relationship];
+    const person = toTreePerson(member, usersById);
+
+    if (generation === null || generation === undefined) {
+      others.push(person);
+      continue;
+    }
+
+    if (!generations.has(generation)) {
+      generations.set(generation, []);
+    }
+    generations.get(generation).push(person);
+  }
+
+  if (!generations.has(0)) {
+    generations.set(0, []);
+  }
+
+  return {
+    householdId: household._id,
+    name: household.name,
+    address: household.address,
+    head: {
+      userId: household.head,
+      name: head.name,
+      gender: head.gender,
+      profileImage: head.profileImage,
+      relationship: 'head'
+    },
+    generations: [...generations.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([generation, members]) => ({
+        generation,
+        label: GENERATION_LABELS[generation],
+        members
+      })),
+    others
+  };
+};
+
+module.exports = {
+  findHouseholdForUser,
+  getHouseholdSize,
+  getHouseholdComposition,
+  createHousehold,
+  updateHousehold,
+  addMember,
+  updateMember,
+  removeMember,
+  leaveHousehold,
+  listInvitations,
+  respondToInvitation,
+  buildFamilyTree
+};
@@ -0,0 +1,654 @@
+/**
+ * Matrimony Service
+ * Matrimony profiles, match search and interests with mutual contact reveal
+ *
+ * A profile is managed by the member it is for, or - for dependents without
+ * an account - by their guardian (the head of their household). Contacts
+ * stay hidden until an interest between two profiles is accepted: the
+ * sender consents by sending, the receiver by accepting.
+ */
+
+const MatrimonyProfile = require('../models/MatrimonyProfile');
+const MatrimonyInterest = require('../models/MatrimonyInterest');
+const Household = require('../models/Household');
+const User = require('../models/User');
+const { notifyUsers } = require('./notificationService');
+const { getAge, buildBirthDateRange } = require('../utils/age');
+const { escapeRegex } = require('../utils/regex');
+const {
+  MATRIMONY_PROFILE_STATUS,
+  INTEREST_STATUS,
+  MATRIMONY_GENDERS,
+  MATRIMONY_CONFIG
+} = require('../config/matrimony');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+// Profile fields members may set (besides preferences and contact)
+const PROFILE_FIELDS = [
+  'name', 'gender', 'dateOfBirth', 'gothra', 'maritalStatus',
+  'education', 'occupation', 'location', 'heightCm', 'about', 'status'
+];
+
+// Profile preference list -> candidate field it restricts
+const PREFERENCE_LIST_FIELDS = {
+  maritalStatuses: 'maritalStatus',
+  educations: 'education',
+  occupations: 'occupation'
+};
+
+// Member fields copied into a new profile
+const SUBJECT_USER_FIELDS = 'name phone gender dateOfBirth gothra maritalStatus education occupation';
+
+/**
+ * Create error with HTTP status code
+ */
+const matrimonyError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Whether a user may manage a profile (its manager, or the member it is for)
+ */
+const canManage = (profile, userId) => {
+  return String(profile.managedBy) === String(userId) ||
+    Boolean(profile.subject && profile.subject.user && String(profile.subject.user) === String(userId));
+};
+
+/**
+ * Accounts to notify about a profile
+ */
+const getProfileAccountIds = (profile) => {
+  const ids = [String(profile.managedBy)];
+  if (profile.subject && profile.subject.user && !ids.includes(String(profile.subject.user))) {
+    ids.push(String(profile.subject.user));
+  }
+  return ids;
+};
+
+/**
+ * Get a profile the user manages, or fail
+ * @param {string} profileId
+ * @param {string} userId
+ */
+const getManagedProfile = async (profileId, userId) => {
+  const profile = await MatrimonyProfile.findById(profileId);
+
+  if (!profile) {
+    throw matrimonyError('Matrimony profile not found', 404);
+  }
+
+  if (!canManage(profile, userId)) {
+    throw matrimonyError('You do not manage this matrimony profile', 403);
+  }
+
+  return profile;
+};
+
+/**
+ * Check the person can be listed: male or female and of legal marriage age
+ */
+const assertEligible = ({ gender, dateOfBirth }) => {
+  if (!MATRIMONY_GENDERS.includes(gender)) {
+    throw matrimonyError(`Gender must be one of: ${MATRIMONY_GENDERS.join(', ')}`, 400);
+  }
+
+  if (!dateOfBirth) {
+    throw matrimonyError('Date of birth is required', 400);
+  }
+
+  const minAge = MATRIMONY_CONFIG.minAge[gender];
+  if (getAge(dateOfBirth) < minAge) {
+    throw matrimonyError(`Must be at least ${minAge} years old`, 400);
+  }
+};
+
+/**
+ * Work out who a new profile is for and the details to start from
+ * Guardians may only create profiles for dependents without an account.
+ * @param {object} manager - Lean user creating the profile
+ * @param {string} [memberId] - Household member, for guardian-managed profiles
+ * @returns {Promise<{ subject: object, subjectKey: string, details: object }>}
+ */
+const resolveSubject = async (manager, memberId) => {
+  if (!memberId) {
+    return {
+      subject: { user: manager._id },
+      subjectKey: `user:${manager._id}`,
+      details: manager
+    };
+  }
+
+  const household = await Household.findOne({ head: manager._id });
+
+  if (!household) {
+    throw matrimonyError('Only the head of a household can create profiles for family members', 403);
+  }
+
+  const member = household.members.id(memberId);
+
+  if (!member || (member.user && member.linkStatus !== Household.LINK_STATUS.ACCEPTED)) {
+    throw matrimonyError('Household member not found', 404);
+  }
+
+  // Members with their own account decide for themselves
+  if (member.user) {
+    throw matrimonyError('This member has their own account and must create their own matrimony profile', 403);
+  }
+
+  // Dependents take the family's gothra
+  return {
+    subject: { household: household._id, memberId: member._id },
+    subjectKey: `member:${household._id}:${member._id}`,
+    details: {
+      name: member.name,
+      gender: member.gender,
+      dateOfBirth: member.dateOfBirth,
+      gothra: manager.gothra
+    }
+  };
+};
+
+/**
+ * Profile as shown to other members (no contact, exact birth date or account links)
+ * @param {object} profile - Lean profile
+ */
+const toPublicProfile = (profile) => ({
+  _id: profile._id,
+  name: profile.name,
+  gender: profile.gender,
+  age: getAge(profile.dateOfBirth),
+  gothra: profile.gothra,
+  maritalStatus: profile.maritalStatus,
+  education: profile.education,
+  occupation: profile.occupation,
+  location: profile.location,
+  heightCm: profile.heightCm,
+  about: profile.about,
+  preferences: profile.preferences,
+  managedByGuardian: !(profile.subject && profile.subject.user &&
+    String(profile.subject.user) === String(profile.managedBy))
+});
+
+/**
+ * Create a matrimony profile for the user or, as guardian, a household member
+ * Details not given are copied from the member / household record.
+ * @param {string} userId
+ * @param {object} data - { memberId, ...profile fields, preferences, contact }
+ */
+const createProfile = async (userId, { memberId, preferences, contact, ...data }) => {
+  const manager = await User.findById(userId).select(SUBJECT_USER_FIELDS).lean();
+
+  if (!manager) {
+    throw matrimonyError('User not found', 404);
+  }
+
+  const { subject, subjectKey, details } = await resolveSubject(manager, memberId);
+
+  if (await MatrimonyProfile.exists({ subjectKey })) {
+    throw matrimonyError('A matrimony profile already exists for this person', 409);
+  }
+
+  const fields = {};
+  for (const field of PROFILE_FIELDS) {
+    const value = data[field] !== undefined ? data[field] : details[field];
+    if (value !== undefined && value !== null && value !== '') {
+      fields[field] = value;
+    }
+  }
+
+  assertEligible(fields);
+
+  const profile = await MatrimonyProfile.create({
+    ...fields,
+    subject,
+    subjectKey,
+    managedBy: userId,
+    preferences,
+    contact: {
+      name: manager.name,
+      phone: manager.phone,
+      ...contact
+    }
+  });
+
+  console.log(`[MATRIMONY] Profile created: ${profile._id} by ${userId}${memberId ? ' (guardian)' : ''}`);
+
+  return profile;
+};
+
+/**
+ * Update a profile; given preferences replace the previous ones
+ * @param {string} profileId
+ * @param {string} userId
+ * @param {object} data
+ */
+const updateProfile = async (profileId, userId, { preferences, contact, ...data }) => {
+  const profile = await getManagedProfile(profileId, userId);
+
+  // Empty strings clear optional details
+  for (const field of PROFILE_FIELDS) {
+    if (data[field] !== undefined) {
+      profile[field] = data[field] === '' ? undefined : data[field];
+    }
+  }
+
+  if (preferences !== undefined) profile.preferences = preferences;
+  if (contact !== undefined) profile.contact = { ...profile.contact.toObject(), ...contact };
+
+  assertEligible(profile);
+
+  await profile.save();
+  return profile;
+};
+
+/**
+ * Delete a profile and its interests
+ * @param {string} profileId
+ * @param {string} userId
+ */
+const deleteProfile = async (profileId, userId) => {
+  const profile = await getManagedProfile(profileId, userId);
+
+  await MatrimonyInterest.deleteMany({ $or: [{ from: profile._id }, { to: profile._id }] });
+  await profile.deleteOne();
+
+  console.log(`[MATRIMONY] Profile deleted: ${profile._id} by ${userId}`);
+};
+
+/**
+ * Profiles the user manages or that are about them
+ * @param {string} userId
+ */
+const listManagedProfiles = (userId) => {
+  return MatrimonyProfile.find({ $or: [{ managedBy: userId }, { 'subject.user': userId }] })
+    .select('-subjectKey -gothraKey')
+    .sort({ createdAt: 1 })
+    .lean();
+};
+
+/**
+ * Case-insensitive "contains any of" condition
+ */
+const containsAny = (values) => new RegExp(values.map(escapeRegex).join('|'), 'i');
+
+/**
+ * Query for the candidates matching a profile's preferences
+ * @param {object} profile - Lean profile searching
+ * @param {object} options
+ * @param {boolean} [options.includeSameGothra] - Overrides preferences.allowSameGothra
+ * @param {boolean} [options.mutual] - Also require the candidate's preferences to accept this profile
+ */
+const buildMatchFilter = (profile, { includeSameGothra, mutual }) => {
+  const preferences = profile.preferences || {};
+  const conditions = [];
+  const filter = {
+    _id: { $ne: profile._id },
+    status: MATRIMONY_PROFILE_STATUS.ACTIVE,
+    gender: MATRIMONY_GENDERS.find((gender) => gender !== profile.gender),
+    managedBy: { $ne: profile.managedBy }
+  };
+
+  const birthDateRange = buildBirthDateRange(preferences);
+  if (birthDateRange) {
+    filter.dateOfBirth = birthDateRange;
+  }
+
+  for (const [preferenceField, field] of Object.entries(PREFERENCE_LIST_FIELDS)) {
+    if (preferences[preferenceField] && preferences[preferenceField].length > 0) {
+      filter[field] = { $in: preferences[preferenceField] };
+    }
+  }
+
+  if (preferences.locations && preferences.locations.length > 0) {
+    filter.location = containsAny(preferences.locations);
+  }
+
+  // Same gothra (sagotra) is excluded unless allowed; unknown gothras are kept
+  const allowSameGothra = includeSameGothra !== undefined ? includeSameGothra : preferences.allowSameGothra;
+  if (profile.gothraKey) {
+    if (!allowSameGothra) {
+      filter.gothraKey = { $ne: profile.gothraKey };
+    } else if (mutual) {
+      conditions.push({ $or: [{ gothraKey: { $ne: profile.gothraKey } }, { 'preferences.allowSameGothra': true }] });
+    }
+  }
+
+  if (mutual) {
+    const age = getAge(profile.dateOfBirth);
+    conditions.push(
+      { $or: [{ 'preferences.minAge': null }, { 'preferences.minAge': { $lte: age } }] },
+      { $or: [{ 'preferences.maxAge': null }, { 'preferences.maxAge': { $gte: age } }] }
+    );
+
+    for (const [preferenceField, field] of Object.entries(PREFERENCE_LIST_FIELDS)) {
+      const unrestricted = { [`preferences.${preferenceField}.0`]: { $exists: false } };
+      conditions.push(profile[field]
+        ? { $or: [unrestricted, { [`preferences.${preferenceField}`]: profile[field] }] }
+        : unrestricted);
+    }
+
+    const location = (profile.location || '').toLowerCase();
+    conditions.push({
+      $or: [
+        { 'preferences.locations.0': { $exists: false } },
+        {
+          $expr: {
+            $anyElementTrue: [{
+              $map: {
+                input: { $ifNull: ['$preferences.locations', []] },
+                as: 'location',
+                in: { $gte: [{ $indexOfCP: [location, { $toLower: '$$location' }] }, 0] }
+              }
+            }]
+          }
+        }
+      ]
+    });
+  }
+
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+
+  return filter;
+};
+
+/**
+ * Interests between one profile and others, keyed by the other profile's ID
+ * @returns {Promise<Map<string, object>>} - { _id, direction, status }
+ */
+const getInterestsWith = async (profileId, otherIds) => {
+  const interests = await MatrimonyInterest.find({
+    $or: [
+      { from: profileId, to: { $in: otherIds } },
+      { from: { $in: otherIds }, to: profileId }
+    ]
+  }).lean();
+
+  const byProfile = new Map();
+  for (const interest of interests) {
+    const sent = interest.from.equals(profileId);
+    const otherId = (sent ? interest.to : interest.from).toString();
+
+    // An accepted interest in either direction wins
+    if (!byProfile.has(otherId) || interest.status === INTEREST_STATUS.ACCEPTED) {
+      byProfile.set(otherId, {
+        _id: interest._id,
+        direction: sent ? 'sent' : 'received',
+        status: interest.status
+      });
+    }
+  }
+
+  return byProfile;
+};
+
+/**
+ * Search matches for a profile the user manages
+ * @param {string} profileId
+ * @param {string} userId
+ * @param {object} options - { page, limit, includeSameGothra, mutual }
+ * @returns {Promise<{ matches: object[], total: number }>}
+ */
+const findMatches = async (profileId, userId, { page, limit, includeSameGothra, mutual }) => {
+  const profile = (await getManagedProfile(profileId, userId)).toObject();
+  const filter = buildMatchFilter(profile, { includeSameGothra, mutual });
+
+  const [candidates, total] = await Promise.all([
+    MatrimonyProfile.find(filter)
+      .sort({ updatedAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    MatrimonyProfile.countDocuments(filter)
+  ]);
+
+  const interests = await getInterestsWith(profile._id, candidates.map((candidate) => candidate._id));
+
+  return {
+    matches: candidates.map((candidate) => {
+      const interest = interests.get(candidate._id.toString()) || null;
+      const connected = Boolean(interest) && interest.status === INTEREST_STATUS.ACCEPTED;
+
+      return {
+        ...toPublicProfile(candidate),
+        interest,
+        ...(connected ? { contact: candidate.contact } : {})
+      };
+    }),
+    total
+  };
+};
+
+/**
+ * View a profile
+ * Managers get the full profile. Other members need an active profile of
+ * their own and see the public view, plus the contact once connected.
+ * @param {string} profileId
+ * @param {string} userId
+ */
+const viewProfile = async (profileId, userId) => {
+  const profile = await MatrimonyProfile.findById(profileId).select('-subjectKey -gothraKey').lean();
+
+  if (!profile) {
+    throw matrimonyError('Matrimony profile not found', 404);
+  }
+
+  if (canManage(profile, userId)) {
+    return { profile, managed: true };
+  }
+
+  const ownProfiles = await MatrimonyProfile.find({
+    $or: [{ managedBy: userId }, { 'subject.user': userId }]
+  }).select('_id').lean();
+
+  if (ownProfiles.length === 0) {
+    throw matrimonyError('Create a matrimony profile to view other profiles', 403);
+  }
+
+  const connected = await MatrimonyInterest.exists({
+    status: INTEREST_STATUS.ACCEPTED,
+    $or: [
+      { from: profile._id, to: { $in: ownProfiles.map((own) => own._id) } },
+      { from: { $in: ownProfiles.map((own) => own._id) }, to: profile._id }
+    ]
+  });
+
+  if (!connected && profile.status !== MATRIMONY_PROFILE_STATUS.ACTIVE) {
+    throw matrimonyError('Matrimony profile not found', 404);
+  }
+
+  return {
+    profile: {
+      ...toPublicProfile(profile),
+      ...(connected ? { contact: profile.contact } : {})
+    },
+    managed: false
+  };
+};
+
+/**
+ * Send an interest from a profile the user manages
+ * If the other profile already sent one, that interest is accepted instead.
+ * @param {string} fromProfileId
+ * @param {string} userId
+ * @param {object} data - { toProfileId, message }
+ * @returns {Promise<{ interest: object, mutual: boolean }>}
+ */
+const sendInterest = async (fromProfileId, userId, { toProfileId, message }) => {
+  const from = await getManagedProfile(fromProfileId, userId);
+
+  if (from.status !== MATRIMONY_PROFILE_STATUS.ACTIVE) {
+    throw matrimonyError('Resume your profile to send interests', 400);
+  }
+
+  const to = await MatrimonyProfile.findOne({ _id: toProfileId, status: MATRIMONY_PROFILE_STATUS.ACTIVE });
+
+  if (!to || to.gender === from.gender || to.managedBy.equals(from.managedBy)) {
+    throw matrimonyError('Matrimony profile not found', 404);
+  }
+
+  const reverse = await MatrimonyInterest.findOne({ from: to._id, to: from._id });
+
+  if (reverse && reverse.status === INTEREST_STATUS.ACCEPTED) {
+    throw matrimonyError('You are already connected with this profile', 409);
+  }
+
+  if (reverse && reverse.status === INTEREST_STATUS.PENDING) {
+    reverse.status = INTEREST_STATUS.ACCEPTED;
+    reverse.respondedAt = new Date();
+    await reverse.save();
+
+    await notifyUsers(getProfileAccountIds(to), {
+      type: NOTIFICATION_TYPES.MATRIMONY,
+      title: 'Interest accepted',
+      body: `${from.name} accepted your interest. You can now see each other's contact details.`,
+      data: { interestId: reverse._id.toString(), profileId: from._id.toString() }
+    });
+
+    return { interest: reverse, mutual: true };
+  }
+
+  const pending = await MatrimonyInterest.countDocuments({ from: from._id, status: INTEREST_STATUS.PENDING });
+  if (pending >= MATRIMONY_CONFIG.maxPendingInterests) {
+    throw matrimonyError(`You can have at most ${MATRIMONY_CONFIG.maxPendingInterests} interests awaiting a reply`, 429);
+  }
+
+  let interest;
+  try {
+    interest = await MatrimonyInterest.create({
+      from: from._id,
+      to: to._id,
+      sentBy: userId,
+      message
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw matrimonyError('You have already sent an interest to this profile', 409);
+    }
+    throw error;
+  }
+
+  await notifyUsers(getProfileAccountIds(to), {
+    type: NOTIFICATION_TYPES.MATRIMONY,
+    title: 'New matrimony interest',
+    body: `${from.name} is interested in ${to.name}'s profile.`,
+    data: { interestId: interest._id.toString(), profileId: to._id.toString() }
+  });
+
+  console.log(`[MATRIMONY] Interest sent: ${from._id} -> ${to._id}`);
+
+  return { interest, mutual: false };
+};
+
+/**
+ * Interests sent or received by a profile the user manages
+ * Each includes the other profile; its contact once accepted.
+ * @param {string} profileId
+ * @param {string} userId
+ * @param {object} options - { direction: 'received' | 'sent', status }
+ */
+const listInterests = async (profileId, userId, { direction = 'received', status }) => {
+  const profile = await getManagedProfile(profileId, userId);
+  const [ownSide, otherSide] = direction === 'sent' ? ['from', 'to'] : ['to', 'from'];
+
+  const filter = { [ownSide]: profile._id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const interests = await MatrimonyInterest.find(filter)
+    .populate(otherSide)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return interests
+    .filter((interest) => interest[otherSide])
+    .map((interest) => ({
+      _id: interest._id,
+      status: interest.status,
+      message: interest.message,
+      createdAt: interest.createdAt,
+      respondedAt: interest.respondedAt,
+      profile: {
+        ...toPublicProfile(interest[otherSide]),
+        ...(interest.status === INTEREST_STATUS.ACCEPTED ? { contact: interest[otherSide].contact } : {})
+      }
+    }));
+};
+
+/**
+ * Accept or decline a received interest
+ * @param {string} interestId
+ * @param {string} userId
+ * @param {boolean} accept
+ */
+const respondToInterest = async (interestId, userId, accept) => {
+  const interest = await MatrimonyInterest.findById(interestId).populate('from to');
+
+  if (!interest || !interest.from || !interest.to || !canManage(interest.to, userId)) {
+    throw matrimonyError('Interest not found', 404);
+  }
+
+  if (interest.status !== INTEREST_STATUS.PENDING) {
+    throw matrimonyError(`This interest has already been ${interest.status}`, 409);
+  }
+
+  interest.status = accept ? INTEREST_STATUS.ACCEPTED : INTEREST_STATUS.DECLINED;
+  interest.respondedAt = new Date();
+  await interest.save();
+
+  await notifyUsers(getProfileAccountIds(interest.from), {
+    type: NOTIFICATION_TYPES.MATRIMONY,
+    title: accept ? 'Interest accepted' : 'Interest declined',
+    body: accept
+      ? `${interest.to.name} accepted your interest. You can now see each other's contact details.`
+      : `${interest.to.name} has declined your interest.`,
+    data: { interestId: interest._id.toString(), profileId: interest.from._id.toString() }
+  });
+
+  console.log(`[MATRIMONY] Interest ${interest._id} ${interest.status}`);
+
+  return {
+    _id: interest._id,
+    status: interest.status,
+    profile: {
+      ...toPublicProfile(interest.from.toObject()),
+      ...(accept ? { contact: interest.from.contact } : {})
+    }
+  };
+};
+
+/**
+ * Withdraw a sent interest that has not been answered
+ * @param {string} interestId
+ * @param {string} userId
+ */
+const withdrawInterest = async (interestId, userId) => {
+  const interest = await MatrimonyInterest.findById(interestId).populate('from');
+
+  if (!interest || !interest.from || !canManage(interest.from, userId)) {
+    throw matrimonyError('Interest not found', 404);
+  }
+
+  if (interest.status !== INTEREST_STATUS.PENDING) {
+    throw matrimonyError(`This interest has already been ${interest.status}`, 409);
+  }
+
+  await interest.deleteOne();
+};
+
+module.exports = {
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  listManagedProfiles,
+  viewProfile,
+  findMatches,
+  sendInterest,
+  listInterests,
+  respondToInterest,
+  withdrawInterest
+};
@@ -0,0 +1,287 @@
+/**
+ * Notification Service
+ * Device registry, notification preferences, the inbox and push delivery
+ *
+ * Every notification is stored in the recipient's inbox. Push is sent on
+ * top of that unless the member turned it off for that type, and only to
+ * devices whose login session is still active.
+ */
+
+const DeviceToken = require('../models/DeviceToken');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { sendPush } = require('./push');
+const { NOTIFICATION_TYPE_VALUES, NOTIFICATION_CONFIG } = require('../config/notifications');
+
+/**
+ * Create error with HTTP status code
+ */
+const notificationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Register (or refresh) a device's push token for the logged-in session
+ * A token moves to the new user if someone else logs in on the same device.
+ * @param {object} actor - req.user { userId, sessionId }
+ * @param {object} data - { token, platform, appVersion }
+ */
+const registerDevice = async (actor, { token, platform, appVersion }) => {
+  const device = await DeviceToken.findOneAndUpdate(
+    { token },
+    {
+      $set: {
+        user: actor.userId,
+        session: actor.sessionId,
+        platform,
+        appVersion,
+        lastSeenAt: new Date()
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  // Keep only the most recently seen devices
+  const stale = await DeviceToken.find({ user: actor.userId })
+    .sort({ lastSeenAt: -1 })
+    .skip(NOTIFICATION_CONFIG.maxDevicesPerUser)
+    .select('_id')
+    .lean();
+
+  if (stale.length > 0) {
+    await DeviceToken.deleteMany({ _id: { $in: stale.map((item) => item._id) } });
+  }
+
+  return device;
+};
+
+/**
+ * Unregister a device's push token
+ * @param {string} userId
+ * @param {string} token
+ * @returns {Promise<boolean>} - false if the token was not registered to the user
+ */
+const unregisterDevice = async (userId, token) => {
+  const result = await DeviceToken.deleteOne({ user: userId, token });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Resolve preferences with defaults (everything on unless turned off)
+ * @param {object} [stored] - User.notificationPreferences
+ * @returns {object} - { push, announcement, event, account }
+ */
+const resolvePreferences = (stored = {}) => ({
+  push: stored.push !== false,
+  ...Object.fromEntries(NOTIFICATION_TYPE_VALUES.map((type) => [type, stored[type] !== false]))
+});
+
+/**
+ * Get a member's notification preferences
+ * @param {string} userId
+ */
+const getPreferences = async (userId) => {
+  const user = await User.findById(userId).select('notificationPreferences').lean();
+
+  if (!user) {
+    throw notificationError('User not found', 404);
+  }
+
+  return resolvePreferences(user.notificationPreferences);
+};
+
+/**
+ * Update a member's notification preferences
+ * @param {string} userId
+ * @param {object} preferences - Any of { push, announcement, event, account }
+ */
+const updatePreferences = async (userId, preferences) => {
+  const update = Object.fromEntries(Object.entries(preferences).map(([key, value]) =>
+    [`notificationPreferences.${key}`, value]
+  ));
+
+  const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true })
+    .select('notificationPreferences')
+    .lean();
+
+  if (!user) {
+    throw notificationError('User not found', 404);
+  }
+
+  return resolvePreferences(user.notificationPreferences);
+};
+
+/**
+ * Push to the devices of members who allow it, and drop dead tokens
+ * @param {object[]} users - Lean users with notificationPreferences
+ * @param {object} notification - { type, title, body, data }
+ * @returns {Promise<number>} - Devices reached
+ */
+const pushToUsers = async (users, { type, title, body, data }) => {
+  const recipients = users
+    .filter((user) => {
+      const preferences = resolvePreferences(user.notificationPreferences);
+      return preferences.push && preferences[type];
+    })
+    .map((user) => user._id);
+
+  if (recipients.length === 0) {
+    return 0;
+  }
+
+  const devices = await DeviceToken.find({ user: { $in: recipients } }).select('token session').lean();
+
+  const activeSessions = new Set((await Session.find({
+    _id: { $in: devices.map((device) => device.session) },
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select('_id').lean()).map((session) => session._id.toString()));
+
+  const [live, dead] = devices.reduce(([liveDevices, deadDevices], device) => {
+    const isLive = device.session && activeSessions.has(device.session.toString());
+    (isLive ? liveDevices : deadDevices).push(device.token);
+    return [liveDevices, deadDevices];
+  }, [[], []]);
+
+  if (live.length === 0 && dead.length === 0) {
+    return 0;
+  }
+
+  const result = live.length > 0
+    ? await sendPush(live, { title, body, data: { type, ...data } })
+    : { sent: 0, invalidTokens: [] };
+
+  const toRemove = [...dead, ...result.invalidTokens];
+  if (toRemove.length > 0) {
+    await DeviceToken.deleteMany({ token: { $in: toRemove } });
+  }
+
+  return result.sent;
+};
+
+/**
+ * Notify members: store in their inbox and push to their devices
+ * Never throws; failures are logged so callers' work is not affected.
+ * @param {string[]} userIds
+ * @param {object} notification
+ * @param {string} notification.type - See NOTIFICATION_TYPES
+ * @param {string} notification.title
+ * @param {string} [notification.body]
+ * @param {object} [notification.data] - String values the app uses to open the item
+ * @returns {Promise<{ stored: number, pushed: number }>}
+ */
+const notifyUsers = async (userIds, { type, title, body, data = {} }) => {
+  let stored = 0;
+  let pushed = 0;
+
+  try {
+    const expiresAt = new Date(Date.now() + NOTIFICATION_CONFIG.inboxRetentionDays * 24 * 60 * 60 * 1000);
+
+    for (let i = 0; i < userIds.length; i += NOTIFICATION_CONFIG.batchSize) {
+      const users = await User.find({
+        _id: { $in: userIds.slice(i, i + NOTIFICATION_CONFIG.batchSize) },
+        status: User.STATUS.ACTIVE
+      })
+        .select('notificationPreferences')
+        .lean();
+
+      if (users.length === 0) {
+        continue;
+      }
+
+      await Notification.insertMany(users.map((user) => ({
+        user: user._id,
+        type,
+        title,
+        body,
+        data,
+        expiresAt
+      })));
+      stored += users.length;
+
+      try {
+        pushed += await pushToUsers(users, { type, title, body, data });
+      } catch (error) {
+        console.error(`[NOTIFY] Push failed for "${title}":`, error.message);
+      }
+    }
+
+    console.log(`[NOTIFY] "${title}" stored for ${stored} member(s), pushed to ${pushed} device(s)`);
+  } catch (error) {
+    console.error(`[NOTIFY] Failed to notify for "${title}":`, error.message);
+  }
+
+  return { stored, pushed };
+};
+
+/**
+ * List a member's inbox, newest first
+ * @param {string} userId
+ * @param {object} options - { page, limit, unread }
+ * @returns {Promise<{ notifications: object[], total: number, unreadCount: number }>}
+ */
+const listNotifications = async (userId, { page, limit, unread }) => {
+  const filter = unread ? { user: userId, readAt: null } : { user: userId };
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .select('-user -expiresAt')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ user: userId, readAt: null })
+  ]);
+
+  return { notifications, total, unreadCount };
+};
+
+/**
+ * Mark a notification read or unread
+ * @param {string} userId
+ * @param {string} notificationId
+ * @param {boolean} read
+ */
+const setNotificationRead = async (userId, notificationId, read) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, user: userId },
+    { $set: { readAt: read ? new Date() : null } },
+    { new: true }
+  )
+    .select('-user -expiresAt')
+    .lean();
+
+  if (!notification) {
+    throw notificationError('Notification not found', 404);
+  }
+
+  return notification;
+};
+
+/**
+ * Mark all of a member's notifications as read
+ * @param {string} userId
+ * @returns {Promise<number>} - Number marked
+ */
+const markAllNotificationsRead = async (userId) => {
+  const result = await Notification.updateMany(
+    { user: userId, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  registerDevice,
+  unregisterDevice,
+  getPreferences,
+  updatePreferences,
+  notifyUsers,
+  listNotifications,
+  setNotificationRead,
+  markAllNotificationsRead
+};
@@ -0,0 +1,120 @@
+/**
+ * OTP Delivery Service
+ * Enforces resend cooldowns and falls back to other channels when codes
+ * keep going unverified (e.g. SMS not reaching low-signal areas)
+ */
+
+const OtpDeliveryState = require('../../models/OtpDeliveryState');
+const { sendOTP } = require('./index');
+const {
+  OTP_CHANNELS,
+  FALLBACK_ORDER,
+  OTP_DELIVERY_CONFIG
+} = require('../../config/otp');
+
+/**
+ * Create error with HTTP status code
+ */
+const deliveryError = (message, statusCode, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * Cooldown before the next send, doubling with every send
+ * @param {number} sendCount - Sends so far, including this one
+ * @returns {number} - Milliseconds
+ */
+const getCooldownMs = (sendCount) => {
+  const { resendCooldownSeconds, maxResendCooldownSeconds } = OTP_DELIVERY_CONFIG;
+  const seconds = Math.min(resendCooldownSeconds * 2 ** (sendCount - 1), maxResendCooldownSeconds);
+  return seconds * 1000;
+};
+
+/**
+ * Choose channel: start at the requested one and move along the fallback
+ * order after every `fallbackAfterFailures` unverified sends
+ * @param {string} requestedChannel
+ * @param {number} unverifiedSends
+ * @returns {string}
+ */
+const chooseChannel = (requestedChannel, unverifiedSends) => {
+  const start = FALLBACK_ORDER.indexOf(requestedChannel);
+  const steps = Math.floor(unverifiedSends / OTP_DELIVERY_CONFIG.fallbackAfterFailures);
+  return FALLBACK_ORDER[Math.min(start + steps, FALLBACK_ORDER.length - 1)];
+};
+
+/**
+ * Send (or resend) an OTP
+ * @param {string} phone - Phone number with country code
+ * @param {object} options
+ * @param {string} [options.channel] - Requested channel (default: sms, or the originally requested channel on resend)
+ * @param {boolean} [options.resend=false] - Require an earlier send
+ * @returns {Promise<{ result: object, channel: string, requestedChannel: string, fallback: boolean, nextResendAt: Date }>}
+ */
+const requestOtp = async (phone, { channel, resend = false } = {}) => {
+  const now = new Date();
+  const state = await OtpDeliveryState.findOne({ phone });
+
+  if (resend && (!state || !state.lastSentAt)) {
+    throw deliveryError('No OTP has been requested for this number. Please request a new code.', 400);
+  }
+
+  if (state && state.nextResendAt && state.nextResendAt > now) {
+    const seconds = Math.ceil((state.nextResendAt - now) / 1000);
+    throw deliveryError(`Please wait ${seconds} seconds before requesting another code.`, 429, {
+      nextResendAt: state.nextResendAt
+    });
+  }
+
+  const unverifiedSends = state ? state.sendCount : 0;
+  const requestedChannel = channel || (resend && state.requestedChannel) || OTP_CHANNELS.SMS;
+  const deliveredChannel = chooseChannel(requestedChannel, unverifiedSends);
+  const sendCount = unverifiedSends + 1;
+  const nextResendAt = new Date(now.getTime() + getCooldownMs(sendCount));
+
+  // Record the send first so a failing provider still counts towards fallback
+  await OtpDeliveryState.updateOne(
+    { phone },
+    {
+      $set: {
+        sendCount,
+        requestedChannel,
+        lastChannel: deliveredChannel,
+        lastSentAt: now,
+        nextResendAt,
+        expiresAt: new Date(now.getTime() + OTP_DELIVERY_CONFIG.stateTtlSeconds * 1000)
+      }
+    },
+    { upsert: true }
+  );
+
+  if (deliveredChannel !== requestedChannel) {
+    console.log(`[OTP] Falling back from ${requestedChannel} to ${deliveredChannel} after ${unverifiedSends} unverified sends`);
+  }
+
+  const result = await sendOTP(phone, { channel: deliveredChannel });
+
+  return {
+    result,
+    channel: result.channel || deliveredChannel,
+    requestedChannel,
+    fallback: deliveredChannel !== requestedChannel,
+    nextResendAt
+  };
+};
+
+/**
+ * Reset delivery history once the phone has been verified
+ * @param {string} phone
+ */
+const recordOtpVerified = async (phone) => {
+  await OtpDeliveryState.deleteOne({ phone });
+};
+
+module.exports = {
+  requestOtp,
+  recordOtpVerified
+};
@@ -0,0 +1,70 @@
+/**
+ * Fake OTP Provider
+ * Deterministic provider for tests and local development. Sends nothing;
+ * the only accepted code is FAKE_OTP_CODE (default 123456), so wrong-code
+ * behaviour can be exercised.
+ */
+
+const DEFAULT_CODE = '123456';
+
+// Last send per phone, for tests to inspect
+const sent = new Map();
+
+/**
+ * Get the code the fake provider accepts
+ */
+const getCode = () => process.env.FAKE_OTP_CODE || DEFAULT_CODE;
+
+/**
+ * Pretend to send an OTP
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {object} [options]
+ * @param {string} [options.channel=sms] - sms, whatsapp or call
+ * @returns {Promise<object>}
+ */
+const sendOTP = async (phoneNumber, { channel = 'sms' } = {}) => {
+  sent.set(phoneNumber, { code: getCode(), channel, sentAt: new Date() });
+  console.log(`[FAKE OTP] OTP would be sent to ${phoneNumber} via ${channel}`);
+
+  return {
+    status: 'pending',
+    to: phoneNumber,
+    channel,
+    valid: false
+  };
+};
+
+/**
+ * Verify OTP against the fixed code
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} otp - 6-digit OTP code
+ * @returns {Promise<object>}
+ */
+const verifyOTP = async (phoneNumber, otp) => {
+  const valid = otp === getCode();
+
+  return {
+    status: valid ? 'approved' : 'pending',
+    valid
+  };
+};
+
+/**
+ * Get the last OTP "sent" to a phone
+ * @param {string} phoneNumber
+ * @returns {object|undefined}
+ */
+const getLastSent = (phoneNumber) => sent.get(phoneNumber);
+
+/**
+ * Parse provider error (the fake provider does not throw)
+ */
+const parseError = () => null;
+
+module.exports = {
+  name: 'fake',
+  sendOTP,
+  verifyOTP,
+  parseError,
+  getLastSent
+};
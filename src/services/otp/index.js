@@ -0,0 +1,73 @@
+/**
+ * OTP Service
+ * Selects the OTP provider from configuration
+ *
+ * OTP_PROVIDER=twilio   Twilio Verify (default)
+ * OTP_PROVIDER=local    Self-managed codes stored in MongoDB
+ * OTP_PROVIDER=fake     Deterministic provider for tests
+ *
+ * SMS_MODE=test is still honoured and selects the fake provider.
+ *
+ * Every provider implements:
+ * sendOTP(phone, { channel }) -> { status: 'pending', to, channel }
+ * verifyOTP(phone, otp) -> { status: 'approved' | 'pending', valid }
+ * parseError(error) -> user-friendly message, or null if not a provider error
+ */
+
+const twilioProvider = require('./twilioProvider');
+const localProvider = require('./localProvider');
+const fakeProvider = require('./fakeProvider');
+
+const PROVIDERS = {
+  twilio: twilioProvider,
+  local: localProvider,
+  fake: fakeProvider
+};
+
+/**
+ * Get the configured provider
+ */
+const getProvider = () => {
+  const name = process.env.OTP_PROVIDER || (process.env.SMS_MODE === 'test' ? 'fake' : 'twilio');
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown OTP provider "${name}" not configured`);
+  }
+
+  return provider;
+};
+
+/**
+ * Send OTP through the active provider
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {object} [options] - { channel: 'sms' | 'whatsapp' | 'call' }
+ */
+const sendOTP = (phoneNumber, options) => getProvider().sendOTP(phoneNumber, options);
+
+/**
+ * Verify OTP through the active provider
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} otp - 6-digit OTP code
+ */
+const verifyOTP = (phoneNumber, otp) => getProvider().verifyOTP(phoneNumber, otp);
+
+/**
+ * Get user-friendly message for a provider error
+ * @param {Error} error
+ * @returns {string|null} - null if the error did not come from the provider
+ */
+const parseOtpError = (error) => {
+  try {
+    return getProvider().parseError(error);
+  } catch (configError) {
+    return null;
+  }
+};
+
+module.exports = {
+  getProvider,
+  sendOTP,
+  verifyOTP,
+  parseOtpError
+};
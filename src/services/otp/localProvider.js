@@ -0,0 +1,183 @@
+/**
+ * Self-Managed OTP Provider
+ * Generates codes itself, stores only salted hashes in MongoDB with expiry
+ * and an attempt limit, and delivers them by SMS, WhatsApp or voice call
+ *
+ * Configuration:
+ * OTP_TTL_SECONDS=300           Code lifetime
+ * OTP_MAX_ATTEMPTS=5            Wrong codes allowed per issued code
+ * OTP_HASH_SECRET=...           Secret mixed into code hashes (defaults to JWT_SECRET)
+ * LOCAL_OTP_DELIVERY=twilio     twilio (Programmable Messaging / Voice) or log
+ * TWILIO_FROM_NUMBER=+1...      Sender for SMS and voice calls
+ * TWILIO_WHATSAPP_FROM=+1...    WhatsApp-enabled sender
+ */
+
+const crypto = require('crypto');
+const OtpCode = require('../../models/OtpCode');
+const { getClient } = require('./twilioClient');
+
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS, 10) || 5 * 60;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+
+/**
+ * Create error with HTTP status code
+ */
+const otpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Hash a code with a per-code salt
+ */
+const hashCode = (code, salt) => {
+  const secret = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || '';
+  return crypto.createHmac('sha256', secret).update(`${salt}:${code}`).digest('hex');
+};
+
+/**
+ * Get a required sender number from environment
+ */
+const getSender = (name) => {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`${name} not configured`);
+  }
+  return value;
+};
+
+/**
+ * Deliver code to the phone over the chosen channel
+ */
+const deliver = async (phoneNumber, code, channel) => {
+  const delivery = process.env.LOCAL_OTP_DELIVERY || 'twilio';
+
+  if (delivery === 'log') {
+    console.log(`[OTP] Code for ${phoneNumber.slice(0, 6)}****${phoneNumber.slice(-2)} via ${channel}: ${code}`);
+    return;
+  }
+
+  const client = getClient();
+  const minutes = Math.round(OTP_TTL_SECONDS / 60);
+  const body = `Your Vishwakarma Venture verification code is ${code}. It expires in ${minutes} minutes.`;
+
+  if (channel === 'call') {
+    // Read the digits out slowly, twice
+    const spoken = code.split('').join(', ');
+    await client.calls.create({
+      to: phoneNumber,
+      from: getSender('TWILIO_FROM_NUMBER'),
+      twiml: `<Response><Say>Your verification code is ${spoken}.</Say><Pause length="1"/><Say>Again, your code is ${spoken}.</Say></Response>`
+    });
+    return;
+  }
+
+  if (channel === 'whatsapp') {
+    await client.messages.create({
+      to: `whatsapp:${phoneNumber}`,
+      from: `whatsapp:${getSender('TWILIO_WHATSAPP_FROM')}`,
+      body
+    });
+    return;
+  }
+
+  await client.messages.create({
+    to: phoneNumber,
+    from: getSender('TWILIO_FROM_NUMBER'),
+    body
+  });
+};
+
+/**
+ * Generate, store and send a new OTP
+ * Any earlier code for the phone stops working.
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {object} [options]
+ * @param {string} [options.channel=sms] - sms, whatsapp or call
+ * @returns {Promise<object>}
+ */
+const sendOTP = async (phoneNumber, { channel = 'sms' } = {}) => {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const salt = crypto.randomBytes(16).toString('hex');
+
+  await OtpCode.deleteMany({ phone: phoneNumber });
+  await OtpCode.create({
+    phone: phoneNumber,
+    codeHash: hashCode(code, salt),
+    salt,
+    expiresAt: new Date(Date.now() + OTP_TTL_SECONDS * 1000)
+  });
+
+  await deliver(phoneNumber, code, channel);
+
+  return {
+    status: 'pending',
+    to: phoneNumber,
+    channel,
+    valid: false
+  };
+};
+
+/**
+ * Verify OTP against the stored hash
+ * @param {string} phoneNumber - Phone number with country code
+ * @param {string} otp - 6-digit OTP code
+ * @returns {Promise<object>}
+ */
+const verifyOTP = async (phoneNumber, otp) => {
+  const record = await OtpCode.findOne({
+    phone: phoneNumber,
+    verifiedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!record) {
+    throw otpError('OTP has expired. Please request a new code.', 400);
+  }
+
+  if (record.attempts >= OTP_MAX_ATTEMPTS) {
+    throw otpError('Too many attempts. Please request a new code.', 429);
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(otp, record.salt), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await OtpCode.updateOne({ _id: record._id }, { $inc: { attempts: 1 } });
+    return {
+      status: 'pending',
+      valid: false
+    };
+  }
+
+  // Single use: only one concurrent verification can claim the code
+  const claimed = await OtpCode.findOneAndUpdate(
+    { _id: record._id, verifiedAt: null },
+    { $set: { verifiedAt: new Date() } }
+  );
+
+  return {
+    status: claimed ? 'approved' : 'pending',
+    valid: Boolean(claimed)
+  };
+};
+
+/**
+ * Parse provider error for user-friendly message
+ * @param {Error} error
+ * @returns {string|null}
+ */
+const parseError = (error) => {
+  if (error.statusCode) {
+    return error.message;
+  }
+  return null;
+};
+
+module.exports = {
+  name: 'local',
+  sendOTP,
+  verifyOTP,
+  parseError
+};
@@ -0,0 +1,220 @@
+/**
+ * OTP Lockout Service
+ * Counts wrong codes per phone and per IP and locks out brute-force attempts
+ * with progressively longer lockouts
+ */
+
+const OtpLockout = require('../../models/OtpLockout');
+const { recordAuditEvent } = require('../auditService');
+const { AUDIT_ACTIONS } = require('../../config/audit');
+const {
+  OTP_LOCKOUT_SCOPES,
+  OTP_LOCKOUT_CONFIG
+} = require('../../config/otp');
+
+/**
+ * Create error with HTTP status code
+ */
+const lockoutError = (message, statusCode, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * Message shown while locked out
+ * @param {Date} lockedUntil
+ */
+const getLockedMessage = (lockedUntil) => {
+  const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+  return `Too many incorrect codes. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
+/**
+ * Refuse verification while the phone or IP is locked out
+ * @param {string} phone
+ * @param {string} ip
+ */
+const assertNotLocked = async (phone, ip) => {
+  const lockout = await OtpLockout.findOne({
+    $or: [
+      { scope: OTP_LOCKOUT_SCOPES.PHONE, value: phone },
+      { scope: OTP_LOCKOUT_SCOPES.IP, value: ip }
+    ],
+    lockedUntil: { $gt: new Date() }
+  }).sort({ lockedUntil: -1 });
+
+  if (lockout) {
+    throw lockoutError(getLockedMessage(lockout.lockedUntil), 429, {
+      lockedUntil: lockout.lockedUntil
+    });
+  }
+};
+
+/**
+ * Count a wrong code for one scope and lock out when the limit is reached
+ * @returns {Promise<{ attemptsRemaining: number, lockedUntil: Date|null }>}
+ */
+const countFailure = async (scope, value, req) => {
+  const now = new Date();
+  const maxFailures = OTP_LOCKOUT_CONFIG.maxFailures[scope];
+
+  const record = await OtpLockout.findOneAndUpdate(
+    { scope, value },
+    {
+      $inc: { failedAttempts: 1 },
+      $set: {
+        lastFailedAt: now,
+        expiresAt: new Date(now.getTime() + OTP_LOCKOUT_CONFIG.resetAfterSeconds * 1000)
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  if (record.failedAttempts < maxFailures) {
+    return { attemptsRemaining: maxFailures - record.failedAttempts, lockedUntil: null };
+  }
+
+  const durations = OTP_LOCKOUT_CONFIG.lockoutDurationsSeconds;
+  const duration = durations[Math.min(record.lockoutCount, durations.length - 1)];
+  const lockedUntil = new Date(now.getTime() + duration * 1000);
+
+  // Only one concurrent request applies the lockout
+  const locked = await OtpLockout.findOneAndUpdate(
+    { _id: record._id, failedAttempts: { $gte: maxFailures } },
+    {
+      $set: {
+        failedAttempts: 0,
+        lockedUntil,
+        expiresAt: new Date(lockedUntil.getTime() + OTP_LOCKOUT_CONFIG.resetAfterSeconds * 1000)
+      },
+      $inc: { lockoutCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (locked) {
+    console.log(`[OTP] Lockout #${locked.lockoutCount} for ${scope} ${value} until ${lockedUntil.toISOString()}`);
+
+    await recordAuditEvent({
+      action: AUDIT_ACTIONS.OTP_LOCKOUT,
+      req,
+      targetType: scope,
+      targetId: value,
+      metadata: {
+        lockoutCount: locked.lockoutCount,
+        lockedUntil,
+        failedAttempts: maxFailures
+      }
+    });
+  }
+
+  return { attemptsRemaining: 0, lockedUntil };
+};
+
+/**
+ * Record a wrong code for the phone and the client IP
+ * @param {string} phone
+ * @param {object} req - Express request
+ * @returns {Promise<{ attemptsRemaining: number, lockedUntil: Date|null }>} - For the phone
+ */
+const recordFailedAttempt = async (phone, req) => {
+  const [phoneResult, ipResult] = await Promise.all([
+    countFailure(OTP_LOCKOUT_SCOPES.PHONE, phone, req),
+    req.ip ? countFailure(OTP_LOCKOUT_SCOPES.IP, req.ip, req) : null
+  ]);
+
+  const lockedUntil = [phoneResult.lockedUntil, ipResult && ipResult.lockedUntil]
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0] || null;
+
+  return {
+    attemptsRemaining: phoneResult.attemptsRemaining,
+    lockedUntil
+  };
+};
+
+/**
+ * Forget failed attempts for a phone after a correct code
+ * (IP failures are kept so one valid login does not reset an attacker's count)
+ * @param {string} phone
+ */
+const clearFailedAttempts = async (phone) => {
+  await OtpLockout.deleteOne({ scope: OTP_LOCKOUT_SCOPES.PHONE, value: phone });
+};
+
+/**
+ * List failure records, most recently locked first
+ * @param {object} options
+ * @param {string} [options.scope] - phone or ip
+ * @param {boolean} [options.active] - Only current lockouts
+ * @param {number} options.page
+ * @param {number} options.limit
+ */
+const listLockouts = async ({ scope, active, page, limit }) => {
+  const filter = {};
+  if (scope) {
+    filter.scope = scope;
+  }
+  if (active) {
+    filter.lockedUntil = { $gt: new Date() };
+  }
+
+  const [lockouts, total] = await Promise.all([
+    OtpLockout.find(filter)
+      .sort({ lockedUntil: -1, lastFailedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    OtpLockout.countDocuments(filter)
+  ]);
+
+  return { lockouts, total };
+};
+
+/**
+ * Get the failure record for a phone or IP
+ * @param {string} scope
+ * @param {string} value
+ */
+const getLockout = async (scope, value) => {
+  return OtpLockout.findOne({ scope, value }).lean();
+};
+
+/**
+ * Clear failures and any lockout for a phone or IP
+ * @param {string} scope
+ * @param {string} value
+ * @param {object} req - Express request of the admin
+ * @returns {Promise<boolean>} - false if there was nothing to clear
+ */
+const clearLockout = async (scope, value, req) => {
+  const lockout = await OtpLockout.findOneAndDelete({ scope, value });
+
+  if (!lockout) {
+    return false;
+  }
+
+  await recordAuditEvent({
+    action: AUDIT_ACTIONS.OTP_LOCKOUT_CLEARED,
+    req,
+    targetType: scope,
+    targetId: value,
+    metadata: {
+      lockoutCount: lockout.lockoutCount,
+      lockedUntil: lockout.lockedUntil
+    }
+  });
+
+  return true;
+};
+
+module.exports = {
+  assertNotLocked,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  listLockouts,
+  getLockout,
+  clearLockout
+};
@@ -0,0 +1,30 @@
+/**
+ * Twilio Client
+ * Shared lazily-initialized Twilio client
+ */
+
+const twilio = require('twilio');
+
+// Twilio client instance (lazy initialization)
+let twilioClient = null;
+
+/**
+ * Get or create Twilio client
+ */
+const getClient = () => {
+  if (!twilioClient) {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (!accountSid || !authToken) {
+      throw new Error('Twilio credentials not configured');
+    }
+
+    twilioClient = twilio(accountSid, authToken);
+  }
+  return twilioClient;
+};
+
+module.exports = {
+  getClient
+};
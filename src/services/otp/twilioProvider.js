@@ -1,55 +1,32 @@
 /**
- * Twilio Verify Service
+ * Twilio Verify OTP Provider
  * Handles OTP sending via Twilio Verify API
  */
 
-const twilio = require('twilio');
-
-// Twilio client instance (lazy initialization)
-let twilioClient = null;
+const { getClient } = require('./twilioClient');
 
 /**
- * Get or create Twilio client
+ * Get Twilio Verify service SID
  */
-const getClient = () => {
-  if (!twilioClient) {
-    const accountSid = process.env.TWILIO_ACCOUNT_SID;
-    const authToken = process.env.TWILIO_AUTH_TOKEN;
-
-    if (!accountSid || !authToken) {
-      throw new Error('Twilio credentials not configured');
-    }
+const getServiceSid = () => {
+  const serviceSid = process.env.TWILIO_VERIFY_SERVICE_SID;
 
-    twilioClient = twilio(accountSid, authToken);
+  if (!serviceSid) {
+    throw new Error('Twilio Verify Service SID not configured');
   }
-  return twilioClient;
+
+  return serviceSid;
 };
 
 /**
  * Send OTP to phone number using Twilio Verify
  * @param {string} phoneNumber - Phone number with country code (e.g., +919876543210)
+ * @param {object} [options]
+ * @param {string} [options.channel=sms] - sms, whatsapp or call
  * @returns {Promise<object>} - Twilio verification response
  */
-const sendOTP = async (phoneNumber) => {
-  const serviceSid = process.env.TWILIO_VERIFY_SERVICE_SID;
-  
-  if (!serviceSid) {
-    throw new Error('Twilio Verify Service SID not configured');
-  }
-
-  // Check SMS_MODE for testing/production
-  const smsMode = process.env.SMS_MODE || 'live';
-  
-  // In test mode, simulate success without calling Twilio
-  if (smsMode === 'test') {
-    console.log(`[TEST MODE] OTP would be sent to ${phoneNumber}`);
-    return {
-      status: 'pending',
-      to: phoneNumber,
-      channel: 'sms',
-      valid: true
-    };
-  }
+const sendOTP = async (phoneNumber, { channel = 'sms' } = {}) => {
+  const serviceSid = getServiceSid();
 
   // Send OTP via Twilio Verify
   const client = getClient();
@@ -57,7 +34,7 @@ const sendOTP = async (phoneNumber) => {
     .services(serviceSid)
     .verifications.create({
       to: phoneNumber,
-      channel: 'sms'
+      channel
     });
 
   return {
@@ -75,30 +52,7 @@ const sendOTP = async (phoneNumber) => {
  * @returns {Promise<object>} - Twilio verification check response
  */
 const verifyOTP = async (phoneNumber, otp) => {
-  const serviceSid = process.env.TWILIO_VERIFY_SERVICE_SID;
-  
-  if (!serviceSid) {
-    throw new Error('Twilio Verify Service SID not configured');
-  }
-
-  // Check SMS_MODE for testing/production
-  const smsMode = process.env.SMS_MODE || 'live';
-  
-  // In test mode, accept any 6-digit OTP
-  if (smsMode === 'test') {
-    if (otp.length === 6 && /^\d{6}$/.test(otp)) {
-      console.log(`[TEST MODE] OTP verified for ${phoneNumber}`);
-      return {
-        status: 'approved',
-        valid: true
-      };
-    } else {
-      return {
-        status: 'pending',
-        valid: false
-      };
-    }
-  }
+  const serviceSid = getServiceSid();
 
   // Verify OTP via Twilio Verify
   const client = getClient();
@@ -118,9 +72,13 @@ const verifyOTP = async (phoneNumber, otp) => {
 /**
  * Parse Twilio error for user-friendly message
  * @param {Error} error - Twilio error object
- * @returns {string} - User-friendly error message
+ * @returns {string|null} - User-friendly error message, null if not a Twilio error
  */
-const parseTwilioError = (error) => {
+const parseError = (error) => {
+  if (!error.code && !error.status) {
+    return null;
+  }
+
   // Common Twilio error codes
   const errorMessages = {
     20003: 'Authentication failed. Check Twilio credentials.',
@@ -141,7 +99,8 @@ const parseTwilioError = (error) => {
 };
 
 module.exports = {
+  name: 'twilio',
   sendOTP,
   verifyOTP,
-  parseTwilioError
+  parseError
 };
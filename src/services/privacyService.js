@@ -0,0 +1,149 @@
+/**
+ * Privacy Service
+ * Resolves per-field visibility and hides fields a viewer may not see
+ */
+
+const Setting = require('../models/Setting');
+const { COMMITTEE_ROLES } = require('../config/roles');
+const {
+  VISIBILITY,
+  VISIBILITY_VALUES,
+  PRIVACY_FIELD_DEFAULTS,
+  PRIVACY_FIELDS,
+  PRIVACY_LINKED_FIELDS
+} = require('../config/privacy');
+
+const PRIVACY_DEFAULTS_KEY = 'privacyDefaults';
+
+/**
+ * Get community privacy defaults (admin settings over system defaults)
+ * @returns {Promise<object>} - { field: visibility }
+ */
+const getPrivacyDefaults = async () => {
+  const setting = await Setting.findOne({ key: PRIVACY_DEFAULTS_KEY }).lean();
+  return { ...PRIVACY_FIELD_DEFAULTS, ...(setting ? setting.value : {}) };
+};
+
+/**
+ * Update community privacy defaults
+ * @param {object} values - { field: visibility } (partial)
+ * @param {string} actorId - Admin making the change
+ * @returns {Promise<object>} - Resulting defaults
+ */
+const setPrivacyDefaults = async (values, actorId) => {
+  const $set = { updatedBy: actorId };
+  for (const [field, visibility] of Object.entries(values)) {
+    $set[`value.${field}`] = visibility;
+  }
+
+  await Setting.updateOne({ key: PRIVACY_DEFAULTS_KEY }, { $set }, { upsert: true });
+
+  return getPrivacyDefaults();
+};
+
+/**
+ * Visibility levels a viewer may see on someone else's profile
+ * @param {object} viewer - req.user ({ userId, role })
+ * @returns {string[]}
+ */
+const getViewerLevels = (viewer) => {
+  if (COMMITTEE_ROLES.includes(viewer.role)) {
+    return [VISIBILITY.MEMBERS, VISIBILITY.COMMITTEE];
+  }
+  return [VISIBILITY.MEMBERS];
+};
+
+/**
+ * Remove fields the viewer may not see from a user object
+ * The privacy settings themselves are always removed; nothing else is
+ * hidden from the user's own record.
+ * @param {object} user - Plain user object (must include `privacy` if set)
+ * @param {object} viewer - req.user
+ * @param {object} defaults - Privacy defaults
+ * @returns {object}
+ */
+const applyPrivacy = (user, viewer, defaults) => {
+  const { privacy = {}, ...visible } = user;
+
+  if (user._id.toString() === viewer.userId) {
+    return visible;
+  }
+
+  const levels = getViewerLevels(viewer);
+
+  for (const field of PRIVACY_FIELDS) {
+    const visibility = privacy[field] || defaults[field];
+    if (!levels.includes(visibility)) {
+      delete visible[field];
+    }
+  }
+
+  for (const [field, controllingField] of Object.entries(PRIVACY_LINKED_FIELDS)) {
+    const visibility = privacy[controllingField] || defaults[controllingField];
+    if (!levels.includes(visibility)) {
+      delete visible[field];
+    }
+  }
+
+  return visible;
+};
+
+/**
+ * Build a MongoDB condition matching users whose `field` the viewer may see
+ * Used so filters and sorts cannot reveal hidden values.
+ * @param {string} requestedField - Privacy-controlled (or linked) field
+ * @param {object} viewer - req.user
+ * @param {object} defaults - Privacy defaults
+ * @returns {object|null} - null if the field is not privacy-controlled
+ */
+const buildVisibilityCondition = (requestedField, viewer, defaults) => {
+  const field = PRIVACY_LINKED_FIELDS[requestedField] || requestedField;
+
+  if (!PRIVACY_FIELDS.includes(field)) {
+    return null;
+  }
+
+  const levels = getViewerLevels(viewer);
+  const path = `privacy.${field}`;
+  const conditions = [
+    { _id: viewer.userId },
+    { [path]: { $in: levels } }
+  ];
+
+  // Users who never chose a visibility follow the default
+  if (levels.includes(defaults[field])) {
+    conditions.push({ [path]: null });
+  }
+
+  return { $or: conditions };
+};
+
+/**
+ * Check a { field: visibility } object from a request
+ * @param {*} values
+ * @returns {string|null} - Error message or null if valid
+ */
+const validatePrivacyValues = (values) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return 'Privacy settings must be an object of { field: visibility }';
+  }
+
+  for (const [field, visibility] of Object.entries(values)) {
+    if (!PRIVACY_FIELDS.includes(field)) {
+      return `Privacy cannot be set for field: ${field}`;
+    }
+    if (!VISIBILITY_VALUES.includes(visibility)) {
+      return `Visibility for ${field} must be one of: ${VISIBILITY_VALUES.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  getPrivacyDefaults,
+  setPrivacyDefaults,
+  applyPrivacy,
+  buildVisibilityCondition,
+  validatePrivacyValues
+};
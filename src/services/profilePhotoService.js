@@ -0,0 +1,151 @@
+/**
+ * Profile Photo Service
+ * Validates uploaded photos, strips EXIF, generates sizes and stores them
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const User = require('../models/User');
+const { getStorage } = require('./storage');
+const { PROFILE_PHOTO_CONFIG, PROFILE_PHOTO_SIZES } = require('../config/media');
+
+/**
+ * Create error with HTTP status code
+ */
+const photoError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Storage key of one size of a photo
+ * @param {string} userId
+ * @param {string} version
+ * @param {string} size - thumbnail or medium
+ */
+const getPhotoKey = (userId, version, size) => `profile-photos/${userId}/${version}-${size}.jpg`;
+
+/**
+ * URL the app loads a photo from (served by GET /api/users/:userId/photo/:size)
+ * The version makes the URL change whenever the photo does, so it can be cached.
+ */
+const getPhotoUrl = (userId, version, size) => `/api/users/${userId}/photo/${size}?v=${version}`;
+
+/**
+ * Decode and check an uploaded image
+ * @param {Buffer} buffer
+ */
+const assertValidImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: PROFILE_PHOTO_CONFIG.maxInputPixels }).metadata();
+  } catch (error) {
+    throw photoError('The file is not a valid image', 400);
+  }
+
+  if (!PROFILE_PHOTO_CONFIG.allowedFormats.includes(metadata.format)) {
+    throw photoError(`Image must be one of: ${PROFILE_PHOTO_CONFIG.allowedFormats.join(', ')}`, 400);
+  }
+};
+
+/**
+ * Render one size as JPEG
+ * Orientation from EXIF is applied, then all metadata (EXIF, GPS) is dropped.
+ */
+const renderSize = (buffer, { width, height, fit }) => {
+  return sharp(buffer, { limitInputPixels: PROFILE_PHOTO_CONFIG.maxInputPixels })
+    .rotate()
+    .resize(width, height, { fit, withoutEnlargement: fit === 'inside' })
+    .jpeg({ quality: PROFILE_PHOTO_CONFIG.jpegQuality })
+    .toBuffer();
+};
+
+/**
+ * Delete all sizes of a photo version (best effort)
+ */
+const removeVersion = async (userId, version) => {
+  const storage = getStorage();
+  await Promise.all(PROFILE_PHOTO_SIZES.map((size) =>
+    storage.remove(getPhotoKey(userId, version, size)).catch((error) => {
+      console.error(`[PHOTO] Failed to delete ${size} of ${userId}/${version}:`, error.message);
+    })
+  ));
+};
+
+/**
+ * Replace a user's profile photo
+ * @param {string} userId
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<{ profileImage: string, profileThumbnail: string }>}
+ */
+const setProfilePhoto = async (userId, buffer) => {
+  await assertValidImage(buffer);
+
+  const storage = getStorage();
+  const version = crypto.randomBytes(8).toString('hex');
+
+  for (const size of PROFILE_PHOTO_SIZES) {
+    const output = await renderSize(buffer, PROFILE_PHOTO_CONFIG.sizes[size]);
+    await storage.put(getPhotoKey(userId, version, size), output, 'image/jpeg');
+  }
+
+  const urls = {
+    profileImage: getPhotoUrl(userId, version, 'medium'),
+    profileThumbnail: getPhotoUrl(userId, version, 'thumbnail')
+  };
+
+  const previous = await User.findByIdAndUpdate(
+    userId,
+    { $set: { ...urls, profileImageVersion: version } }
+  ).select('+profileImageVersion');
+
+  if (!previous) {
+    await removeVersion(userId, version);
+    throw photoError('User not found', 404);
+  }
+
+  if (previous.profileImageVersion) {
+    await removeVersion(userId, previous.profileImageVersion);
+  }
+
+  console.log(`[PHOTO] Profile photo updated for user: ${userId}`);
+
+  return urls;
+};
+
+/**
+ * Remove a user's profile photo
+ * @param {string} userId
+ * @returns {Promise<boolean>} - false if the user had no uploaded photo
+ */
+const removeProfilePhoto = async (userId) => {
+  const previous = await User.findByIdAndUpdate(
+    userId,
+    { $unset: { profileImage: 1, profileThumbnail: 1, profileImageVersion: 1 } }
+  ).select('+profileImageVersion');
+
+  if (!previous || !previous.profileImageVersion) {
+    return false;
+  }
+
+  await removeVersion(userId, previous.profileImageVersion);
+  return true;
+};
+
+/**
+ * Read one size of a user's current photo
+ * @param {string} userId
+ * @param {string} version - Current version from the user record
+ * @param {string} size
+ * @returns {Promise<{ body: Buffer, contentType: string }|null>}
+ */
+const getProfilePhoto = (userId, version, size) => {
+  return getStorage().get(getPhotoKey(userId, version, size));
+};
+
+module.exports = {
+  setProfilePhoto,
+  removeProfilePhoto,
+  getProfilePhoto
+};
@@ -0,0 +1,154 @@
+/**
+ * FCM Push Transport
+ * Sends pushes through the Firebase Cloud Messaging HTTP v1 API
+ *
+ * Configuration (service account key from the Firebase console):
+ * FCM_SERVICE_ACCOUNT_FILE=/path/to/service-account.json
+ * or FCM_SERVICE_ACCOUNT_JSON='{"project_id": "...", "client_email": "...", "private_key": "..."}'
+ */
+
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { NOTIFICATION_CONFIG } = require('../../config/notifications');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const MESSAGING_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// FCM error code meaning the token will never work again
+const UNREGISTERED_ERROR = 'UNREGISTERED';
+
+let serviceAccount = null;
+let accessToken = null;
+
+/**
+ * Load the service account (lazy, after dotenv has loaded)
+ */
+const getServiceAccount = () => {
+  if (serviceAccount) {
+    return serviceAccount;
+  }
+
+  const raw = process.env.FCM_SERVICE_ACCOUNT_JSON ||
+    (process.env.FCM_SERVICE_ACCOUNT_FILE && fs.readFileSync(process.env.FCM_SERVICE_ACCOUNT_FILE, 'utf8'));
+
+  if (!raw) {
+    throw new Error('FCM service account not configured (FCM_SERVICE_ACCOUNT_FILE or FCM_SERVICE_ACCOUNT_JSON)');
+  }
+
+  serviceAccount = JSON.parse(raw);
+  return serviceAccount;
+};
+
+/**
+ * Get an OAuth access token for FCM, cached until shortly before it expires
+ */
+const getAccessToken = async () => {
+  if (accessToken && accessToken.expiresAt > Date.now() + 60 * 1000) {
+    return accessToken.value;
+  }
+
+  const account = getServiceAccount();
+  const assertion = jwt.sign({ scope: MESSAGING_SCOPE }, account.private_key, {
+    algorithm: 'RS256',
+    issuer: account.client_email,
+    audience: TOKEN_URL,
+    expiresIn: 3600
+  });
+
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`FCM authentication failed (${response.status})`);
+  }
+
+  const result = await response.json();
+  accessToken = {
+    value: result.access_token,
+    expiresAt: Date.now() + result.expires_in * 1000
+  };
+
+  return accessToken.value;
+};
+
+/**
+ * Send a push to one device
+ * @returns {Promise<'sent'|'invalid'|'failed'>}
+ */
+const sendToToken = async (token, { title, body, data }, credentials) => {
+  const response = await fetch(`https://fcm.googleapis.com/v1/projects/${credentials.projectId}/messages:send`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${credentials.accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      message: {
+        token,
+        notification: { title, body },
+        // FCM data values must be strings
+        data: Object.fromEntries(Object.entries(data || {}).map(([key, value]) => [key, String(value)]))
+      }
+    })
+  });
+
+  if (response.ok) {
+    return 'sent';
+  }
+
+  const result = await response.json().catch(() => ({}));
+  const details = (result.error && result.error.details) || [];
+  const errorCode = (details.find((detail) => detail.errorCode) || {}).errorCode;
+
+  if (response.status === 404 || errorCode === UNREGISTERED_ERROR) {
+    return 'invalid';
+  }
+
+  console.error(`[PUSH] FCM send failed (${response.status}):`, (result.error && result.error.message) || 'unknown error');
+  return 'failed';
+};
+
+/**
+ * Send a push to device tokens
+ * @param {string[]} tokens
+ * @param {object} message - { title, body, data }
+ * @returns {Promise<{ sent: number, invalidTokens: string[] }>}
+ */
+const send = async (tokens, message) => {
+  const credentials = {
+    projectId: getServiceAccount().project_id,
+    accessToken: await getAccessToken()
+  };
+
+  let sent = 0;
+  const invalidTokens = [];
+
+  // HTTP v1 takes one token per request, so send a few at a time
+  for (let i = 0; i < tokens.length; i += NOTIFICATION_CONFIG.sendConcurrency) {
+    const batch = tokens.slice(i, i + NOTIFICATION_CONFIG.sendConcurrency);
+    const results = await Promise.all(batch.map((token) =>
+      sendToToken(token, message, credentials).catch((error) => {
+        console.error('[PUSH] FCM send error:', error.message);
+        return 'failed';
+      })
+    ));
+
+    results.forEach((result, index) => {
+      if (result === 'sent') sent++;
+      if (result === 'invalid') invalidTokens.push(batch[index]);
+    });
+  }
+
+  return { sent, invalidTokens };
+};
+
+module.exports = {
+  name: 'fcm',
+  send
+};
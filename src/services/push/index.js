@@ -0,0 +1,45 @@
+/**
+ * Push Service
+ * Selects the push notification transport from configuration
+ *
+ * PUSH_TRANSPORT=fcm   Firebase Cloud Messaging (default in production)
+ * PUSH_TRANSPORT=log   Writes pushes to a file or the console (default otherwise)
+ *
+ * Every transport implements:
+ * send(tokens, { title, body, data }) -> { sent, invalidTokens }
+ * invalidTokens are tokens the transport reports as no longer registered.
+ */
+
+const fcmTransport = require('./fcmTransport');
+const logTransport = require('./logTransport');
+
+const TRANSPORTS = {
+  fcm: fcmTransport,
+  log: logTransport
+};
+
+/**
+ * Get the configured transport
+ */
+const getTransport = () => {
+  const name = process.env.PUSH_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'fcm' : 'log');
+  const transport = TRANSPORTS[name];
+
+  if (!transport) {
+    throw new Error(`Unknown push transport "${name}" not configured`);
+  }
+
+  return transport;
+};
+
+/**
+ * Send a push to device tokens through the active transport
+ * @param {string[]} tokens
+ * @param {object} message - { title, body, data }
+ */
+const sendPush = (tokens, message) => getTransport().send(tokens, message);
+
+module.exports = {
+  getTransport,
+  sendPush
+};
@@ -0,0 +1,44 @@
+/**
+ * Log Push Transport
+ * Sends nothing. Each push is appended as a JSON line to PUSH_LOG_FILE, or
+ * logged to the console when unset, so tests and local development can see
+ * what would have been delivered.
+ *
+ * Tokens starting with "invalid" are reported as unregistered, so token
+ * cleanup can be exercised.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Pretend to send a push
+ * @param {string[]} tokens
+ * @param {object} message - { title, body, data }
+ * @returns {Promise<{ sent: number, invalidTokens: string[] }>}
+ */
+const send = async (tokens, message) => {
+  const invalidTokens = tokens.filter((token) => token.startsWith('invalid'));
+  const validTokens = tokens.filter((token) => !invalidTokens.includes(token));
+
+  if (process.env.PUSH_LOG_FILE) {
+    const filePath = path.resolve(process.env.PUSH_LOG_FILE);
+    const lines = validTokens.map((token) =>
+      JSON.stringify({ sentAt: new Date().toISOString(), token, ...message })
+    );
+
+    if (lines.length > 0) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${lines.join('\n')}\n`);
+    }
+  } else {
+    console.log(`[PUSH LOG] "${message.title}" would be sent to ${validTokens.length} device(s)`);
+  }
+
+  return { sent: validTokens.length, invalidTokens };
+};
+
+module.exports = {
+  name: 'log',
+  send
+};
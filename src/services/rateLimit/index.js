@@ -0,0 +1,102 @@
+/**
+ * Rate Limit Service
+ * Sliding-window rate limiting on top of a pluggable counter store
+ *
+ * RATE_LIMIT_STORE=mongo    Shared across instances, survives deploys (default)
+ * RATE_LIMIT_STORE=memory   Process-local, for development and tests
+ *
+ * Every store implements:
+ * increment(key, windowStart, ttlMs) -> count after increment
+ * get(key, windowStart) -> count
+ * block(key, until)
+ * getBlockedUntil(key) -> timestamp or null
+ * reset(key)
+ *
+ * The sliding window is approximated from two fixed windows: the previous
+ * window's count is weighted by how much of it still overlaps the sliding window.
+ */
+
+const mongoStore = require('./mongoStore');
+const memoryStore = require('./memoryStore');
+
+const STORES = {
+  mongo: mongoStore,
+  memory: memoryStore
+};
+
+/**
+ * Get the configured store
+ */
+const getStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || 'mongo';
+  const store = STORES[name];
+
+  if (!store) {
+    throw new Error(`Unknown rate limit store "${name}" not configured`);
+  }
+
+  return store;
+};
+
+/**
+ * Build the store key for a limit
+ * @param {string} name - Limiter name (e.g. "otp")
+ * @param {object} limit - { by, windowMs }
+ * @param {string} value - Phone, IP or device id
+ */
+const buildKey = (name, limit, value) => `${name}:${limit.by}:${limit.windowMs}:${value}`;
+
+/**
+ * Evaluate one limit for a key
+ * @param {string} key
+ * @param {object} limit - { max, windowMs, blockMs }
+ * @param {boolean} [consume=false] - Count this request
+ * @returns {Promise<{ limit: number, remaining: number, resetMs: number, exceeded: boolean }>}
+ */
+const checkLimit = async (key, limit, consume = false) => {
+  const store = getStore();
+  const now = Date.now();
+
+  const blockedUntil = await store.getBlockedUntil(key);
+  if (blockedUntil) {
+    return { limit: limit.max, remaining: 0, resetMs: blockedUntil - now, exceeded: true };
+  }
+
+  const windowStart = Math.floor(now / limit.windowMs) * limit.windowMs;
+  const [current, previous] = await Promise.all([
+    consume
+      ? store.increment(key, windowStart, limit.windowMs * 2)
+      : store.get(key, windowStart),
+    store.get(key, windowStart - limit.windowMs)
+  ]);
+
+  const elapsed = now - windowStart;
+  const weighted = previous * ((limit.windowMs - elapsed) / limit.windowMs) + current;
+  const exceeded = weighted > limit.max;
+  let resetMs = limit.windowMs - elapsed;
+
+  if (exceeded && consume && limit.blockMs) {
+    await store.block(key, now + limit.blockMs);
+    resetMs = limit.blockMs;
+  }
+
+  return {
+    limit: limit.max,
+    remaining: Math.max(0, Math.floor(limit.max - weighted)),
+    resetMs,
+    exceeded
+  };
+};
+
+/**
+ * Clear counters and blocks for a key
+ * @param {string} key
+ */
+const resetLimit = (key) => getStore().reset(key);
+
+module.exports = {
+  getStore,
+  buildKey,
+  checkLimit,
+  resetLimit
+};
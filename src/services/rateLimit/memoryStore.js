@@ -0,0 +1,99 @@
+/**
+ * In-Memory Rate Limit Store
+ * Process-local counters for single-instance development and tests
+ */
+
+// Counters: { "<key>|<windowStart>": { count, expiresAt } }
+const counters = new Map();
+
+// Blocks: { key: blockedUntil }
+const blocks = new Map();
+
+/**
+ * Clean expired entries periodically
+ */
+const cleanupExpiredEntries = () => {
+  const now = Date.now();
+  for (const [id, counter] of counters.entries()) {
+    if (now > counter.expiresAt) {
+      counters.delete(id);
+    }
+  }
+  for (const [key, until] of blocks.entries()) {
+    if (now > until) {
+      blocks.delete(key);
+    }
+  }
+};
+
+// Run cleanup every 5 minutes without keeping the process alive
+setInterval(cleanupExpiredEntries, 5 * 60 * 1000).unref();
+
+/**
+ * Increment the counter for a window
+ * @param {string} key
+ * @param {number} windowStart - Window start (ms)
+ * @param {number} ttlMs - How long the counter must be kept
+ * @returns {Promise<number>} - Count after increment
+ */
+const increment = async (key, windowStart, ttlMs) => {
+  const id = `${key}|${windowStart}`;
+  const counter = counters.get(id) || { count: 0, expiresAt: windowStart + ttlMs };
+
+  counter.count++;
+  counters.set(id, counter);
+
+  return counter.count;
+};
+
+/**
+ * Get the counter for a window
+ * @param {string} key
+ * @param {number} windowStart - Window start (ms)
+ * @returns {Promise<number>}
+ */
+const get = async (key, windowStart) => {
+  const counter = counters.get(`${key}|${windowStart}`);
+  return counter ? counter.count : 0;
+};
+
+/**
+ * Block a key until the given time
+ * @param {string} key
+ * @param {number} until - Timestamp (ms)
+ */
+const block = async (key, until) => {
+  blocks.set(key, until);
+};
+
+/**
+ * Get when the block on a key ends
+ * @param {string} key
+ * @returns {Promise<number|null>} - Timestamp (ms), null if not blocked
+ */
+const getBlockedUntil = async (key) => {
+  const until = blocks.get(key);
+  return until && until > Date.now() ? until : null;
+};
+
+/**
+ * Remove all counters and the block for a key
+ * @param {string} key
+ */
+const reset = async (key) => {
+  for (const id of counters.keys()) {
+    if (id.startsWith(`${key}|`)) {
+      counters.delete(id);
+    }
+  }
+  blocks.delete(key);
+};
+
+module.exports = {
+  name: 'memory',
+  increment,
+  get,
+  block,
+  getBlockedUntil,
+  reset
+};
@@ -0,0 +1,90 @@
+/**
+ * MongoDB Rate Limit Store
+ * Counters shared by all instances and kept across deploys; expired by a TTL index
+ */
+
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+const BLOCK_WINDOW_START = new Date(0);
+
+/**
+ * Increment the counter for a window
+ * @param {string} key
+ * @param {number} windowStart - Window start (ms)
+ * @param {number} ttlMs - How long the counter must be kept
+ * @returns {Promise<number>} - Count after increment
+ */
+const increment = async (key, windowStart, ttlMs) => {
+  const counter = await RateLimitCounter.findOneAndUpdate(
+    { key, windowStart: new Date(windowStart) },
+    {
+      $inc: { count: 1 },
+      $setOnInsert: { expiresAt: new Date(windowStart + ttlMs) }
+    },
+    { upsert: true, new: true, lean: true }
+  );
+
+  return counter.count;
+};
+
+/**
+ * Get the counter for a window
+ * @param {string} key
+ * @param {number} windowStart - Window start (ms)
+ * @returns {Promise<number>}
+ */
+const get = async (key, windowStart) => {
+  const counter = await RateLimitCounter.findOne({ key, windowStart: new Date(windowStart) })
+    .select('count')
+    .lean();
+
+  return counter ? counter.count : 0;
+};
+
+/**
+ * Block a key until the given time
+ * @param {string} key
+ * @param {number} until - Timestamp (ms)
+ */
+const block = async (key, until) => {
+  await RateLimitCounter.updateOne(
+    { key: `block:${key}`, windowStart: BLOCK_WINDOW_START },
+    { $set: { expiresAt: new Date(until) } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Get when the block on a key ends
+ * @param {string} key
+ * @returns {Promise<number|null>} - Timestamp (ms), null if not blocked
+ */
+const getBlockedUntil = async (key) => {
+  // The TTL monitor runs about once a minute, so check expiry explicitly
+  const entry = await RateLimitCounter.findOne({
+    key: `block:${key}`,
+    windowStart: BLOCK_WINDOW_START,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('expiresAt')
+    .lean();
+
+  return entry ? entry.expiresAt.getTime() : null;
+};
+
+/**
+ * Remove all counters and the block for a key
+ * @param {string} key
+ */
+const reset = async (key) => {
+  await RateLimitCounter.deleteMany({ key: { $in: [key, `block:${key}`] } });
+};
+
+module.exports = {
+  name: 'mongo',
+  increment,
+  get,
+  block,
+  getBlockedUntil,
+  reset
+};
@@ -0,0 +1,219 @@
+/**
+ * Registration Service
+ * Creates member accounts and manages multi-step registration drafts
+ */
+
+const User = require('../models/User');
+const RegistrationDraft = require('../models/RegistrationDraft');
+const { getInitialRole } = require('./roleService');
+const { checkTicket, consumeTicket, releaseTicket } = require('./registrationTicketService');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { computeCompleteness } = require('../utils/profileCompleteness');
+const { validateProfileData } = require('../middleware/validators');
+const {
+  REGISTRATION_DRAFT_CONFIG,
+  REGISTRATION_DRAFT_SECTIONS
+} = require('../config/profile');
+
+/**
+ * Create error with HTTP status code
+ */
+const registrationError = (message, statusCode, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * Create a member account for a verified phone and redeem its ticket
+ * The ticket is redeemed only once the account is valid, and released
+ * again if saving fails, so a failed registration does not burn it.
+ * @param {string} ticket - Registration ticket
+ * @param {string} phone - Phone number the ticket was issued for
+ * @param {object} profile - Profile fields
+ * @returns {Promise<object>} - User document
+ */
+const createMember = async (ticket, phone, profile) => {
+  const user = new User({
+    ...profile,
+    phone,
+    role: await getInitialRole(phone)
+  });
+
+  await user.validate();
+  await consumeTicket(ticket);
+
+  try {
+    await user.save();
+  } catch (error) {
+    await releaseTicket(ticket);
+    throw error;
+  }
+
+  console.log(`[REGISTER] New user created: ${user._id} - ${user.name}`);
+
+  // A draft left over from the multi-step form is no longer needed
+  await RegistrationDraft.deleteOne({ phone });
+
+  return user;
+};
+
+/**
+ * Refuse drafts for phones that already have an account
+ * @param {string} phone
+ */
+const assertNotRegistered = async (phone) => {
+  if (await User.exists({ phone })) {
+    throw registrationError('User with this phone number already exists', 409);
+  }
+};
+
+/**
+ * Draft data with sensitive fields decrypted
+ * @param {object} data - Stored draft data
+ */
+const decryptDraftData = (data) => {
+  const decrypted = { ...data };
+  for (const field of User.ENCRYPTED_FIELDS) {
+    if (decrypted[field] !== undefined) {
+      decrypted[field] = decrypt(decrypted[field]);
+    }
+  }
+  return decrypted;
+};
+
+/**
+ * Draft as returned to the app, with progress per section
+ * @param {object|null} draft - Lean draft document
+ */
+const formatDraft = (draft) => {
+  const data = draft ? decryptDraftData(draft.data) : {};
+  const { sections } = computeCompleteness(data);
+
+  return {
+    data,
+    savedSections: draft ? draft.savedSections : [],
+    sections: sections.map(({ key, label, isComplete, missingRequired }) => ({
+      key,
+      label,
+      saved: Boolean(draft && draft.savedSections.includes(key)),
+      isComplete,
+      missingRequired
+    })),
+    expiresAt: draft ? draft.expiresAt : null
+  };
+};
+
+/**
+ * Get the draft for a verified phone
+ * @param {string} ticket - Registration ticket
+ * @returns {Promise<object>} - Formatted draft (empty if nothing saved yet)
+ */
+const getDraft = async (ticket) => {
+  const phone = await checkTicket(ticket);
+  const draft = await RegistrationDraft.findOne({ phone }).lean();
+  return formatDraft(draft);
+};
+
+/**
+ * Check whether a phone has a saved draft
+ * @param {string} phone
+ * @returns {Promise<boolean>}
+ */
+const hasDraft = async (phone) => {
+  return Boolean(await RegistrationDraft.exists({ phone }));
+};
+
+/**
+ * Save one section of the draft
+ * Values must already be validated (registrationDraftSectionValidation).
+ * @param {string} ticket - Registration ticket
+ * @param {string} section - Key of REGISTRATION_DRAFT_SECTIONS
+ * @param {object} values - Section fields
+ * @returns {Promise<object>} - Formatted draft
+ */
+const saveDraftSection = async (ticket, section, values) => {
+  const phone = await checkTicket(ticket);
+  await assertNotRegistered(phone);
+
+  const $set = {
+    expiresAt: new Date(Date.now() + REGISTRATION_DRAFT_CONFIG.ttlHours * 60 * 60 * 1000)
+  };
+  const $unset = {};
+
+  for (const field of REGISTRATION_DRAFT_SECTIONS[section]) {
+    const value = values[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (value === null || value === '') {
+      $unset[`data.${field}`] = 1;
+      continue;
+    }
+
+    // Stored as JSON-safe values so the draft validates the same way on submit
+    const stored = value instanceof Date ? value.toISOString() : value;
+    $set[`data.${field}`] = User.ENCRYPTED_FIELDS.includes(field) ? encrypt(stored) : stored;
+  }
+
+  const update = { $set, $addToSet: { savedSections: section } };
+  if (Object.keys($unset).length > 0) {
+    update.$unset = $unset;
+  }
+
+  const draft = await RegistrationDraft.findOneAndUpdate({ phone }, update, {
+    upsert: true,
+    new: true,
+    lean: true
+  });
+
+  return formatDraft(draft);
+};
+
+/**
+ * Delete the draft for a verified phone
+ * @param {string} ticket - Registration ticket
+ * @returns {Promise<boolean>} - false if there was no draft
+ */
+const discardDraft = async (ticket) => {
+  const phone = await checkTicket(ticket);
+  const { deletedCount } = await RegistrationDraft.deleteOne({ phone });
+  return deletedCount > 0;
+};
+
+/**
+ * Validate the whole draft and create the account
+ * The ticket is redeemed only once the account is created.
+ * @param {string} ticket - Registration ticket
+ * @returns {Promise<object>} - User document
+ */
+const submitDraft = async (ticket) => {
+  const phone = await checkTicket(ticket);
+  await assertNotRegistered(phone);
+
+  const draft = await RegistrationDraft.findOne({ phone }).lean();
+  if (!draft) {
+    throw registrationError('No registration draft found. Please fill in the form first.', 404);
+  }
+
+  const { errors, data } = await validateProfileData(
+    decryptDraftData(draft.data),
+    REGISTRATION_DRAFT_CONFIG.requiredFields
+  );
+
+  if (errors.length > 0) {
+    throw registrationError(errors[0].message, 400, { errors });
+  }
+
+  return createMember(ticket, phone, data);
+};
+
+module.exports = {
+  createMember,
+  getDraft,
+  hasDraft,
+  saveDraftSection,
+  discardDraft,
+  submitDraft
+};
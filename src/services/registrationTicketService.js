@@ -0,0 +1,103 @@
+/**
+ * Registration Ticket Service
+ * Issues and redeems single-use tickets that prove a phone was verified by OTP
+ */
+
+const RegistrationTicket = require('../models/RegistrationTicket');
+const { generateRegistrationTicket, verifyRegistrationTicket } = require('../utils/jwt');
+
+/**
+ * Create error with HTTP status code
+ */
+const ticketError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Issue a registration ticket for a verified phone number
+ * @param {string} phone - Phone number verified by OTP
+ * @returns {Promise<{ ticket: string, expiresAt: Date }>}
+ */
+const issueTicket = async (phone) => {
+  const { ticket, jti, expiresAt } = generateRegistrationTicket(phone);
+
+  await RegistrationTicket.create({ jti, phone, expiresAt });
+
+  return { ticket, expiresAt };
+};
+
+/**
+ * Check a registration ticket without redeeming it
+ * @param {string} ticket - Registration ticket
+ * @returns {Promise<string>} - Verified phone number
+ */
+const checkTicket = async (ticket) => {
+  let decoded;
+  try {
+    decoded = verifyRegistrationTicket(ticket);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw ticketError('Registration ticket has expired. Please verify your phone again.');
+    }
+    throw ticketError('Invalid registration ticket');
+  }
+
+  const record = await RegistrationTicket.findOne({ jti: decoded.jti, phone: decoded.phone });
+
+  if (!record) {
+    throw ticketError('Invalid registration ticket');
+  }
+
+  if (record.usedAt) {
+    throw ticketError('Registration ticket has already been used');
+  }
+
+  return decoded.phone;
+};
+
+/**
+ * Redeem a registration ticket (single use)
+ * @param {string} ticket - Registration ticket
+ * @returns {Promise<string>} - Verified phone number
+ */
+const consumeTicket = async (ticket) => {
+  const phone = await checkTicket(ticket);
+  const { jti } = verifyRegistrationTicket(ticket);
+
+  // Atomically mark as used so concurrent replays cannot both succeed
+  const record = await RegistrationTicket.findOneAndUpdate(
+    { jti, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  if (!record) {
+    throw ticketError('Registration ticket has already been used');
+  }
+
+  return phone;
+};
+
+/**
+ * Make a redeemed ticket usable again
+ * Used when registration fails after the ticket was redeemed, so the
+ * member can retry without verifying their phone again.
+ * @param {string} ticket - Registration ticket
+ */
+const releaseTicket = async (ticket) => {
+  try {
+    const { jti } = verifyRegistrationTicket(ticket);
+    await RegistrationTicket.updateOne({ jti }, { $set: { usedAt: null } });
+  } catch (error) {
+    // An expired ticket cannot be used again anyway
+    console.error('[REGISTER] Failed to release registration ticket:', error.message);
+  }
+};
+
+module.exports = {
+  issueTicket,
+  checkTicket,
+  consumeTicket,
+  releaseTicket
+};
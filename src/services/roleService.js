@@ -0,0 +1,122 @@
+/**
+ * Role Service
+ * Role changes and superadmin seeding
+ */
+
+const User = require('../models/User');
+const { ROLES, ROLE_VALUES, ADMIN_ROLES } = require('../config/roles');
+
+/**
+ * Create error with HTTP status code
+ */
+const roleError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get configured superadmin phone (E.164)
+ */
+const getSuperadminPhone = () => {
+  return (process.env.SUPERADMIN_PHONE || '').trim() || null;
+};
+
+/**
+ * Promote or demote a user
+ * Only a superadmin may grant or take away admin/superadmin roles.
+ * @param {object} actor - req.user of the caller ({ userId, role })
+ * @param {string} targetUserId - User whose role is changed
+ * @param {string} role - New role
+ * @returns {Promise<{ user: object, previousRole: string }>} - Updated user and the role it had
+ */
+const changeRole = async (actor, targetUserId, role) => {
+  if (actor.userId === targetUserId) {
+    throw roleError('You cannot change your own role', 403);
+  }
+
+  const user = await User.findById(targetUserId);
+
+  if (!user) {
+    throw roleError('User not found', 404);
+  }
+
+  const touchesAdminRole = ADMIN_ROLES.includes(role) || ADMIN_ROLES.includes(user.role);
+  if (touchesAdminRole && actor.role !== ROLES.SUPERADMIN) {
+    throw roleError('Only a superadmin can grant or revoke admin roles', 403);
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+
+  console.log(`[ROLE] ${actor.userId} changed role of ${user._id}: ${previousRole} -> ${role}`);
+
+  return { user, previousRole };
+};
+
+/**
+ * Fail unless the actor's role is above the target user's
+ * Nobody can edit, suspend or delete a peer or someone more senior.
+ * Does nothing if the target does not exist; the caller reports that.
+ * @param {object} actor - req.user of the caller ({ userId, role })
+ * @param {string} targetUserId
+ */
+const assertCanManageUser = async (actor, targetUserId) => {
+  const target = await User.findById(targetUserId).select('role').lean();
+
+  if (target && ROLE_VALUES.indexOf(target.role) >= ROLE_VALUES.indexOf(actor.role)) {
+    throw roleError('You cannot manage a user whose role is equal to or above yours', 403);
+  }
+};
+
+/**
+ * Role for a newly registered user
+ * The configured superadmin phone becomes superadmin if none exists yet.
+ * @param {string} phone - Phone number being registered
+ * @returns {Promise<string>}
+ */
+const getInitialRole = async (phone) => {
+  if (phone !== getSuperadminPhone()) {
+    return ROLES.MEMBER;
+  }
+
+  const existingSuperadmin = await User.exists({ role: ROLES.SUPERADMIN });
+  return existingSuperadmin ? ROLES.MEMBER : ROLES.SUPERADMIN;
+};
+
+/**
+ * Seed the first superadmin from SUPERADMIN_PHONE
+ * Runs on startup; does nothing once a superadmin exists.
+ */
+const seedSuperadmin = async () => {
+  const phone = getSuperadminPhone();
+
+  if (!phone) {
+    return;
+  }
+
+  const existingSuperadmin = await User.exists({ role: ROLES.SUPERADMIN });
+  if (existingSuperadmin) {
+    return;
+  }
+
+  const user = await User.findOneAndUpdate(
+    { phone },
+    { $set: { role: ROLES.SUPERADMIN } },
+    { new: true }
+  );
+
+  if (user) {
+    console.log(`✓ Superadmin seeded: ${user._id}`);
+  } else {
+    console.log('⚠ SUPERADMIN_PHONE is not registered yet; role will be assigned on registration');
+  }
+};
+
+module.exports = {
+  changeRole,
+  assertCanManageUser,
+  getInitialRole,
+  seedSuperadmin
+};
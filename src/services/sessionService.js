@@ -0,0 +1,259 @@
+/**
+ * Session Service
+ * Issues access/refresh token pairs, rotates refresh tokens and manages device sessions
+ */
+
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const DeviceToken = require('../models/DeviceToken');
+const User = require('../models/User');
+const {
+  generateToken,
+  getTokenExpiresInSeconds,
+  generateRefreshToken,
+  hashRefreshToken,
+  parseRefreshToken
+} = require('../utils/jwt');
+
+// Refresh token lifetime (days)
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Rotated refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_REFRESH_HASHES = 20;
+
+// Only write lastSeenAt once per minute per session
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create error with HTTP status code
+ */
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Get refresh token expiry date from now
+ */
+const getRefreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Build token response for a session
+ */
+const buildTokens = (user, sessionId, refreshToken) => {
+  return {
+    token: generateToken(user._id.toString(), user.phone, sessionId, user.role),
+    refreshToken,
+    expiresIn: getTokenExpiresInSeconds()
+  };
+};
+
+/**
+ * Start a new session for a user (login / registration)
+ * @param {object} user - User document
+ * @param {object} req - Express request (for device info)
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+ */
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { refreshToken, refreshTokenHash } = generateRefreshToken(sessionId.toString());
+
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: getRefreshExpiry()
+  });
+
+  console.log(`[SESSION] Session created: ${sessionId} for user: ${user._id}`);
+
+  return buildTokens(user, sessionId.toString(), refreshToken);
+};
+
+/**
+ * Revoke a session (the whole refresh token family)
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ */
+const revokeSession = async (sessionId, reason) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  // A logged-out device must not receive pushes
+  await DeviceToken.deleteMany({ session: sessionId });
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The presented refresh token is invalidated (rotation). Presenting an
+ * already-rotated token revokes the whole session; any other wrong token
+ * for the session is simply rejected.
+ * @param {string} refreshToken - Refresh token
+ * @param {object} req - Express request (for device info)
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const sessionId = parseRefreshToken(refreshToken);
+
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const presentedHash = hashRefreshToken(refreshToken);
+  const next = generateRefreshToken(sessionId);
+
+  // Atomically swap the current hash so concurrent refreshes cannot both win
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: next.refreshTokenHash,
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        lastSeenAt: new Date()
+      },
+      $push: {
+        previousRefreshTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_REFRESH_HASHES }
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId).select('+previousRefreshTokenHashes');
+
+    if (!existing || existing.expiresAt <= new Date()) {
+      throw sessionError('Refresh token has expired. Please login again.');
+    }
+
+    if (existing.revokedAt) {
+      throw sessionError('Session has been revoked. Please login again.');
+    }
+
+    if (!existing.previousRefreshTokenHashes.includes(presentedHash)) {
+      throw sessionError('Invalid refresh token');
+    }
+
+    // Valid session but stale token: a rotated token is being reused
+    console.warn(`[SESSION] Refresh token reuse detected for session: ${sessionId}`);
+    await revokeSession(sessionId, 'refresh_token_reuse');
+    throw sessionError('Refresh token reuse detected. Please login again.');
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user) {
+    await revokeSession(sessionId, 'user_not_found');
+    throw sessionError('User not found');
+  }
+
+  const blockedMessage = user.getAccountBlockedMessage();
+  if (blockedMessage) {
+    await revokeSession(sessionId, `account_${user.status}`);
+    throw sessionError(blockedMessage);
+  }
+
+  return buildTokens(user, sessionId, next.refreshToken);
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await DeviceToken.deleteMany({ user: userId });
+  return result.modifiedCount;
+};
+
+/**
+ * Get a session if it is still active
+ * Also records when the session was last seen
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} - Session document or null if revoked/expired
+ */
+const getActiveSession = async (sessionId) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (session && Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } })
+      .catch((error) => console.error('[SESSION] Failed to update lastSeenAt:', error.message));
+  }
+
+  return session;
+};
+
+/**
+ * List active sessions (devices) of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+const listSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('userAgent ip lastSeenAt createdAt expiresAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+};
+
+/**
+ * Revoke one session of a user
+ * @param {string} userId - User ID (session owner)
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+const revokeUserSession = async (userId, sessionId, reason) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return false;
+  }
+
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await DeviceToken.deleteMany({ session: sessionId });
+  }
+  return result.modifiedCount > 0;
+};
+
+module.exports = {
+  createSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeUserSession,
+  rotateRefreshToken,
+  getActiveSession,
+  listSessions
+};
@@ -0,0 +1,76 @@
+/**
+ * Local Disk Storage
+ * Stores files under STORAGE_LOCAL_DIR (default ./uploads)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Resolve a storage key to a path inside the storage directory
+ * @param {string} key - e.g. "profile-photos/<userId>/<version>-medium.jpg"
+ */
+const resolvePath = (key) => {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+/**
+ * Store a file
+ * @param {string} key
+ * @param {Buffer} body
+ * @param {string} contentType
+ */
+const put = async (key, body) => {
+  const filePath = resolvePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, body);
+};
+
+/**
+ * Read a file
+ * @param {string} key
+ * @returns {Promise<{ body: Buffer, contentType: string }|null>} - null if missing
+ */
+const get = async (key) => {
+  try {
+    const body = await fs.readFile(resolvePath(key));
+    return {
+      body,
+      contentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream'
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Delete a file (missing files are ignored)
+ * @param {string} key
+ */
+const remove = async (key) => {
+  await fs.rm(resolvePath(key), { force: true });
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  get,
+  remove
+};
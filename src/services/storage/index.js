@@ -0,0 +1,38 @@
+/**
+ * Storage Service
+ * Selects the file storage driver from configuration
+ *
+ * STORAGE_DRIVER=local   Files on local disk (default)
+ * STORAGE_DRIVER=s3      S3-compatible object storage
+ *
+ * Every driver implements:
+ * put(key, body, contentType)
+ * get(key) -> { body, contentType } or null
+ * remove(key)
+ */
+
+const diskStorage = require('./diskStorage');
+const s3Storage = require('./s3Storage');
+
+const DRIVERS = {
+  local: diskStorage,
+  s3: s3Storage
+};
+
+/**
+ * Get the configured storage driver
+ */
+const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const driver = DRIVERS[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}" not configured`);
+  }
+
+  return driver;
+};
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,102 @@
+/**
+ * S3-Compatible Storage
+ * AWS S3, Cloudflare R2, MinIO, DigitalOcean Spaces...
+ *
+ * Configuration:
+ * S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ * S3_ENDPOINT="https://<account>.r2.cloudflarestorage.com"   (non-AWS providers)
+ * S3_FORCE_PATH_STYLE=true                                   (MinIO)
+ *
+ * Requires the optional @aws-sdk/client-s3 dependency.
+ */
+
+let client = null;
+let sdk = null;
+
+/**
+ * Get S3 client (lazy, so the SDK is only needed when this driver is used)
+ */
+const getClient = () => {
+  if (client) {
+    return client;
+  }
+
+  if (!process.env.S3_BUCKET) {
+    throw new Error('S3 storage not configured (S3_BUCKET)');
+  }
+
+  sdk = require('@aws-sdk/client-s3');
+
+  const credentials = process.env.S3_ACCESS_KEY_ID
+    ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
+    : undefined;
+
+  client = new sdk.S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials
+  });
+
+  return client;
+};
+
+/**
+ * Store a file
+ * @param {string} key
+ * @param {Buffer} body
+ * @param {string} contentType
+ */
+const put = async (key, body, contentType) => {
+  await getClient().send(new sdk.PutObjectCommand({
+    Bucket: process.env.S3_BUCKET,
+    Key: key,
+    Body: body,
+    ContentType: contentType
+  }));
+};
+
+/**
+ * Read a file
+ * @param {string} key
+ * @returns {Promise<{ body: Buffer, contentType: string }|null>} - null if missing
+ */
+const get = async (key) => {
+  try {
+    const object = await getClient().send(new sdk.GetObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key
+    }));
+
+    return {
+      body: Buffer.from(await object.Body.transformToByteArray()),
+      contentType: object.ContentType || 'application/octet-stream'
+    };
+  } catch (error) {
+    if (error.name === 'NoSuchKey') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Delete a file (missing files are ignored by S3)
+ * @param {string} key
+ */
+const remove = async (key) => {
+  await getClient().send(new sdk.DeleteObjectCommand({
+    Bucket: process.env.S3_BUCKET,
+    Key: key
+  }));
+};
+
+module.exports = {
+  name: 's3',
+  put,
+  get,
+  remove
+};
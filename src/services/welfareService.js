@@ -0,0 +1,437 @@
+/**
+ * Welfare Service
+ * Welfare schemes, member eligibility and the application review workflow
+ */
+
+const WelfareScheme = require('../models/WelfareScheme');
+const WelfareApplication = require('../models/WelfareApplication');
+const User = require('../models/User');
+const { getHouseholdComposition } = require('./householdService');
+const { notifyUsers } = require('./notificationService');
+const { evaluateEligibility, findUnrecognisedFacts } = require('../utils/eligibility');
+const { getAge } = require('../utils/age');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+const {
+  WELFARE_SCHEME_STATUS,
+  APPLICATION_STATUS,
+  OPEN_APPLICATION_STATUSES
+} = require('../config/welfare');
+
+// Fields an admin can set on a scheme
+const EDITABLE_FIELDS = [
+  'name', 'description', 'category', 'benefits', 'eligibility',
+  'requiredDocuments', 'opensAt', 'closesAt', 'status'
+];
+
+// Profile fields read into eligibility facts
+const FACT_PROFILE_FIELDS = [
+  'gender', 'maritalStatus', 'education', 'occupation', 'numberOfChildren',
+  'annualIncome', 'taxPayer', 'houseType', 'rationCardType', 'specialPerson'
+];
+
+// Applicant fields shown with applications (no privacy-controlled fields)
+const APPLICANT_FIELDS = 'name profileThumbnail';
+
+/**
+ * Create error with HTTP status code
+ */
+const welfareError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Whether a scheme is accepting applications right now
+ */
+const isSchemeOpen = (scheme, now = new Date()) => {
+  return scheme.status === WELFARE_SCHEME_STATUS.ACTIVE &&
+    (!scheme.opensAt || scheme.opensAt <= now) &&
+    (!scheme.closesAt || scheme.closesAt >= now);
+};
+
+/**
+ * Fail if an application window closes before it opens
+ */
+const assertValidWindow = ({ opensAt, closesAt }) => {
+  if (opensAt && closesAt && new Date(closesAt) < new Date(opensAt)) {
+    throw welfareError('Applications must close after they open', 400);
+  }
+};
+
+/**
+ * Gather the facts eligibility rules are evaluated against
+ * A hydrated document is used so encrypted fields are decrypted.
+ * @param {string} userId
+ * @returns {Promise<object>} - { field: value }, see ELIGIBILITY_FACTS
+ */
+const getEligibilityFacts = async (userId) => {
+  const user = await User.findById(userId).select(`${FACT_PROFILE_FIELDS.join(' ')} dateOfBirth`);
+
+  if (!user) {
+    throw welfareError('User not found', 404);
+  }
+
+  const household = await getHouseholdComposition(userId);
+
+  return {
+    ...Object.fromEntries(FACT_PROFILE_FIELDS.map((field) => [field, user[field]])),
+    age: getAge(user.dateOfBirth),
+    householdSize: household.size,
+    householdMinors: household.minors,
+    householdSeniors: household.seniors
+  };
+};
+
+/**
+ * Create a scheme (admin)
+ * @param {string} actorId
+ * @param {object} data
+ */
+const createScheme = async (actorId, data) => {
+  assertValidWindow(data);
+
+  const scheme = await WelfareScheme.create({
+    ...data,
+    createdBy: actorId,
+    updatedBy: actorId
+  });
+
+  console.log(`[WELFARE] Scheme created: ${scheme._id} by ${actorId}`);
+
+  return scheme;
+};
+
+/**
+ * Update a scheme (admin); archive it by setting status
+ * Rule changes apply to new applications only; submitted ones keep
+ * their status until the committee reviews them.
+ * @param {string} schemeId
+ * @param {string} actorId
+ * @param {object} data
+ * @returns {Promise<{ scheme: object, previous: object }>} - previous is the scheme before the update
+ */
+const updateScheme = async (schemeId, actorId, data) => {
+  const scheme = await WelfareScheme.findById(schemeId);
+
+  if (!scheme) {
+    throw welfareError('Scheme not found', 404);
+  }
+
+  const previous = scheme.toObject();
+
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) {
+      scheme[field] = data[field];
+    }
+  }
+
+  assertValidWindow(scheme);
+
+  if (scheme.isModified()) {
+    scheme.updatedBy = actorId;
+    await scheme.save();
+  }
+
+  return { scheme, previous };
+};
+
+/**
+ * List schemes
+ * Members see active schemes only; admins may filter by status.
+ * @param {object} options - { category, status, page, limit }
+ * @returns {Promise<{ schemes: object[], total: number }>}
+ */
+const listSchemes = async ({ category, status = WELFARE_SCHEME_STATUS.ACTIVE, page, limit }) => {
+  const filter = { status };
+
+  if (category) {
+    filter.category = category;
+  }
+
+  const [schemes, total] = await Promise.all([
+    WelfareScheme.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WelfareScheme.countDocuments(filter)
+  ]);
+
+  return { schemes, total };
+};
+
+/**
+ * Active schemes with the member's eligibility and application status
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {boolean} [options.includeIneligible=false] - Also return schemes
+ *   the member does not qualify for, with the unmet conditions
+ */
+const listEligibleSchemes = async (userId, { includeIneligible = false } = {}) => {
+  const [facts, schemes, applications] = await Promise.all([
+    getEligibilityFacts(userId),
+    WelfareScheme.find({ status: WELFARE_SCHEME_STATUS.ACTIVE }).sort({ closesAt: 1, createdAt: -1 }).lean(),
+    WelfareApplication.find({ applicant: userId }).select('scheme status').lean()
+  ]);
+  const applicationsByScheme = new Map(applications.map((item) => [item.scheme.toString(), item]));
+
+  return schemes
+    .map((scheme) => {
+      const application = applicationsByScheme.get(scheme._id.toString());
+      return {
+        ...scheme,
+        isOpen: isSchemeOpen(scheme),
+        eligibility: evaluateEligibility(scheme.eligibility, facts),
+        application: application ? { _id: application._id, status: application.status } : null
+      };
+    })
+    .filter((scheme) => includeIneligible || scheme.eligibility.eligible);
+};
+
+/**
+ * Get a scheme with the viewer's eligibility and application
+ * Archived schemes are visible to admins only.
+ * @param {string} schemeId
+ * @param {object} viewer - req.user
+ * @param {boolean} isAdmin
+ */
+const getScheme = async (schemeId, viewer, isAdmin) => {
+  const scheme = await WelfareScheme.findById(schemeId).lean();
+
+  if (!scheme || (scheme.status !== WELFARE_SCHEME_STATUS.ACTIVE && !isAdmin)) {
+    throw welfareError('Scheme not found', 404);
+  }
+
+  const [facts, application] = await Promise.all([
+    getEligibilityFacts(viewer.userId),
+    WelfareApplication.findOne({ scheme: scheme._id, applicant: viewer.userId }).lean()
+  ]);
+
+  return {
+    scheme: { ...scheme, isOpen: isSchemeOpen(scheme) },
+    eligibility: evaluateEligibility(scheme.eligibility, facts),
+    application
+  };
+};
+
+/**
+ * Apply to a scheme
+ * The member must qualify and the scheme must be open. A rejected or
+ * withdrawn application can be submitted again.
+ * @param {string} schemeId
+ * @param {string} userId
+ * @param {object} data - { statement }
+ */
+const applyToScheme = async (schemeId, userId, { statement }) => {
+  const scheme = await WelfareScheme.findOne({ _id: schemeId, status: WELFARE_SCHEME_STATUS.ACTIVE });
+
+  if (!scheme) {
+    throw welfareError('Scheme not found', 404);
+  }
+
+  if (!isSchemeOpen(scheme)) {
+    throw welfareError('This scheme is not accepting applications now', 400);
+  }
+
+  const { eligible } = evaluateEligibility(scheme.eligibility, await getEligibilityFacts(userId));
+  if (!eligible) {
+    throw welfareError('You do not meet the eligibility criteria for this scheme', 403);
+  }
+
+  const existing = await WelfareApplication.findOne({ scheme: scheme._id, applicant: userId });
+
+  if (existing && [...OPEN_APPLICATION_STATUSES, APPLICATION_STATUS.APPROVED].includes(existing.status)) {
+    throw welfareError(`You have already applied to this scheme (${existing.status})`, 409);
+  }
+
+  const application = existing || new WelfareApplication({ scheme: scheme._id, applicant: userId });
+  application.set({
+    status: APPLICATION_STATUS.SUBMITTED,
+    statement,
+    reviewComment: undefined,
+    reviewedBy: undefined,
+    submittedAt: new Date(),
+    decidedAt: undefined
+  });
+  application.history.push({ status: APPLICATION_STATUS.SUBMITTED, by: userId });
+  await application.save();
+
+  console.log(`[WELFARE] Application ${application._id} submitted to scheme ${scheme._id} by ${userId}`);
+
+  return application;
+};
+
+/**
+ * Withdraw an application that has not been decided yet
+ * @param {string} applicationId
+ * @param {string} userId
+ */
+const withdrawApplication = async (applicationId, userId) => {
+  const application = await WelfareApplication.findOne({ _id: applicationId, applicant: userId });
+
+  if (!application) {
+    throw welfareError('Application not found', 404);
+  }
+
+  if (!OPEN_APPLICATION_STATUSES.includes(application.status)) {
+    throw welfareError(`This application has already been ${application.status}`, 409);
+  }
+
+  application.status = APPLICATION_STATUS.WITHDRAWN;
+  application.history.push({ status: APPLICATION_STATUS.WITHDRAWN, by: userId });
+  await application.save();
+
+  return application;
+};
+
+/**
+ * The member's applications, newest first
+ * @param {string} userId
+ */
+const listOwnApplications = (userId) => {
+  return WelfareApplication.find({ applicant: userId })
+    .select('-reviewedBy -history.by')
+    .populate('scheme', 'name category benefits status')
+    .sort({ submittedAt: -1 })
+    .lean();
+};
+
+/**
+ * List applications for review (committee), oldest first
+ * @param {object} options - { scheme, status, page, limit }
+ * @returns {Promise<{ applications: object[], total: number }>}
+ */
+const listApplications = async ({ scheme, status, page, limit }) => {
+  const filter = {
+    status: status || { $in: OPEN_APPLICATION_STATUSES }
+  };
+
+  if (scheme) {
+    filter.scheme = scheme;
+  }
+
+  const [applications, total] = await Promise.all([
+    WelfareApplication.find(filter)
+      .select('-history')
+      .populate('scheme', 'name category')
+      .populate('applicant', APPLICANT_FIELDS)
+      .sort({ submittedAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WelfareApplication.countDocuments(filter)
+  ]);
+
+  return { applications, total };
+};
+
+/**
+ * Get an application (applicant or committee)
+ * The committee also gets the applicant's current eligibility, so
+ * profile changes since submission are visible during review, and any
+ * profile values outside the allowed choices (legacy free-text entries).
+ * @param {string} applicationId
+ * @param {object} viewer - req.user
+ * @param {boolean} isCommittee
+ */
+const getApplication = async (applicationId, viewer, isCommittee) => {
+  const application = await WelfareApplication.findById(applicationId)
+    .populate('scheme')
+    .populate('applicant', APPLICANT_FIELDS)
+    .populate('history.by', 'name')
+    .lean();
+
+  if (!application || (!isCommittee && String(application.applicant._id) !== String(viewer.userId))) {
+    throw welfareError('Application not found', 404);
+  }
+
+  if (!isCommittee) {
+    // Reviewers are not named to the applicant
+    const { reviewedBy, ...visible } = application;
+    return {
+      application: { ...visible, history: visible.history.map(({ by, ...entry }) => entry) }
+    };
+  }
+
+  const facts = await getEligibilityFacts(application.applicant._id);
+
+  return {
+    application,
+    eligibility: evaluateEligibility(application.scheme.eligibility, facts),
+    unrecognisedFacts: findUnrecognisedFacts(facts)
+  };
+};
+
+/**
+ * Move an application to review, or approve / reject it (committee)
+ * The applicant is notified of the decision.
+ * @param {string} applicationId
+ * @param {string} reviewerId
+ * @param {object} decision - { status, comment }
+ * @returns {Promise<{ application: object, previousStatus: string }>}
+ */
+const reviewApplication = async (applicationId, reviewerId, { status, comment }) => {
+  const application = await WelfareApplication.findById(applicationId).populate('scheme', 'name');
+
+  if (!application) {
+    throw welfareError('Application not found', 404);
+  }
+
+  if (!OPEN_APPLICATION_STATUSES.includes(application.status)) {
+    throw welfareError(`This application has already been ${application.status}`, 409);
+  }
+
+  if (application.status === status) {
+    throw welfareError(`This application is already ${status}`, 409);
+  }
+
+  const previousStatus = application.status;
+  application.status = status;
+  application.reviewedBy = reviewerId;
+  if (comment !== undefined) {
+    application.reviewComment = comment;
+  }
+  if (status !== APPLICATION_STATUS.UNDER_REVIEW) {
+    application.decidedAt = new Date();
+  }
+  application.history.push({ status, comment, by: reviewerId });
+  await application.save();
+
+  const schemeName = application.scheme.name;
+  const messages = {
+    [APPLICATION_STATUS.UNDER_REVIEW]: ['Application under review', `The committee is reviewing your application for ${schemeName}.`],
+    [APPLICATION_STATUS.APPROVED]: ['Application approved', `Your application for ${schemeName} has been approved.`],
+    [APPLICATION_STATUS.REJECTED]: ['Application not approved', `Your application for ${schemeName} was not approved.`]
+  };
+  const [title, body] = messages[status];
+
+  await notifyUsers([String(application.applicant)], {
+    type: NOTIFICATION_TYPES.WELFARE,
+    title,
+    body: comment ? `${body} ${comment}` : body,
+    data: {
+      applicationId: application._id.toString(),
+      schemeId: application.scheme._id.toString()
+    }
+  });
+
+  console.log(`[WELFARE] Application ${application._id} ${status} by ${reviewerId}`);
+
+  return { application, previousStatus };
+};
+
+module.exports = {
+  getEligibilityFacts,
+  createScheme,
+  updateScheme,
+  listSchemes,
+  listEligibleSchemes,
+  getScheme,
+  applyToScheme,
+  withdrawApplication,
+  listOwnApplications,
+  listApplications,
+  getApplication,
+  reviewApplication
+};
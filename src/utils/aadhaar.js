@@ -0,0 +1,96 @@
+/**
+ * Aadhaar Utilities
+ * Verhoeff checksum validation and masking
+ */
+
+// Verhoeff multiplication table (dihedral group D5)
+const D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+// Verhoeff permutation table
+const P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 7, 8, 6, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const MASKED_AADHAAR_PATTERN = /^XXXX-XXXX-\d{4}$/;
+
+/**
+ * Remove spaces and dashes from an Aadhaar number
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeAadhaar = (value) => {
+  return String(value || '').replace(/[\s-]/g, '');
+};
+
+/**
+ * Validate Verhoeff checksum of a digit string
+ * @param {string} digits
+ * @returns {boolean}
+ */
+const isValidVerhoeff = (digits) => {
+  let check = 0;
+  const reversed = digits.split('').reverse();
+
+  for (let i = 0; i < reversed.length; i++) {
+    check = D[check][P[i % 8][parseInt(reversed[i], 10)]];
+  }
+
+  return check === 0;
+};
+
+/**
+ * Validate Aadhaar number: 12 digits, not starting with 0 or 1, Verhoeff checksum
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidAadhaar = (value) => {
+  const digits = normalizeAadhaar(value);
+  return /^[2-9]\d{11}$/.test(digits) && isValidVerhoeff(digits);
+};
+
+/**
+ * Mask Aadhaar for API responses (XXXX-XXXX-1234)
+ * @param {string} value - Plain Aadhaar number
+ * @returns {string|*}
+ */
+const maskAadhaar = (value) => {
+  if (!value) {
+    return value;
+  }
+  const digits = normalizeAadhaar(value);
+  return `XXXX-XXXX-${digits.slice(-4)}`;
+};
+
+/**
+ * Check whether a value is a masked Aadhaar sent back by the app
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isMaskedAadhaar = (value) => {
+  return typeof value === 'string' && MASKED_AADHAAR_PATTERN.test(value.trim());
+};
+
+module.exports = {
+  normalizeAadhaar,
+  isValidAadhaar,
+  maskAadhaar,
+  isMaskedAadhaar
+};
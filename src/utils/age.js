@@ -0,0 +1,62 @@
+/**
+ * Age Utilities
+ */
+
+/**
+ * Age in whole years
+ * @param {Date|string} dateOfBirth
+ * @param {Date} [now]
+ * @returns {number|null} - null if the date of birth is unknown
+ */
+const getAge = (dateOfBirth, now = new Date()) => {
+  if (!dateOfBirth) {
+    return null;
+  }
+
+  const dob = new Date(dateOfBirth);
+  let age = now.getUTCFullYear() - dob.getUTCFullYear();
+
+  const birthdayPassed = now.getUTCMonth() > dob.getUTCMonth() ||
+    (now.getUTCMonth() === dob.getUTCMonth() && now.getUTCDate() >= dob.getUTCDate());
+
+  if (!birthdayPassed) {
+    age--;
+  }
+
+  return age;
+};
+
+/**
+ * Date (UTC midnight) that is `years` years before now
+ * @param {number} years
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+const yearsAgo = (years, now = new Date()) => {
+  return new Date(Date.UTC(now.getUTCFullYear() - years, now.getUTCMonth(), now.getUTCDate()));
+};
+
+/**
+ * Date of birth condition for an inclusive age range
+ * Age N means a date of birth in (today - N - 1 years, today - N years].
+ * @param {object} range - { minAge, maxAge }, either may be null
+ * @param {Date} [now]
+ * @returns {object|null} - e.g. { $lte: Date, $gt: Date }, null if no limits
+ */
+const buildBirthDateRange = ({ minAge, maxAge }, now = new Date()) => {
+  if (minAge == null && maxAge == null) {
+    return null;
+  }
+
+  const range = { $ne: null };
+
+  if (minAge != null) range.$lte = yearsAgo(minAge, now);
+  if (maxAge != null) range.$gt = yearsAgo(maxAge + 1, now);
+
+  return range;
+};
+
+module.exports = {
+  getAge,
+  buildBirthDateRange
+};
@@ -0,0 +1,41 @@
+/**
+ * CSV Utilities
+ */
+
+/**
+ * Escape one CSV cell
+ * Cells starting with =, +, - or @ are prefixed with an apostrophe so
+ * spreadsheets read them as text: formulas are not run and phone numbers
+ * (+919876543210) are not turned into numbers.
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text
+ * @param {string[]} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+const toCsv = (headers, rows) => {
+  return [headers, ...rows]
+    .map((row) => row.map(escapeCell).join(','))
+    .join('\r\n');
+};
+
+module.exports = {
+  toCsv
+};
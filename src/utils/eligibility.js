@@ -0,0 +1,279 @@
+/**
+ * Eligibility Rule Utilities
+ * Validation and evaluation of declarative welfare eligibility rules
+ *
+ * A rule is a condition or a group of rules:
+ *   { "field": "annualIncome", "op": "lte", "value": "1-3 Lakhs" }
+ *   { "all": [ rule, ... ] }   every rule must hold
+ *   { "any": [ rule, ... ] }   at least one rule must hold
+ *
+ * Fields and their operators are listed in config/welfare (ELIGIBILITY_FACTS).
+ * A missing fact fails every condition except { "op": "exists", "value": false }.
+ * So does a choice fact holding a value outside its list (e.g. a legacy
+ * free-text income such as "12 lakhs"), which counts as not provided.
+ */
+
+const {
+  ELIGIBILITY_FACTS,
+  ELIGIBILITY_OPERATORS,
+  MAX_RULE_DEPTH,
+  MAX_RULE_CONDITIONS
+} = require('../config/welfare');
+
+const OPERATOR_LABELS = {
+  eq: 'is',
+  ne: 'is not',
+  lt: 'below',
+  lte: 'at most',
+  gt: 'above',
+  gte: 'at least',
+  in: 'one of',
+  nin: 'not one of'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Whether a present fact value is outside the fact's list of choices
+ */
+const isUnrecognised = (fact, value) => fact.type === 'choice' && !isMissing(value) && !fact.values.includes(value);
+
+/**
+ * Operators allowed for a fact
+ */
+const getOperators = (fact) => {
+  return ELIGIBILITY_OPERATORS[fact.type === 'choice' && fact.ordered ? 'orderedChoice' : fact.type];
+};
+
+/**
+ * Check a single comparison value against a fact's type
+ * @returns {string|null} - Error message
+ */
+const validateScalar = (fact, field, value) => {
+  switch (fact.type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : `${field} must be compared with a number`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${field} must be compared with true or false`;
+    case 'choice':
+      return fact.values.includes(value) ? null : `${field} must be compared with one of: ${fact.values.join(', ')}`;
+    default:
+      return typeof value === 'string' && value.trim() ? null : `${field} must be compared with text`;
+  }
+};
+
+/**
+ * Validate a condition
+ * @returns {string|null} - Error message
+ */
+const validateCondition = (condition) => {
+  const { field, op, value } = condition;
+  const fact = ELIGIBILITY_FACTS[field];
+
+  if (!fact) {
+    return `Unknown eligibility field: ${field}. Allowed: ${Object.keys(ELIGIBILITY_FACTS).join(', ')}`;
+  }
+
+  const operators = getOperators(fact);
+  if (!operators.includes(op)) {
+    return `Operator for ${field} must be one of: ${operators.join(', ')}`;
+  }
+
+  if (op === 'exists') {
+    return typeof value === 'boolean' ? null : `exists for ${field} must be true or false`;
+  }
+
+  if (op === 'in' || op === 'nin') {
+    if (!Array.isArray(value) || value.length === 0) {
+      return `${op} for ${field} needs a non-empty list of values`;
+    }
+    for (const item of value) {
+      const error = validateScalar(fact, field, item);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  return validateScalar(fact, field, value);
+};
+
+/**
+ * Validate an eligibility rule
+ * An empty object is valid and matches everyone.
+ * @param {object} rule
+ * @returns {string|null} - Error message, null if valid
+ */
+const validateEligibilityRule = (rule) => {
+  let conditions = 0;
+
+  if (isPlainObject(rule) && Object.keys(rule).length === 0) {
+    return null;
+  }
+
+  const validateNode = (node, depth) => {
+    if (!isPlainObject(node)) {
+      return 'Each eligibility rule must be an object';
+    }
+
+    const group = node.all || node.any;
+    if (group !== undefined) {
+      const keys = Object.keys(node);
+      if (keys.length !== 1) {
+        return 'A rule group must have only one of "all" or "any"';
+      }
+      if (depth >= MAX_RULE_DEPTH) {
+        return `Eligibility rules can be nested at most ${MAX_RULE_DEPTH} levels deep`;
+      }
+      if (!Array.isArray(group) || group.length === 0) {
+        return `"${keys[0]}" must be a non-empty list of rules`;
+      }
+      for (const child of group) {
+        const error = validateNode(child, depth + 1);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    const unknownKeys = Object.keys(node).filter((key) => !['field', 'op', 'value'].includes(key));
+    if (unknownKeys.length > 0) {
+      return `Unknown keys in eligibility condition: ${unknownKeys.join(', ')}`;
+    }
+
+    conditions++;
+    if (conditions > MAX_RULE_CONDITIONS) {
+      return `Eligibility rules can have at most ${MAX_RULE_CONDITIONS} conditions`;
+    }
+
+    return validateCondition(node);
+  };
+
+  return validateNode(rule, 0);
+};
+
+/**
+ * Normalise a fact or comparison value so it can be compared
+ * Ordered choices compare by position, text case-insensitively.
+ */
+const toComparable = (fact, value) => {
+  if (fact.type === 'choice' && fact.ordered) {
+    return fact.values.indexOf(value);
+  }
+  if (fact.type === 'text') {
+    return String(value).trim().toLowerCase();
+  }
+  return value;
+};
+
+/**
+ * Test one condition against the facts
+ */
+const testCondition = ({ field, op, value }, facts) => {
+  const fact = ELIGIBILITY_FACTS[field];
+  const actual = facts[field];
+  const unknown = isMissing(actual) || isUnrecognised(fact, actual);
+
+  if (op === 'exists') {
+    return unknown !== value;
+  }
+
+  if (unknown) {
+    return false;
+  }
+
+  const left = toComparable(fact, actual);
+  const list = Array.isArray(value) ? value.map((item) => toComparable(fact, item)) : null;
+  const right = list ? null : toComparable(fact, value);
+
+  switch (op) {
+    case 'eq': return left === right;
+    case 'ne': return left !== right;
+    case 'lt': return left < right;
+    case 'lte': return left <= right;
+    case 'gt': return left > right;
+    case 'gte': return left >= right;
+    case 'in': return list.includes(left);
+    case 'nin': return !list.includes(left);
+    default: return false;
+  }
+};
+
+/**
+ * Human-readable description of a condition
+ * @param {object} condition - { field, op, value }
+ * @returns {string} - e.g. "Annual income at most 1-3 Lakhs"
+ */
+const describeCondition = ({ field, op, value }) => {
+  const label = ELIGIBILITY_FACTS[field].label;
+
+  if (op === 'exists') {
+    return value ? `${label} provided` : `${label} not provided`;
+  }
+
+  const shown = Array.isArray(value) ? value.join(', ') : String(value);
+  return `${label} ${OPERATOR_LABELS[op]} ${shown}`;
+};
+
+/**
+ * Evaluate a rule against a member's facts
+ * An empty rule matches everyone.
+ * @param {object|null} rule - Validated rule
+ * @param {object} facts - { field: value }, see ELIGIBILITY_FACTS
+ * @returns {{ eligible: boolean, unmet: object[] }} - Failed conditions
+ *   ({ field, op, value, description, missing, unrecognised }) or groups ({ any: [...] })
+ */
+const evaluateEligibility = (rule, facts) => {
+  const evaluateNode = (node) => {
+    if (node.all) {
+      return node.all.flatMap((child) => evaluateNode(child));
+    }
+
+    if (node.any) {
+      const results = node.any.map((child) => evaluateNode(child));
+      if (results.some((unmet) => unmet.length === 0)) {
+        return [];
+      }
+      return [{ any: results.flat(), description: 'At least one of these must hold' }];
+    }
+
+    if (testCondition(node, facts)) {
+      return [];
+    }
+
+    return [{
+      field: node.field,
+      op: node.op,
+      value: node.value,
+      description: describeCondition(node),
+      missing: node.op !== 'exists' && isMissing(facts[node.field]),
+      unrecognised: isUnrecognised(ELIGIBILITY_FACTS[node.field], facts[node.field])
+    }];
+  };
+
+  if (!isPlainObject(rule) || Object.keys(rule).length === 0) {
+    return { eligible: true, unmet: [] };
+  }
+
+  const unmet = evaluateNode(rule);
+  return { eligible: unmet.length === 0, unmet };
+};
+
+/**
+ * Choice facts whose value is not one of the allowed choices
+ * These fail every rule on the field until the profile is corrected.
+ * @param {object} facts - { field: value }
+ * @returns {Array<{ field: string, value: *, allowed: string[] }>}
+ */
+const findUnrecognisedFacts = (facts) => {
+  return Object.entries(ELIGIBILITY_FACTS)
+    .filter(([field, fact]) => isUnrecognised(fact, facts[field]))
+    .map(([field, fact]) => ({ field, value: facts[field], allowed: fact.values }));
+};
+
+module.exports = {
+  validateEligibilityRule,
+  evaluateEligibility,
+  findUnrecognisedFacts,
+  describeCondition
+};
@@ -0,0 +1,169 @@
+/**
+ * Field Encryption Utilities
+ * AES-256-GCM encryption for sensitive fields stored in MongoDB
+ *
+ * Configuration:
+ * FIELD_ENCRYPTION_KEYS="k2024:<base64 32-byte key>,k2025:<base64 32-byte key>"
+ * FIELD_ENCRYPTION_KEY_ID="k2025"   (key used for new values; defaults to the last key)
+ *
+ * Old keys stay listed so existing values can still be decrypted; the
+ * encrypt-pii migration re-encrypts them with the current key.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+
+let keyring = null;
+
+/**
+ * Parse keys from environment (lazy, after dotenv has loaded)
+ */
+const getKeyring = () => {
+  if (keyring) {
+    return keyring;
+  }
+
+  const raw = process.env.FIELD_ENCRYPTION_KEYS;
+  if (!raw) {
+    throw new Error('Field encryption keys not configured (FIELD_ENCRYPTION_KEYS)');
+  }
+
+  const keys = new Map();
+  for (const entry of raw.split(',')) {
+    const [id, encoded] = entry.trim().split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+
+    if (!id || key.length !== 32) {
+      throw new Error(`Invalid field encryption key "${id}": must be <id>:<base64 32-byte key>`);
+    }
+    keys.set(id, key);
+  }
+
+  const currentId = process.env.FIELD_ENCRYPTION_KEY_ID || [...keys.keys()].pop();
+  if (!keys.has(currentId)) {
+    throw new Error(`Field encryption key "${currentId}" not found in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, currentId };
+  return keyring;
+};
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+};
+
+/**
+ * Get ID of the key a value was encrypted with
+ * @param {string} value - Encrypted value
+ * @returns {string|null}
+ */
+const getKeyId = (value) => {
+  return isEncrypted(value) ? value.split(':')[2] : null;
+};
+
+/**
+ * Encrypt a value with the current key
+ * Values that already decrypt with a configured key are returned unchanged;
+ * anything else - including a forged "enc:v1:..." string - is encrypted as
+ * plaintext, so a stored value always decrypts.
+ * @param {*} value
+ * @returns {string|*} - "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>"
+ */
+const encrypt = (value) => {
+  if (value === null || value === undefined || value === '' || canDecrypt(value)) {
+    return value;
+  }
+
+  const { keys, currentId } = getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [
+    PREFIX,
+    currentId,
+    iv.toString('base64'),
+    tag.toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+/**
+ * Decrypt a value
+ * Plaintext (not yet migrated) values are returned unchanged.
+ * @param {*} value
+ * @returns {string|*}
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, , keyId, iv, tag, ciphertext] = value.split(':');
+  const key = getKeyring().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Field encryption key "${keyId}" not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+/**
+ * Check whether a value is encrypted and decrypts with a configured key
+ * @param {*} value
+ * @returns {boolean}
+ */
+const canDecrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return false;
+  }
+
+  try {
+    decrypt(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a value needs (re-)encryption with the current key
+ * @param {*} value
+ * @returns {boolean}
+ */
+const needsEncryption = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+  return getKeyId(value) !== getKeyring().currentId;
+};
+
+/**
+ * Fail fast at startup if keys are missing or malformed
+ */
+const assertEncryptionConfigured = () => {
+  getKeyring();
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsEncryption,
+  assertEncryptionConfigured
+};
@@ -3,39 +3,88 @@
  * Handles JWT token generation and verification
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REGISTRATION_TICKET_EXPIRES_IN = process.env.REGISTRATION_TICKET_EXPIRES_IN || '15m';
+
+// Token type claim for registration tickets
+const REGISTRATION_TICKET_TYPE = 'registration';
 
 /**
- * Generate JWT token for user
+ * Generate short-lived JWT access token for user
  * @param {string} userId - User ID (MongoDB ObjectId)
  * @param {string} phone - User phone number
+ * @param {string} sessionId - Session the token belongs to
+ * @param {string} role - User role
  * @returns {string} - JWT token
  */
-const generateToken = (userId, phone) => {
+const generateToken = (userId, phone, sessionId, role) => {
   const payload = {
     userId,
-    phone
+    phone,
+    role,
+    sid: sessionId,
+    type: 'access'
   };
 
-//   return jwt.sign(payload, JWT_SECRET, {
-//     expiresIn: JWT_EXPIRES_IN
-//   });
-// };
-
-
-  
-    const token = jwt.sign(payload, JWT_SECRET, {
-      expiresIn: JWT_EXPIRES_IN
-    });
-  
-    console.log('[JWT] Generated token for user:', userId); // logs userId only
-    console.log('[JWT] Token:', token); // logs the actual token (for testing only)
-  
-    return token;
+  const token = jwt.sign(payload, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN
+  });
+
+  console.log('[JWT] Generated token for user:', userId); // logs userId only
+
+  return token;
+};
+
+/**
+ * Get access token lifetime in seconds
+ * @returns {number}
+ */
+const getTokenExpiresInSeconds = () => {
+  const { iat, exp } = jwt.decode(jwt.sign({}, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN }));
+  return exp - iat;
+};
+
+/**
+ * Generate opaque refresh token for a session
+ * Format: <sessionId>.<random secret>
+ * @param {string} sessionId - Session ID
+ * @returns {{ refreshToken: string, refreshTokenHash: string }}
+ */
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('base64url');
+  const refreshToken = `${sessionId}.${secret}`;
+
+  return {
+    refreshToken,
+    refreshTokenHash: hashRefreshToken(refreshToken)
   };
+};
+
+/**
+ * Hash refresh token for storage (raw tokens are never stored)
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRefreshToken = (refreshToken) => {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+};
+
+/**
+ * Extract session ID from refresh token
+ * @param {string} refreshToken - Refresh token
+ * @returns {string|null}
+ */
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret) {
+    return null;
+  }
+  return sessionId;
+};
 
 /**
  * Verify JWT token
@@ -43,10 +92,60 @@ const generateToken = (userId, phone) => {
  * @returns {object} - Decoded token payload
  */
 const verifyToken = (token) => {
-  return jwt.verify(token, JWT_SECRET);
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  // Registration tickets are signed with the same secret but are not access tokens
+  if (decoded.type && decoded.type !== 'access') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return decoded;
+};
+
+/**
+ * Generate a short-lived registration ticket for a verified phone
+ * @param {string} phone - Phone number verified by OTP
+ * @returns {{ ticket: string, jti: string, expiresAt: Date }}
+ */
+const generateRegistrationTicket = (phone) => {
+  const jti = crypto.randomUUID();
+
+  const ticket = jwt.sign({ phone, type: REGISTRATION_TICKET_TYPE }, JWT_SECRET, {
+    expiresIn: REGISTRATION_TICKET_EXPIRES_IN,
+    jwtid: jti
+  });
+
+  const { exp } = jwt.decode(ticket);
+
+  return {
+    ticket,
+    jti,
+    expiresAt: new Date(exp * 1000)
+  };
+};
+
+/**
+ * Verify registration ticket signature, expiry and type
+ * @param {string} ticket - Registration ticket
+ * @returns {object} - Decoded ticket payload ({ phone, jti, ... })
+ */
+const verifyRegistrationTicket = (ticket) => {
+  const decoded = jwt.verify(ticket, JWT_SECRET);
+
+  if (decoded.type !== REGISTRATION_TICKET_TYPE || !decoded.jti || !decoded.phone) {
+    throw new jwt.JsonWebTokenError('invalid registration ticket');
+  }
+
+  return decoded;
 };
 
 module.exports = {
   generateToken,
-  verifyToken
+  verifyToken,
+  getTokenExpiresInSeconds,
+  generateRefreshToken,
+  hashRefreshToken,
+  parseRefreshToken,
+  generateRegistrationTicket,
+  verifyRegistrationTicket
 };
@@ -0,0 +1,100 @@
+/**
+ * Cursor Pagination Utilities
+ * Opaque, stable cursors for keyset pagination over (sortField, _id)
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Encode cursor from the last document of a page
+ * @param {object} doc - Last document returned
+ * @param {string} sortField - Field the list is sorted by
+ * @param {number} direction - 1 (ascending) or -1 (descending)
+ * @returns {string} - base64url cursor
+ */
+const encodeCursor = (doc, sortField, direction) => {
+  const value = doc[sortField] === undefined ? null : doc[sortField];
+  const payload = {
+    s: sortField,
+    d: direction,
+    v: value instanceof Date ? { $date: value.toISOString() } : value,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode cursor
+ * @param {string} cursor - base64url cursor
+ * @returns {{ sortField: string, direction: number, value: *, id: ObjectId }|null} - null if malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!payload || !mongoose.isValidObjectId(payload.id) || !('v' in payload)) {
+      return null;
+    }
+
+    let value = payload.v;
+    if (value && typeof value === 'object') {
+      if (!value.$date || Number.isNaN(Date.parse(value.$date))) {
+        return null;
+      }
+      value = new Date(value.$date);
+    }
+
+    return {
+      sortField: payload.s,
+      direction: payload.d,
+      value,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build filter that selects documents after the cursor
+ * MongoDB sorts missing/null values first in ascending order, so they are
+ * handled explicitly.
+ * @param {string} sortField - Field the list is sorted by
+ * @param {number} direction - 1 (ascending) or -1 (descending)
+ * @param {{ value: *, id: ObjectId }} cursor - Decoded cursor
+ * @returns {object} - MongoDB filter
+ */
+const buildCursorFilter = (sortField, direction, cursor) => {
+  const { value, id } = cursor;
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (sortField === '_id') {
+    return { _id: { [after]: id } };
+  }
+
+  if (value === null) {
+    const sameValue = { [sortField]: null, _id: { [after]: id } };
+    // Ascending: nulls come first, every non-null value follows
+    return direction === 1
+      ? { $or: [sameValue, { [sortField]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const conditions = [
+    { [sortField]: { [after]: value } },
+    { [sortField]: value, _id: { [after]: id } }
+  ];
+
+  // Descending: nulls come last
+  if (direction === -1) {
+    conditions.push({ [sortField]: null });
+  }
+
+  return { $or: conditions };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+};
@@ -0,0 +1,79 @@
+/**
+ * Phonetic Key Utilities
+ * Normalizes romanized Indian names so transliteration variants match
+ * (e.g. Shankar / Sankar, Lakshmi / Laxmi, Srinivas / Shreenivas)
+ */
+
+// Applied in order, on lowercase ASCII text
+const REPLACEMENTS = [
+  [/x/g, 'ks'],
+  [/q/g, 'k'],
+  [/z/g, 'j'],
+  [/w/g, 'v'],
+  [/ph/g, 'p'],
+  [/([kgcjtdb])h/g, '$1'],   // aspirates: kh, gh, ch, jh, th, dh, bh
+  [/sh/g, 's'],
+  [/ee|ii|ie/g, 'i'],
+  [/oo|uu|ou/g, 'u'],
+  [/aa/g, 'a'],
+  [/y$/, 'i'],
+  [/(.)\1+/g, '$1']          // collapse doubled letters
+];
+
+/**
+ * Split text into lowercase words
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+/**
+ * Get phonetic key for a single word
+ * @param {string} word
+ * @returns {string}
+ */
+const toPhoneticKey = (word) => {
+  let key = String(word).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  for (const [pattern, replacement] of REPLACEMENTS) {
+    key = key.replace(pattern, replacement);
+  }
+
+  // Rama / Ram, Krishna / Krishn
+  if (key.length > 3 && key.endsWith('a')) {
+    key = key.slice(0, -1);
+  }
+
+  return key;
+};
+
+/**
+ * Build unique phonetic keys for a list of text values
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+const buildPhoneticKeys = (values) => {
+  const keys = new Set();
+
+  for (const value of values) {
+    for (const word of tokenize(value)) {
+      const key = toPhoneticKey(word);
+      if (key) {
+        keys.add(key);
+      }
+    }
+  }
+
+  return [...keys];
+};
+
+module.exports = {
+  tokenize,
+  toPhoneticKey,
+  buildPhoneticKeys
+};
@@ -0,0 +1,81 @@
+/**
+ * Profile Completeness Utilities
+ * Scores a profile from the section configuration in config/profile.js
+ */
+
+const { PROFILE_SECTIONS, PROFILE_FIELD_WEIGHTS } = require('../config/profile');
+
+/**
+ * Check whether a field has been answered
+ * false and 0 count as answers; empty strings and arrays do not.
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isFilled = (value) => {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return true;
+};
+
+/**
+ * Percentage of the weighted fields that are filled
+ */
+const weightedScore = (filledWeight, totalWeight) => {
+  return totalWeight === 0 ? 100 : Math.round((filledWeight / totalWeight) * 100);
+};
+
+/**
+ * Compute profile completeness
+ * @param {object} user - User document or plain object
+ * @returns {{
+ *   score: number,
+ *   isComplete: boolean,
+ *   missingSections: string[],
+ *   sections: Array<{ key: string, label: string, score: number, isComplete: boolean,
+ *     missingRequired: string[], missingOptional: string[] }>
+ * }}
+ */
+const computeCompleteness = (user) => {
+  const getValue = typeof user.get === 'function' ? (field) => user.get(field) : (field) => user[field];
+  let filledWeight = 0;
+  let totalWeight = 0;
+
+  const sections = Object.entries(PROFILE_SECTIONS).map(([key, section]) => {
+    const missingRequired = section.required.filter((field) => !isFilled(getValue(field)));
+    const missingOptional = section.optional.filter((field) => !isFilled(getValue(field)));
+
+    const sectionTotal = section.required.length * PROFILE_FIELD_WEIGHTS.required +
+      section.optional.length * PROFILE_FIELD_WEIGHTS.optional;
+    const sectionFilled = sectionTotal -
+      missingRequired.length * PROFILE_FIELD_WEIGHTS.required -
+      missingOptional.length * PROFILE_FIELD_WEIGHTS.optional;
+
+    filledWeight += sectionFilled;
+    totalWeight += sectionTotal;
+
+    return {
+      key,
+      label: section.label,
+      score: weightedScore(sectionFilled, sectionTotal),
+      isComplete: missingRequired.length === 0,
+      missingRequired,
+      missingOptional
+    };
+  });
+
+  return {
+    score: weightedScore(filledWeight, totalWeight),
+    isComplete: sections.every((section) => section.isComplete),
+    missingSections: sections.filter((section) => !section.isComplete).map((section) => section.key),
+    sections
+  };
+};
+
+module.exports = {
+  isFilled,
+  computeCompleteness
+};
@@ -0,0 +1,14 @@
+/**
+ * RegExp Utilities
+ */
+
+/**
+ * Escape user input for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex
+};
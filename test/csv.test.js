@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { toCsv } = require('../src/utils/csv');
+
+test('toCsv exports phone numbers as text', () => {
+  assert.strictEqual(
+    toCsv(['Name', 'Phone'], [['Ravi Achar', '+919876543210']]),
+    "Name,Phone\r\nRavi Achar,'+919876543210"
+  );
+});
+
+test('toCsv prefixes formulas so they are not run', () => {
+  assert.strictEqual(
+    toCsv(['Name'], [['=HYPERLINK("http://x")'], ['@SUM(A1)'], ['-1+2']]),
+    'Name\r\n"\'=HYPERLINK(""http://x"")"\r\n\'@SUM(A1)\r\n\'-1+2'
+  );
+});
+
+test('toCsv quotes cells with commas and leaves empty values blank', () => {
+  assert.strictEqual(
+    toCsv(['Address', 'Gothra'], [['Car Street, Udupi', null]]),
+    'Address,Gothra\r\n"Car Street, Udupi",'
+  );
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.FIELD_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+delete process.env.FIELD_ENCRYPTION_KEY_ID;
+
+const { encrypt, decrypt, isEncrypted } = require('../src/utils/encryption');
+
+test('encrypt round-trips through decrypt', () => {
+  const stored = encrypt('1234 5678 9012');
+
+  assert.ok(isEncrypted(stored));
+  assert.strictEqual(decrypt(stored), '1234 5678 9012');
+});
+
+test('encrypt keeps values that already decrypt', () => {
+  const stored = encrypt('BPL');
+
+  assert.strictEqual(encrypt(stored), stored);
+});
+
+test('encrypt treats a forged encrypted value as plaintext', () => {
+  const forged = 'enc:v1:bogus:AAAA:BBBB:CCCC';
+  const stored = encrypt(forged);
+
+  assert.notStrictEqual(stored, forged);
+  assert.strictEqual(decrypt(stored), forged);
+});
+
+test('encrypt treats a value with a tampered tag as plaintext', () => {
+  const parts = encrypt('APL').split(':');
+  parts[4] = crypto.randomBytes(16).toString('base64');
+  const tampered = parts.join(':');
+  const stored = encrypt(tampered);
+
+  assert.notStrictEqual(stored, tampered);
+  assert.strictEqual(decrypt(stored), tampered);
+});